@@ -0,0 +1,200 @@
+// Persistent email outbox. Requests only write a message to the emailOutbox collection; a worker
+// sends queued messages in the background, retrying failures with exponential backoff and logging
+// every attempt to emailDeliveries. Messages marked sensitive (sign-in links) have their body
+// cleared once sent.
+
+const OUTBOX_COLLECTION = 'emailOutbox';
+const DELIVERIES_COLLECTION = 'emailDeliveries';
+const BATCH_SIZE = 20;
+
+function createOutbox({ db, FieldValue, transporter, from, maxAttempts = 5, retryBaseSeconds = 60, pollSeconds = 30, sendTimeoutSeconds = 120 }) {
+  const outboxCollection = db.collection(OUTBOX_COLLECTION);
+  const deliveriesCollection = db.collection(DELIVERIES_COLLECTION);
+  let timer = null;
+  let running = null;
+  
+  async function enqueue(message) {
+    const ref = await outboxCollection.add({
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      template: message.template || null,
+      language: message.language || null,
+      affiliateId: message.affiliateId || null,
+      sensitive: !!message.sensitive,
+      status: 'queued',
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: new Date(),
+      createdAt: FieldValue.serverTimestamp()
+    });
+    
+    if (timer) setImmediate(processInBackground);
+    
+    return ref.id;
+  }
+  
+  // Claims a due message so that only one worker sends it. A message left in 'sending' by a
+  // worker that died becomes due again once the send timeout has passed.
+  async function claim(ref) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return null;
+      
+      const message = doc.data();
+      const due = message.nextAttemptAt && message.nextAttemptAt.toMillis() <= Date.now();
+      
+      if (!['queued', 'sending'].includes(message.status) || !due) return null;
+      
+      const attempts = (message.attempts || 0) + 1;
+      transaction.update(ref, {
+        status: 'sending',
+        attempts,
+        nextAttemptAt: new Date(Date.now() + sendTimeoutSeconds * 1000)
+      });
+      
+      return { ...message, attempts };
+    });
+  }
+  
+  async function deliver(doc) {
+    const message = await claim(doc.ref);
+    if (!message) return null;
+    
+    let info = null;
+    let error = null;
+    
+    try {
+      info = await transporter.sendMail({
+        from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+    } catch (sendError) {
+      error = sendError;
+    }
+    
+    const messageId = info && info.messageId ? info.messageId : null;
+    let status = 'sent';
+    const update = { lastError: null };
+    
+    if (!error) {
+      update.sentAt = FieldValue.serverTimestamp();
+      update.messageId = messageId;
+      
+      // Whoever can read the outbox could use a sign-in link that is kept after sending
+      if (message.sensitive) {
+        update.html = null;
+        update.text = null;
+      }
+    } else if (message.attempts >= maxAttempts) {
+      status = 'failed';
+      update.lastError = error.message;
+      update.failedAt = FieldValue.serverTimestamp();
+      console.error(`Giving up on email ${doc.id} to ${message.to} after ${message.attempts} attempts:`, error.message);
+    } else {
+      status = 'queued';
+      update.lastError = error.message;
+      update.nextAttemptAt = new Date(Date.now() + retryBaseSeconds * 1000 * Math.pow(2, message.attempts - 1));
+      console.error(`Error sending email ${doc.id} to ${message.to}, will retry:`, error.message);
+    }
+    
+    await doc.ref.update({ ...update, status });
+    await deliveriesCollection.add({
+      outboxId: doc.id,
+      to: message.to,
+      template: message.template || null,
+      attempt: message.attempts,
+      status: error ? 'error' : 'sent',
+      error: error ? error.message : null,
+      messageId,
+      at: FieldValue.serverTimestamp()
+    });
+    
+    return status;
+  }
+  
+  async function runOnce() {
+    const snapshot = await outboxCollection
+      .where('status', 'in', ['queued', 'sending'])
+      .where('nextAttemptAt', '<=', new Date())
+      .orderBy('nextAttemptAt')
+      .limit(BATCH_SIZE)
+      .get();
+    
+    const results = { sent: 0, retrying: 0, failed: 0 };
+    
+    for (const doc of snapshot.docs) {
+      const status = await deliver(doc);
+      if (status === 'sent') results.sent++;
+      if (status === 'queued') results.retrying++;
+      if (status === 'failed') results.failed++;
+    }
+    
+    return results;
+  }
+  
+  // Sends every message that is due. Calls made while a run is in progress share that run.
+  function processQueue() {
+    if (!running) {
+      running = runOnce().finally(() => {
+        running = null;
+      });
+    }
+    
+    return running;
+  }
+  
+  function processInBackground() {
+    processQueue().catch(error => console.error('Error processing email outbox:', error));
+  }
+  
+  // Puts a failed (or waiting) message back at the front of the queue
+  async function retry(id) {
+    const ref = outboxCollection.doc(id);
+    const doc = await ref.get();
+    
+    if (!doc.exists) return null;
+    
+    if (doc.data().status === 'sent') {
+      return { id, status: 'sent' };
+    }
+    
+    await ref.update({
+      status: 'queued',
+      attempts: 0,
+      nextAttemptAt: new Date()
+    });
+    
+    if (timer) setImmediate(processInBackground);
+    
+    return { id, status: 'queued' };
+  }
+  
+  function start() {
+    if (timer) return;
+    
+    timer = setInterval(processInBackground, pollSeconds * 1000);
+    processInBackground();
+  }
+  
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+  
+  return {
+    collection: outboxCollection,
+    deliveries: deliveriesCollection,
+    enqueue,
+    process: processQueue,
+    retry,
+    start,
+    stop
+  };
+}
+
+module.exports = { createOutbox };
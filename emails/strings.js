@@ -0,0 +1,407 @@
+// Text for every email, per language. {name}-style placeholders are filled in by templates.js.
+// Admin emails are only written in English; a missing string falls back to English.
+
+const en = {
+  common: {
+    subjectSuffix: ' - KenyaOnABudget Safaris',
+    greeting: 'Hello {name},',
+    affiliate: 'Affiliate',
+    viewDashboard: 'View Your Dashboard',
+    accessDashboard: 'Access Your Dashboard',
+    viewAdmin: 'View in Admin Panel',
+    thanks: 'Thank you for being a valued affiliate partner of KenyaOnABudget Safaris!',
+    questions: "If you have any questions, please don't hesitate to contact us at info@kenyaonabudgetsafaris.co.uk.",
+    package: 'Package',
+    bookingAmount: 'Booking Amount',
+    commission: 'Commission',
+    commissionWithRate: 'Commission ({rate})',
+    yourCommission: 'Your Commission ({rate})',
+    status: 'Status',
+    reason: 'Reason',
+    reference: 'Reference',
+    amount: 'Amount',
+    method: 'Method',
+    transactionReference: 'Transaction Reference',
+    note: 'Note',
+    affiliateLabel: 'Affiliate',
+    time: 'Time',
+    name: 'Name',
+    email: 'Email',
+    phone: 'Phone',
+    website: 'Website',
+    registrationDate: 'Registration Date',
+    notProvided: 'Not provided',
+    defaultPackage: 'Safari Package'
+  },
+  onboarding: {
+    setupTitle: 'Set up your password',
+    setupText: 'Your dashboard login is {email}. Use the button below to choose your password.',
+    setupButton: 'Set Your Password',
+    verifyTitle: 'Verify your email address',
+    verifyText: 'Please confirm this is your email address by using the button below.',
+    verifyButton: 'Verify Email',
+    expiry: 'This link expires after a while. If it has, you can ask for a new one from the login page.'
+  },
+  conversion: {
+    subject: 'New Commission Earned',
+    heading: 'New Commission Earned!',
+    intro: "Great news! You've just earned a commission from a new booking.",
+    status: 'Pending (will be available after the booking is confirmed)',
+    available: "This commission will be added to your affiliate dashboard and will be available for withdrawal once it's confirmed.",
+    encouragement: 'Keep up the great work promoting our safaris!'
+  },
+  conversionAdmin: {
+    subject: 'New Affiliate Conversion',
+    heading: 'Affiliate Conversion Alert',
+    intro: 'A new booking has been made through an affiliate link:',
+    pending: 'This commission is pending and will need to be approved before it becomes available to the affiliate.'
+  },
+  welcome: {
+    subject: 'Welcome to KenyaOnABudget Affiliate Program!',
+    heading: 'Welcome to KenyaOnABudget Affiliate Program!',
+    intro: "Welcome to the KenyaOnABudget Safaris Affiliate Program! We're excited to have you on board.",
+    commission: "As our affiliate partner, you'll earn {rate} commission on every booking made through your unique referral links.",
+    review: "Your application is being reviewed by our team. We'll email you as soon as it's approved, and your referral links will start earning commission from then.",
+    gettingStarted: 'Getting Started',
+    step1: 'Log in to your affiliate dashboard to access your unique referral links',
+    step2: 'Share these links on your website, social media, or with your network',
+    step3: 'Start earning {rate} commission on every booking made through your links',
+    step4: 'Track your performance and earnings in real-time from your dashboard',
+    step5: 'Request payouts once your balance reaches {minPayout}',
+    questions: "If you have any questions, please don't hesitate to contact us at info@kenyaonabudgetsafaris.co.uk. We're here to help you succeed!"
+  },
+  welcomeAdmin: {
+    subject: 'New Affiliate Registration',
+    heading: 'New Affiliate Registration',
+    intro: 'A new affiliate has registered on the KenyaOnABudget Safaris website:',
+    pending: 'The affiliate account has been created and is waiting for approval. Its referral links will not earn commission until it is approved.',
+    active: 'The affiliate account has been created and initial referral links have been generated.'
+  },
+  decision: {
+    approvedSubject: 'Commission Approved',
+    approvedHeading: 'Commission Approved!',
+    approvedText: 'Your commission has been approved and is now available in your balance. You can request a payout once your available balance reaches {minPayout}.',
+    approvedStatus: 'Approved',
+    rejectedSubject: 'Commission Rejected',
+    rejectedHeading: 'Commission Rejected',
+    rejectedText: 'Unfortunately this commission has been rejected and has been removed from your balance. If you think this is a mistake, please contact us at info@kenyaonabudgetsafaris.co.uk.',
+    rejectedStatus: 'Rejected'
+  },
+  refund: {
+    fullSubject: 'Commission Reversed',
+    partialSubject: 'Commission Adjusted',
+    fullText: 'A booking you referred has been cancelled and refunded, so its commission has been removed from your balance.',
+    partialText: 'A booking you referred has been partly refunded, so its commission has been reduced to match what the customer paid.',
+    refundAmount: 'Amount Refunded',
+    clawback: 'Commission Removed',
+    newCommission: 'Commission Now'
+  },
+  payout: {
+    requestedTitle: 'Payout Request Received',
+    requestedText: 'We have received your payout request. Our team will review it shortly.',
+    approvedTitle: 'Payout Approved',
+    approvedText: 'Your payout request has been approved and will be sent to you soon.',
+    paidTitle: 'Payout Sent!',
+    paidText: 'Your payout has been sent. Depending on your payment method it may take a few days to arrive.',
+    rejectedTitle: 'Payout Request Rejected',
+    rejectedText: 'Unfortunately your payout request has been rejected and the amount has been returned to your available balance.'
+  },
+  payoutAdmin: {
+    subject: 'New Affiliate Payout Request',
+    heading: 'Affiliate Payout Request',
+    intro: 'An affiliate has requested a payout:',
+    held: "The amount has been moved out of the affiliate's available balance until the request is paid or rejected."
+  },
+  status: {
+    activeTitle: 'Your Affiliate Account is Active!',
+    activeText: 'Your affiliate account is now active. Your referral links will earn commission on every booking made through them.',
+    suspendedTitle: 'Your Affiliate Account has been Suspended',
+    suspendedText: 'Your affiliate account has been suspended. While it is suspended your referral links will not earn commission. Your existing balance is not affected.',
+    terminatedTitle: 'Your Affiliate Account has been Closed',
+    terminatedText: 'Your affiliate account has been closed and your referral links no longer earn commission.'
+  },
+  invite: {
+    subject: 'Your Affiliate Account Link',
+    heading: 'Access Your Affiliate Account',
+    intro: 'Here is a new link for your KenyaOnABudget Safaris affiliate account.',
+    footer: "If you didn't ask for this email you can ignore it. If you have any questions, please contact us at info@kenyaonabudgetsafaris.co.uk."
+  },
+  digest: {
+    dailySubject: 'Your Daily Affiliate Summary',
+    weeklySubject: 'Your Weekly Affiliate Summary',
+    intro: 'Here is how your referral links did from {from} to {to}.',
+    clicks: 'Clicks',
+    conversions: 'Conversions',
+    earnings: 'Commission Earned',
+    monthEarnings: 'Commission This Month',
+    topLinks: 'Top Links',
+    topLink: '{name}: {clicks} clicks, {conversions} conversions, {earnings}',
+    updates: 'Updates',
+    preferences: 'You can choose which emails you get, and how often, from your dashboard.'
+  },
+  digestAdmin: {
+    dailySubject: 'Daily Affiliate Program Summary',
+    weeklySubject: 'Weekly Affiliate Program Summary',
+    intro: 'Here is how the affiliate program did from {from} to {to}.',
+    earnings: 'Commission Owed',
+    monthEarnings: 'Commission Owed This Month',
+    preferences: 'You can choose which admin emails you get, and how often, from the admin panel.'
+  },
+  digestEvents: {
+    conversion: 'New commission of {commission} on {packageName}',
+    conversionApproved: 'Commission of {commission} on {packageName} approved',
+    conversionRejected: 'Commission of {commission} on {packageName} rejected',
+    conversionRefunded: 'Commission on {packageName} reduced by {clawback} after a refund',
+    payoutRequested: 'Payout {referenceId} of {amount} requested',
+    payoutApproved: 'Payout {referenceId} of {amount} approved',
+    payoutPaid: 'Payout {referenceId} of {amount} sent',
+    payoutRejected: 'Payout {referenceId} of {amount} rejected',
+    adminConversion: '{name} earned {commission} on {packageName}',
+    adminRegistration: '{name} ({email}) registered',
+    adminPayoutRequest: '{name} requested payout {referenceId} of {amount}'
+  }
+};
+
+const fr = {
+  common: {
+    greeting: 'Bonjour {name},',
+    affiliate: 'Affilié',
+    viewDashboard: 'Voir votre tableau de bord',
+    accessDashboard: 'Accéder à votre tableau de bord',
+    thanks: "Merci d'être un partenaire affilié précieux de KenyaOnABudget Safaris !",
+    questions: "Pour toute question, n'hésitez pas à nous écrire à info@kenyaonabudgetsafaris.co.uk.",
+    package: 'Forfait',
+    bookingAmount: 'Montant de la réservation',
+    commission: 'Commission',
+    commissionWithRate: 'Commission ({rate})',
+    yourCommission: 'Votre commission ({rate})',
+    status: 'Statut',
+    reason: 'Motif',
+    reference: 'Référence',
+    amount: 'Montant',
+    method: 'Méthode',
+    transactionReference: 'Référence de transaction',
+    note: 'Remarque',
+    defaultPackage: 'Forfait safari'
+  },
+  onboarding: {
+    setupTitle: 'Choisissez votre mot de passe',
+    setupText: 'Votre identifiant pour le tableau de bord est {email}. Utilisez le bouton ci-dessous pour choisir votre mot de passe.',
+    setupButton: 'Choisir mon mot de passe',
+    verifyTitle: 'Confirmez votre adresse e-mail',
+    verifyText: "Veuillez confirmer qu'il s'agit bien de votre adresse e-mail à l'aide du bouton ci-dessous.",
+    verifyButton: "Confirmer l'adresse e-mail",
+    expiry: "Ce lien expire au bout de quelque temps. Si c'est le cas, vous pouvez en demander un nouveau depuis la page de connexion."
+  },
+  conversion: {
+    subject: 'Nouvelle commission gagnée',
+    heading: 'Nouvelle commission gagnée !',
+    intro: 'Bonne nouvelle ! Vous venez de gagner une commission sur une nouvelle réservation.',
+    status: 'En attente (disponible une fois la réservation confirmée)',
+    available: 'Cette commission apparaîtra dans votre tableau de bord et pourra être retirée une fois confirmée.',
+    encouragement: 'Continuez à faire connaître nos safaris !'
+  },
+  welcome: {
+    subject: "Bienvenue dans le programme d'affiliation KenyaOnABudget !",
+    heading: "Bienvenue dans le programme d'affiliation KenyaOnABudget !",
+    intro: "Bienvenue dans le programme d'affiliation de KenyaOnABudget Safaris ! Nous sommes ravis de vous compter parmi nous.",
+    commission: 'En tant que partenaire affilié, vous gagnerez une commission de {rate} sur chaque réservation effectuée via vos liens de parrainage.',
+    review: "Votre candidature est en cours d'examen par notre équipe. Nous vous écrirons dès qu'elle sera approuvée, et vos liens de parrainage commenceront alors à générer des commissions.",
+    gettingStarted: 'Pour commencer',
+    step1: 'Connectez-vous à votre tableau de bord pour obtenir vos liens de parrainage',
+    step2: 'Partagez ces liens sur votre site, vos réseaux sociaux ou avec votre entourage',
+    step3: 'Gagnez une commission de {rate} sur chaque réservation effectuée via vos liens',
+    step4: 'Suivez vos performances et vos gains en temps réel depuis votre tableau de bord',
+    step5: 'Demandez un paiement dès que votre solde atteint {minPayout}',
+    questions: "Pour toute question, n'hésitez pas à nous écrire à info@kenyaonabudgetsafaris.co.uk. Nous sommes là pour vous aider à réussir !"
+  },
+  decision: {
+    approvedSubject: 'Commission approuvée',
+    approvedHeading: 'Commission approuvée !',
+    approvedText: 'Votre commission a été approuvée et est maintenant disponible dans votre solde. Vous pourrez demander un paiement dès que votre solde disponible atteindra {minPayout}.',
+    approvedStatus: 'Approuvée',
+    rejectedSubject: 'Commission refusée',
+    rejectedHeading: 'Commission refusée',
+    rejectedText: "Malheureusement, cette commission a été refusée et retirée de votre solde. Si vous pensez qu'il s'agit d'une erreur, contactez-nous à info@kenyaonabudgetsafaris.co.uk.",
+    rejectedStatus: 'Refusée'
+  },
+  refund: {
+    fullSubject: 'Commission annulée',
+    partialSubject: 'Commission ajustée',
+    fullText: 'Une réservation que vous avez apportée a été annulée et remboursée : sa commission a donc été retirée de votre solde.',
+    partialText: 'Une réservation que vous avez apportée a été partiellement remboursée : sa commission a donc été réduite en fonction du montant payé par le client.',
+    refundAmount: 'Montant remboursé',
+    clawback: 'Commission retirée',
+    newCommission: 'Commission actuelle'
+  },
+  payout: {
+    requestedTitle: 'Demande de paiement reçue',
+    requestedText: "Nous avons bien reçu votre demande de paiement. Notre équipe va l'examiner rapidement.",
+    approvedTitle: 'Paiement approuvé',
+    approvedText: 'Votre demande de paiement a été approuvée et vous sera versée prochainement.',
+    paidTitle: 'Paiement envoyé !',
+    paidText: 'Votre paiement a été envoyé. Selon votre moyen de paiement, il peut mettre quelques jours à arriver.',
+    rejectedTitle: 'Demande de paiement refusée',
+    rejectedText: 'Malheureusement, votre demande de paiement a été refusée et le montant a été reversé sur votre solde disponible.'
+  },
+  status: {
+    activeTitle: 'Votre compte affilié est actif !',
+    activeText: 'Votre compte affilié est maintenant actif. Vos liens de parrainage génèrent une commission sur chaque réservation.',
+    suspendedTitle: 'Votre compte affilié a été suspendu',
+    suspendedText: "Votre compte affilié a été suspendu. Pendant la suspension, vos liens de parrainage ne génèrent pas de commission. Votre solde actuel n'est pas affecté.",
+    terminatedTitle: 'Votre compte affilié a été fermé',
+    terminatedText: 'Votre compte affilié a été fermé et vos liens de parrainage ne génèrent plus de commission.'
+  },
+  invite: {
+    subject: 'Le lien de votre compte affilié',
+    heading: 'Accédez à votre compte affilié',
+    intro: 'Voici un nouveau lien pour votre compte affilié KenyaOnABudget Safaris.',
+    footer: "Si vous n'avez pas demandé cet e-mail, vous pouvez l'ignorer. Pour toute question, écrivez-nous à info@kenyaonabudgetsafaris.co.uk."
+  },
+  digest: {
+    dailySubject: "Votre résumé quotidien d'affilié",
+    weeklySubject: "Votre résumé hebdomadaire d'affilié",
+    intro: 'Voici les résultats de vos liens de parrainage du {from} au {to}.',
+    clicks: 'Clics',
+    conversions: 'Conversions',
+    earnings: 'Commissions gagnées',
+    monthEarnings: 'Commissions ce mois-ci',
+    topLinks: 'Meilleurs liens',
+    topLink: '{name} : {clicks} clics, {conversions} conversions, {earnings}',
+    updates: 'Nouveautés',
+    preferences: 'Vous pouvez choisir les e-mails que vous recevez, et leur fréquence, depuis votre tableau de bord.'
+  },
+  digestEvents: {
+    conversion: 'Nouvelle commission de {commission} sur {packageName}',
+    conversionApproved: 'Commission de {commission} sur {packageName} approuvée',
+    conversionRejected: 'Commission de {commission} sur {packageName} refusée',
+    conversionRefunded: 'Commission sur {packageName} réduite de {clawback} après un remboursement',
+    payoutRequested: 'Paiement {referenceId} de {amount} demandé',
+    payoutApproved: 'Paiement {referenceId} de {amount} approuvé',
+    payoutPaid: 'Paiement {referenceId} de {amount} envoyé',
+    payoutRejected: 'Paiement {referenceId} de {amount} refusé'
+  }
+};
+
+const de = {
+  common: {
+    greeting: 'Hallo {name},',
+    affiliate: 'Partner',
+    viewDashboard: 'Zu Ihrem Dashboard',
+    accessDashboard: 'Zu Ihrem Dashboard',
+    thanks: 'Vielen Dank, dass Sie Partner von KenyaOnABudget Safaris sind!',
+    questions: 'Bei Fragen erreichen Sie uns jederzeit unter info@kenyaonabudgetsafaris.co.uk.',
+    package: 'Paket',
+    bookingAmount: 'Buchungsbetrag',
+    commission: 'Provision',
+    commissionWithRate: 'Provision ({rate})',
+    yourCommission: 'Ihre Provision ({rate})',
+    status: 'Status',
+    reason: 'Grund',
+    reference: 'Referenz',
+    amount: 'Betrag',
+    method: 'Zahlungsart',
+    transactionReference: 'Transaktionsreferenz',
+    note: 'Hinweis',
+    defaultPackage: 'Safari-Paket'
+  },
+  onboarding: {
+    setupTitle: 'Passwort festlegen',
+    setupText: 'Ihr Login für das Dashboard ist {email}. Über die Schaltfläche unten können Sie Ihr Passwort festlegen.',
+    setupButton: 'Passwort festlegen',
+    verifyTitle: 'E-Mail-Adresse bestätigen',
+    verifyText: 'Bitte bestätigen Sie über die Schaltfläche unten, dass dies Ihre E-Mail-Adresse ist.',
+    verifyButton: 'E-Mail bestätigen',
+    expiry: 'Dieser Link ist nur eine Zeit lang gültig. Ist er abgelaufen, können Sie auf der Login-Seite einen neuen anfordern.'
+  },
+  conversion: {
+    subject: 'Neue Provision verdient',
+    heading: 'Neue Provision verdient!',
+    intro: 'Gute Nachrichten! Sie haben mit einer neuen Buchung eine Provision verdient.',
+    status: 'Ausstehend (verfügbar, sobald die Buchung bestätigt ist)',
+    available: 'Diese Provision erscheint in Ihrem Dashboard und kann ausgezahlt werden, sobald sie bestätigt ist.',
+    encouragement: 'Machen Sie weiter so!'
+  },
+  welcome: {
+    subject: 'Willkommen im KenyaOnABudget Partnerprogramm!',
+    heading: 'Willkommen im KenyaOnABudget Partnerprogramm!',
+    intro: 'Willkommen im Partnerprogramm von KenyaOnABudget Safaris! Wir freuen uns, Sie an Bord zu haben.',
+    commission: 'Als unser Partner erhalten Sie {rate} Provision auf jede Buchung über Ihre persönlichen Empfehlungslinks.',
+    review: 'Ihre Bewerbung wird gerade von unserem Team geprüft. Wir melden uns, sobald sie freigegeben ist. Ab dann verdienen Ihre Empfehlungslinks Provision.',
+    gettingStarted: 'Erste Schritte',
+    step1: 'Melden Sie sich in Ihrem Partner-Dashboard an, um Ihre Empfehlungslinks abzurufen',
+    step2: 'Teilen Sie die Links auf Ihrer Website, in sozialen Medien oder in Ihrem Netzwerk',
+    step3: 'Verdienen Sie {rate} Provision auf jede Buchung über Ihre Links',
+    step4: 'Verfolgen Sie Ihre Ergebnisse und Einnahmen in Echtzeit in Ihrem Dashboard',
+    step5: 'Fordern Sie eine Auszahlung an, sobald Ihr Guthaben {minPayout} erreicht',
+    questions: 'Bei Fragen erreichen Sie uns jederzeit unter info@kenyaonabudgetsafaris.co.uk. Wir helfen Ihnen gerne!'
+  },
+  decision: {
+    approvedSubject: 'Provision freigegeben',
+    approvedHeading: 'Provision freigegeben!',
+    approvedText: 'Ihre Provision wurde freigegeben und ist jetzt in Ihrem Guthaben verfügbar. Sie können eine Auszahlung anfordern, sobald Ihr verfügbares Guthaben {minPayout} erreicht.',
+    approvedStatus: 'Freigegeben',
+    rejectedSubject: 'Provision abgelehnt',
+    rejectedHeading: 'Provision abgelehnt',
+    rejectedText: 'Leider wurde diese Provision abgelehnt und aus Ihrem Guthaben entfernt. Wenn Sie das für einen Fehler halten, schreiben Sie uns an info@kenyaonabudgetsafaris.co.uk.',
+    rejectedStatus: 'Abgelehnt'
+  },
+  refund: {
+    fullSubject: 'Provision storniert',
+    partialSubject: 'Provision angepasst',
+    fullText: 'Eine von Ihnen vermittelte Buchung wurde storniert und erstattet. Die Provision wurde daher aus Ihrem Guthaben entfernt.',
+    partialText: 'Eine von Ihnen vermittelte Buchung wurde teilweise erstattet. Die Provision wurde daher an den vom Kunden bezahlten Betrag angepasst.',
+    refundAmount: 'Erstatteter Betrag',
+    clawback: 'Entfernte Provision',
+    newCommission: 'Aktuelle Provision'
+  },
+  payout: {
+    requestedTitle: 'Auszahlungsanfrage erhalten',
+    requestedText: 'Wir haben Ihre Auszahlungsanfrage erhalten. Unser Team prüft sie in Kürze.',
+    approvedTitle: 'Auszahlung freigegeben',
+    approvedText: 'Ihre Auszahlungsanfrage wurde freigegeben und wird in Kürze überwiesen.',
+    paidTitle: 'Auszahlung gesendet!',
+    paidText: 'Ihre Auszahlung wurde gesendet. Je nach Zahlungsart kann es einige Tage dauern, bis sie ankommt.',
+    rejectedTitle: 'Auszahlungsanfrage abgelehnt',
+    rejectedText: 'Leider wurde Ihre Auszahlungsanfrage abgelehnt. Der Betrag wurde Ihrem verfügbaren Guthaben wieder gutgeschrieben.'
+  },
+  status: {
+    activeTitle: 'Ihr Partnerkonto ist aktiv!',
+    activeText: 'Ihr Partnerkonto ist jetzt aktiv. Ihre Empfehlungslinks verdienen Provision auf jede Buchung.',
+    suspendedTitle: 'Ihr Partnerkonto wurde gesperrt',
+    suspendedText: 'Ihr Partnerkonto wurde gesperrt. Solange es gesperrt ist, verdienen Ihre Empfehlungslinks keine Provision. Ihr bestehendes Guthaben bleibt unberührt.',
+    terminatedTitle: 'Ihr Partnerkonto wurde geschlossen',
+    terminatedText: 'Ihr Partnerkonto wurde geschlossen und Ihre Empfehlungslinks verdienen keine Provision mehr.'
+  },
+  invite: {
+    subject: 'Der Link zu Ihrem Partnerkonto',
+    heading: 'Zugang zu Ihrem Partnerkonto',
+    intro: 'Hier ist ein neuer Link für Ihr Partnerkonto bei KenyaOnABudget Safaris.',
+    footer: 'Wenn Sie diese E-Mail nicht angefordert haben, können Sie sie ignorieren. Bei Fragen schreiben Sie uns an info@kenyaonabudgetsafaris.co.uk.'
+  },
+  digest: {
+    dailySubject: 'Ihre tägliche Partner-Zusammenfassung',
+    weeklySubject: 'Ihre wöchentliche Partner-Zusammenfassung',
+    intro: 'So haben Ihre Empfehlungslinks vom {from} bis {to} abgeschnitten.',
+    clicks: 'Klicks',
+    conversions: 'Conversions',
+    earnings: 'Verdiente Provision',
+    monthEarnings: 'Provision diesen Monat',
+    topLinks: 'Top-Links',
+    topLink: '{name}: {clicks} Klicks, {conversions} Conversions, {earnings}',
+    updates: 'Neuigkeiten',
+    preferences: 'In Ihrem Dashboard können Sie wählen, welche E-Mails Sie wie oft erhalten.'
+  },
+  digestEvents: {
+    conversion: 'Neue Provision von {commission} für {packageName}',
+    conversionApproved: 'Provision von {commission} für {packageName} freigegeben',
+    conversionRejected: 'Provision von {commission} für {packageName} abgelehnt',
+    conversionRefunded: 'Provision für {packageName} nach einer Erstattung um {clawback} reduziert',
+    payoutRequested: 'Auszahlung {referenceId} über {amount} angefordert',
+    payoutApproved: 'Auszahlung {referenceId} über {amount} freigegeben',
+    payoutPaid: 'Auszahlung {referenceId} über {amount} gesendet',
+    payoutRejected: 'Auszahlung {referenceId} über {amount} abgelehnt'
+  }
+};
+
+module.exports = { en, fr, de };
@@ -0,0 +1,417 @@
+const STRINGS = require('./strings');
+
+// Transactional email templates. Each template turns its data into a list of content blocks,
+// which are rendered once as HTML (with every value escaped) and once as plain text.
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = Object.keys(STRINGS);
+const DASHBOARD_URL = 'https://kenyaonabudgetsafaris.co.uk/affiliate-dashboard.html';
+const ADMIN_URL = 'https://kenyaonabudgetsafaris.co.uk/admin/affiliates.html';
+
+const STYLES = {
+  container: 'font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e6e6e6;',
+  header: 'background-color: #e67e22; padding: 20px; text-align: center; color: white;',
+  box: 'background-color: #f8f8f8; padding: 15px; margin: 20px 0; border-left: 4px solid #e67e22;',
+  button: 'background-color: #e67e22; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;',
+  heading: 'color: #e67e22; margin-top: 30px;',
+  note: 'color: #666; font-size: 12px;',
+  footer: 'margin-top: 30px; font-style: italic; color: #666; border-top: 1px solid #eee; padding-top: 15px;'
+};
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function resolveLanguage(language) {
+  const code = (language || '').toString().trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(code) ? code : DEFAULT_LANGUAGE;
+}
+
+// Looks up "section.key" in the language's strings, falling back to English
+function createTranslator(language) {
+  return (key, values) => {
+    const [section, name] = key.split('.');
+    const strings = STRINGS[language][section];
+    const template = strings && strings[name] !== undefined ? strings[name] : STRINGS[DEFAULT_LANGUAGE][section][name];
+    
+    return template.replace(/\{(\w+)\}/g, (match, field) => (
+      values && values[field] !== undefined && values[field] !== null ? String(values[field]) : match
+    ));
+  };
+}
+
+// Content blocks
+
+function paragraph(text) {
+  return { type: 'paragraph', text };
+}
+
+// Label/value rows in a highlighted box; rows without a value are left out
+function details(rows) {
+  return { type: 'details', rows: rows.filter(row => row[1] !== undefined && row[1] !== null && row[1] !== '') };
+}
+
+function box(content) {
+  return { type: 'box', ...content };
+}
+
+function heading(text) {
+  return { type: 'heading', text };
+}
+
+function list(items) {
+  return { type: 'list', items };
+}
+
+function button(label, url) {
+  return { type: 'button', label, url };
+}
+
+function renderHtmlBlock(block) {
+  switch (block.type) {
+    case 'paragraph':
+      return `<p>${escapeHtml(block.text)}</p>`;
+    case 'details':
+      return `<div style="${STYLES.box}">
+            ${block.rows.map(([label, value]) => `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`).join('\n            ')}
+          </div>`;
+    case 'box':
+      return `<div style="${STYLES.box}">
+            ${[
+              block.title ? `<p><strong>${escapeHtml(block.title)}</strong></p>` : null,
+              `<p>${escapeHtml(block.text)}</p>`,
+              block.button ? `<p style="margin-top: 20px;">${renderHtmlButton(block.button)}</p>` : null,
+              block.note ? `<p style="${STYLES.note}">${escapeHtml(block.note)}</p>` : null
+            ].filter(Boolean).join('\n            ')}
+          </div>`;
+    case 'heading':
+      return `<h3 style="${STYLES.heading}">${escapeHtml(block.text)}</h3>`;
+    case 'list':
+      return `<ol>
+            ${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('\n            ')}
+          </ol>`;
+    case 'button':
+      return `<p style="margin-top: 30px;">
+            ${renderHtmlButton(block)}
+          </p>`;
+    default:
+      throw new Error(`Unknown email block ${block.type}`);
+  }
+}
+
+function renderHtmlButton(block) {
+  return `<a href="${escapeHtml(block.url)}" style="${STYLES.button}">${escapeHtml(block.label)}</a>`;
+}
+
+function renderHtml(email) {
+  return `
+      <div style="${STYLES.container}">
+        <div style="${STYLES.header}">
+          <h1 style="margin: 0;">${escapeHtml(email.heading)}</h1>
+        </div>
+        
+        <div style="padding: 20px;">
+          ${email.blocks.map(renderHtmlBlock).join('\n          \n          ')}
+          ${email.footer ? `\n          <p style="${STYLES.footer}">\n            ${escapeHtml(email.footer)}\n          </p>` : ''}
+        </div>
+      </div>
+    `;
+}
+
+function renderTextBlock(block) {
+  switch (block.type) {
+    case 'paragraph':
+      return block.text;
+    case 'details':
+      return block.rows.map(([label, value]) => `${label}: ${value}`).join('\n');
+    case 'box':
+      return [
+        block.title,
+        block.text,
+        block.button ? `${block.button.label}: ${block.button.url}` : null,
+        block.note
+      ].filter(Boolean).join('\n');
+    case 'heading':
+      return `${block.text}\n${'-'.repeat(block.text.length)}`;
+    case 'list':
+      return block.items.map((item, index) => `${index + 1}. ${item}`).join('\n');
+    case 'button':
+      return `${block.label}: ${block.url}`;
+    default:
+      throw new Error(`Unknown email block ${block.type}`);
+  }
+}
+
+function renderText(email) {
+  const parts = [
+    `${email.heading}\n${'='.repeat(email.heading.length)}`,
+    ...email.blocks.map(renderTextBlock)
+  ];
+  
+  if (email.footer) parts.push(`--\n${email.footer}`);
+  
+  return parts.join('\n\n') + '\n';
+}
+
+function onboardingBox(t, data) {
+  const setup = data.onboarding.type === 'setup';
+  
+  return box({
+    title: t(setup ? 'onboarding.setupTitle' : 'onboarding.verifyTitle'),
+    text: setup ? t('onboarding.setupText', { email: data.email }) : t('onboarding.verifyText'),
+    button: button(t(setup ? 'onboarding.setupButton' : 'onboarding.verifyButton'), data.onboarding.url),
+    note: t('onboarding.expiry')
+  });
+}
+
+function greeting(t, data) {
+  return paragraph(t('common.greeting', { name: data.name || t('common.affiliate') }));
+}
+
+function digestItem(t, item) {
+  const values = { packageName: t('common.defaultPackage') };
+  Object.entries(item.values || {}).forEach(([field, value]) => {
+    if (value !== null && value !== undefined && value !== '') values[field] = value;
+  });
+  
+  return t(`digestEvents.${item.line}`, values);
+}
+
+// Every template returns { subject, heading, blocks, footer }, and subjectSuffix: false to send the
+// subject as it is
+const TEMPLATES = {
+  conversion: (t, data) => ({
+    subject: t('conversion.subject'),
+    heading: t('conversion.heading'),
+    blocks: [
+      greeting(t, data),
+      paragraph(t('conversion.intro')),
+      details([
+        [t('common.package'), data.packageName || t('common.defaultPackage')],
+        [t('common.bookingAmount'), data.purchase],
+        [t('common.yourCommission', { rate: data.commissionLabel }), data.commission],
+        [t('common.status'), t('conversion.status')]
+      ]),
+      paragraph(t('conversion.available')),
+      paragraph(t('conversion.encouragement')),
+      button(t('common.viewDashboard'), DASHBOARD_URL)
+    ],
+    footer: t('common.thanks')
+  }),
+  
+  conversionAdmin: (t, data) => ({
+    subject: t('conversionAdmin.subject'),
+    heading: t('conversionAdmin.heading'),
+    blocks: [
+      paragraph(t('conversionAdmin.intro')),
+      details([
+        [t('common.affiliateLabel'), `${data.name} (${data.email})`],
+        [t('common.package'), data.packageName || t('common.defaultPackage')],
+        [t('common.bookingAmount'), data.purchase],
+        [t('common.commissionWithRate', { rate: data.commissionLabel }), data.commission],
+        [t('common.time'), data.time]
+      ]),
+      paragraph(t('conversionAdmin.pending')),
+      button(t('common.viewAdmin'), ADMIN_URL)
+    ]
+  }),
+  
+  welcome: (t, data) => ({
+    // Already names the program, so it goes out without the usual suffix
+    subject: t('welcome.subject'),
+    subjectSuffix: false,
+    heading: t('welcome.heading'),
+    blocks: [
+      greeting(t, data),
+      paragraph(t('welcome.intro')),
+      paragraph(t('welcome.commission', { rate: data.commissionLabel })),
+      data.onboarding ? onboardingBox(t, data) : null,
+      data.pendingApproval ? box({ text: t('welcome.review') }) : null,
+      heading(t('welcome.gettingStarted')),
+      list([
+        t('welcome.step1'),
+        t('welcome.step2'),
+        t('welcome.step3', { rate: data.commissionLabel }),
+        t('welcome.step4'),
+        t('welcome.step5', { minPayout: data.minPayout })
+      ]),
+      button(t('common.accessDashboard'), DASHBOARD_URL)
+    ],
+    footer: t('welcome.questions')
+  }),
+  
+  welcomeAdmin: (t, data) => ({
+    subject: t('welcomeAdmin.subject'),
+    heading: t('welcomeAdmin.heading'),
+    blocks: [
+      paragraph(t('welcomeAdmin.intro')),
+      details([
+        [t('common.name'), data.name],
+        [t('common.email'), data.email],
+        [t('common.phone'), data.phone || t('common.notProvided')],
+        [t('common.website'), data.website || t('common.notProvided')],
+        [t('common.registrationDate'), data.time]
+      ]),
+      paragraph(t(data.pendingApproval ? 'welcomeAdmin.pending' : 'welcomeAdmin.active')),
+      button(t('common.viewAdmin'), ADMIN_URL)
+    ]
+  }),
+  
+  conversionDecision: (t, data) => {
+    const approved = data.decision === 'approved';
+    
+    return {
+      subject: t(approved ? 'decision.approvedSubject' : 'decision.rejectedSubject'),
+      heading: t(approved ? 'decision.approvedHeading' : 'decision.rejectedHeading'),
+      blocks: [
+        greeting(t, data),
+        paragraph(approved ? t('decision.approvedText', { minPayout: data.minPayout }) : t('decision.rejectedText')),
+        details([
+          [t('common.package'), data.packageName || t('common.defaultPackage')],
+          [t('common.bookingAmount'), data.purchase],
+          [t('common.commission'), data.commission],
+          [t('common.status'), t(approved ? 'decision.approvedStatus' : 'decision.rejectedStatus')],
+          [t('common.reason'), approved ? null : data.reason]
+        ]),
+        button(t('common.viewDashboard'), DASHBOARD_URL)
+      ],
+      footer: t('common.thanks')
+    };
+  },
+  
+  conversionRefund: (t, data) => {
+    const type = data.full ? 'full' : 'partial';
+    
+    return {
+      subject: t(`refund.${type}Subject`),
+      heading: t(`refund.${type}Subject`),
+      blocks: [
+        greeting(t, data),
+        paragraph(t(`refund.${type}Text`)),
+        details([
+          [t('common.package'), data.packageName || t('common.defaultPackage')],
+          [t('common.bookingAmount'), data.purchase],
+          [t('refund.refundAmount'), data.refund],
+          [t('refund.clawback'), data.clawback],
+          [t('refund.newCommission'), data.commission],
+          [t('common.reason'), data.reason]
+        ]),
+        button(t('common.viewDashboard'), DASHBOARD_URL)
+      ],
+      footer: t('common.thanks')
+    };
+  },
+  
+  payout: (t, data) => ({
+    subject: t(`payout.${data.event}Title`),
+    heading: t(`payout.${data.event}Title`),
+    blocks: [
+      greeting(t, data),
+      paragraph(t(`payout.${data.event}Text`)),
+      details([
+        [t('common.reference'), data.referenceId],
+        [t('common.amount'), data.amount],
+        [t('common.method'), data.method],
+        [t('common.transactionReference'), data.transactionReference],
+        [t('common.note'), data.note]
+      ]),
+      button(t('common.viewDashboard'), DASHBOARD_URL)
+    ],
+    footer: t('common.thanks')
+  }),
+  
+  payoutAdmin: (t, data) => ({
+    subject: t('payoutAdmin.subject'),
+    heading: t('payoutAdmin.heading'),
+    blocks: [
+      paragraph(t('payoutAdmin.intro')),
+      details([
+        [t('common.affiliateLabel'), `${data.name} (${data.email})`],
+        [t('common.reference'), data.referenceId],
+        [t('common.amount'), data.amount],
+        [t('common.method'), data.method],
+        [t('common.time'), data.time]
+      ]),
+      paragraph(t('payoutAdmin.held')),
+      button(t('common.viewAdmin'), ADMIN_URL)
+    ]
+  }),
+  
+  affiliateStatus: (t, data) => ({
+    subject: t(`status.${data.status}Title`),
+    heading: t(`status.${data.status}Title`),
+    blocks: [
+      greeting(t, data),
+      paragraph(t(`status.${data.status}Text`)),
+      data.reason ? details([[t('common.reason'), data.reason]]) : null,
+      button(t('common.viewDashboard'), DASHBOARD_URL)
+    ],
+    footer: t('common.questions')
+  }),
+  
+  // A daily or weekly summary: stats for the period, the best links and any events the
+  // recipient chose to hear about in the digest rather than straight away
+  digest: (t, data) => {
+    const section = data.admin ? 'digestAdmin' : 'digest';
+    
+    return {
+      subject: t(`${section}.${data.frequency}Subject`),
+      heading: t(`${section}.${data.frequency}Subject`),
+      blocks: [
+        data.admin ? null : greeting(t, data),
+        paragraph(t(`${section}.intro`, { from: data.from, to: data.to })),
+        details([
+          [t('digest.clicks'), data.clicks],
+          [t('digest.conversions'), data.conversions],
+          [t(`${section}.earnings`), data.earnings],
+          [t(`${section}.monthEarnings`), data.monthEarnings]
+        ]),
+        data.topLinks.length > 0 ? heading(t('digest.topLinks')) : null,
+        data.topLinks.length > 0 ? list(data.topLinks.map(link => t('digest.topLink', link))) : null,
+        data.items.length > 0 ? heading(t('digest.updates')) : null,
+        data.items.length > 0 ? list(data.items.map(item => digestItem(t, item))) : null,
+        button(t(data.admin ? 'common.viewAdmin' : 'common.viewDashboard'), data.admin ? ADMIN_URL : DASHBOARD_URL)
+      ],
+      footer: t(`${section}.preferences`)
+    };
+  },
+  
+  invite: (t, data) => ({
+    subject: t('invite.subject'),
+    heading: t('invite.heading'),
+    blocks: [
+      greeting(t, data),
+      paragraph(t('invite.intro')),
+      onboardingBox(t, data)
+    ],
+    footer: t('invite.footer')
+  })
+};
+
+// Renders a template into { subject, html, text, language }
+function renderEmail(templateName, data, language) {
+  const template = TEMPLATES[templateName];
+  
+  if (!template) {
+    throw new Error(`Unknown email template ${templateName}`);
+  }
+  
+  const resolvedLanguage = resolveLanguage(language);
+  const t = createTranslator(resolvedLanguage);
+  const email = template(t, data);
+  email.blocks = email.blocks.filter(Boolean);
+  
+  return {
+    subject: email.subjectSuffix === false ? email.subject : email.subject + t('common.subjectSuffix'),
+    html: renderHtml(email),
+    text: renderText(email),
+    language: resolvedLanguage
+  };
+}
+
+module.exports = { renderEmail, escapeHtml, resolveLanguage, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE };
@@ -1,11 +1,14 @@
 require('dotenv').config();
 const express = require('express');
-const admin = require('firebase-admin');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
 const axios = require('axios');
+const { createStorage } = require('./storage');
+const { renderEmail, SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('./emails/templates');
+const { createOutbox } = require('./emails/outbox');
+const { createWebhookDispatcher, generateSecret, isPrivateHost } = require('./webhooks/dispatcher');
 
 // Initialize the app
 const app = express();
@@ -15,69 +18,76 @@ app.use(cors({
   origin: ['https://kenyaonabudgetsafaris.co.uk', 'http://localhost:3000'],
   credentials: true 
 }));
-app.use(bodyParser.json());
+// Render sits in front of us, so take the client IP from X-Forwarded-For
+app.set('trust proxy', 1);
 
-// Check if required environment variables are set
-const missingVars = [];
-['FIREBASE_PROJECT_ID', 'FIREBASE_PRIVATE_KEY', 'FIREBASE_CLIENT_EMAIL'].forEach(varName => {
-  if (!process.env[varName]) missingVars.push(varName);
-});
-
-if (missingVars.length > 0) {
-  console.error(`ERROR: Missing required environment variables: ${missingVars.join(', ')}`);
-  console.error('Please set these variables in your Render dashboard or .env file');
-}
-
-// Initialize Firebase - with error handling
-try {
-  let firebaseConfig = {};
-  
-  // Check for credentials in environment variables
-  if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL) {
-    // Construct the Firebase config
-    firebaseConfig = {
-      projectId: process.env.FIREBASE_PROJECT_ID,
-      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-    };
-    
-    // Handle the private key (which might contain newlines)
-    if (process.env.FIREBASE_PRIVATE_KEY) {
-      // Handle both formats: with or without quotes and escaped newlines
-      const privateKey = process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n');
-      firebaseConfig.privateKey = privateKey;
-    }
-  } 
-  
-  // Check for JSON credential string
-  else if (process.env.FIREBASE_CREDENTIALS_JSON) {
-    try {
-      const credentials = JSON.parse(process.env.FIREBASE_CREDENTIALS_JSON);
-      firebaseConfig = credentials;
-    } catch (e) {
-      console.error('Error parsing FIREBASE_CREDENTIALS_JSON:', e);
-    }
-  }
-
-  // Initialize Firebase if we have config
-  if (Object.keys(firebaseConfig).length > 0) {
-    admin.initializeApp({
-      credential: admin.credential.cert(firebaseConfig)
-    });
-    console.log('Firebase initialized successfully');
-  } else {
-    console.error('No Firebase configuration found. Firebase features will not work.');
+app.use(bodyParser.json({
+  // Keep the raw body around so webhook signatures can be checked against the exact bytes sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
   }
-} catch (error) {
-  console.error('Error initializing Firebase:', error);
-}
+}));
 
-const db = admin.firestore();
+// Storage: Firestore by default, or in memory with STORAGE_BACKEND=memory. db is null if
+// Firebase couldn't be initialized.
+const storage = createStorage();
+const { db, auth, repos, FieldValue, Timestamp } = storage;
 
 // Configuration
 const CONFIG = {
-  COMMISSION_RATE: 0.10, // 10% commission
+  COMMISSION_RATE: 0.10, // Default 10% commission when no commission plan applies
   ADMIN_EMAILS: ['info@kenyaonabudgetsafaris.co.uk', 'amiraalexobbs@gmail.com'],
   MIN_PAYOUT_AMOUNT: 50, // Minimum amount in GBP for payouts
+  // Browser conversions are only claims until the booking webhook confirms them
+  REQUIRE_SIGNED_CONVERSIONS: process.env.REQUIRE_SIGNED_CONVERSIONS !== 'false',
+  WEBHOOK_TOLERANCE_SECONDS: 300, // Maximum age of a signed webhook request
+  LEDGER_CURRENCY: 'gbp', // Balances, stats and payouts are all kept in GBP
+  // GBP value of one unit of each currency, used until an admin saves rates to settings/exchangeRates
+  DEFAULT_EXCHANGE_RATES: { gbp: 1, usd: 0.79, eur: 0.85, kes: 0.0061 },
+  // Repeat clicks from the same visitor on the same link within this window aren't counted
+  CLICK_DEDUP_WINDOW_MINUTES: parseInt(process.env.CLICK_DEDUP_WINDOW_MINUTES, 10) || 30,
+  ATTRIBUTION_MODEL: process.env.ATTRIBUTION_MODEL === 'first_click' ? 'first_click' : 'last_click',
+  SITE_URL: 'https://kenyaonabudgetsafaris.co.uk',
+  MAX_LINKS_PER_AFFILIATE: 50,
+  MAX_COUPONS_PER_AFFILIATE: 10,
+  // New affiliates wait for an admin's approval unless this is turned on
+  AUTO_APPROVE_AFFILIATES: process.env.AUTO_APPROVE_AFFILIATES === 'true',
+  // Share of a sub-affiliate's sales (in GBP) credited to the affiliate who recruited them.
+  // Paid on top of the sub-affiliate's own commission; 0 turns overrides off.
+  OVERRIDE_COMMISSION_RATE: parseFloat(process.env.OVERRIDE_COMMISSION_RATE || '0.02'),
+  ATTRIBUTION_WINDOW_DAYS: parseInt(process.env.ATTRIBUTION_WINDOW_DAYS, 10) || 30,
+  // 'flag' records conversions without a click in the window for review, 'reject' refuses them
+  ATTRIBUTION_OUT_OF_WINDOW: process.env.ATTRIBUTION_OUT_OF_WINDOW === 'reject' ? 'reject' : 'flag',
+  // Requests allowed per window on the public endpoints, per client IP and per refCode.
+  // Each value can be overridden with e.g. RATE_LIMIT_CLICK_PER_IP or RATE_LIMIT_CLICK_WINDOW_SECONDS.
+  RATE_LIMITS: {
+    click: readRateLimitConfig('click', { windowSeconds: 60, perIp: 30, perRefCode: 600 }),
+    conversion: readRateLimitConfig('conversion', { windowSeconds: 300, perIp: 10, perRefCode: 100 }),
+    register: readRateLimitConfig('register', { windowSeconds: 3600, perIp: 5 }),
+    resendInvite: readRateLimitConfig('resend_invite', { windowSeconds: 3600, perIp: 5 }),
+    coupon: readRateLimitConfig('coupon', { windowSeconds: 300, perIp: 30 })
+  },
+  // Keys limited this many times within the offence window are blocked outright for a while
+  RATE_LIMIT_BLOCK_AFTER: parseInt(process.env.RATE_LIMIT_BLOCK_AFTER, 10) || 5,
+  RATE_LIMIT_OFFENCE_WINDOW_MINUTES: parseInt(process.env.RATE_LIMIT_OFFENCE_WINDOW_MINUTES, 10) || 60,
+  RATE_LIMIT_BLOCK_MINUTES: parseInt(process.env.RATE_LIMIT_BLOCK_MINUTES, 10) || 60,
+  // Emails are queued in the outbox and retried with exponential backoff until they're sent
+  EMAIL_MAX_ATTEMPTS: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5,
+  EMAIL_RETRY_BASE_SECONDS: parseInt(process.env.EMAIL_RETRY_BASE_SECONDS, 10) || 60,
+  EMAIL_OUTBOX_POLL_SECONDS: parseInt(process.env.EMAIL_OUTBOX_POLL_SECONDS, 10) || 30,
+  ADMIN_EMAIL_LANGUAGE: 'en',
+  // Digests go out on the first check after this hour, weekly ones on this day (1 = Monday)
+  DIGEST_HOUR: parseInt(process.env.DIGEST_HOUR, 10) || 8,
+  DIGEST_WEEKDAY: 1,
+  DIGEST_TOP_LINKS: 3,
+  // Outbound webhooks to affiliates' own systems, retried with exponential backoff
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  WEBHOOK_RETRY_BASE_SECONDS: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30,
+  WEBHOOK_POLL_SECONDS: parseInt(process.env.WEBHOOK_POLL_SECONDS, 10) || 15,
+  WEBHOOK_TIMEOUT_SECONDS: parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS, 10) || 10,
+  MAX_WEBHOOKS_PER_AFFILIATE: 5,
+  // Only for local development: allows http:// and private network webhook URLs
+  WEBHOOK_ALLOW_PRIVATE_URLS: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
 };
 
 // Email setup - with ORIGINAL email configuration
@@ -89,7 +99,41 @@ const transporter = nodemailer.createTransport({
   }
 });
 
+// Requests only queue emails; the outbox worker sends them
+const outbox = db ? createOutbox({
+  db,
+  FieldValue,
+  transporter,
+  from: `"Kenya on a Budget Safaris" <${process.env.EMAIL_USER}>`,
+  maxAttempts: CONFIG.EMAIL_MAX_ATTEMPTS,
+  retryBaseSeconds: CONFIG.EMAIL_RETRY_BASE_SECONDS,
+  pollSeconds: CONFIG.EMAIL_OUTBOX_POLL_SECONDS
+}) : null;
+
+// Same idea for affiliates' webhooks: events are queued and a worker posts them
+const webhooks = db ? createWebhookDispatcher({
+  db,
+  FieldValue,
+  httpClient: axios,
+  maxAttempts: CONFIG.WEBHOOK_MAX_ATTEMPTS,
+  retryBaseSeconds: CONFIG.WEBHOOK_RETRY_BASE_SECONDS,
+  pollSeconds: CONFIG.WEBHOOK_POLL_SECONDS,
+  timeoutSeconds: CONFIG.WEBHOOK_TIMEOUT_SECONDS,
+  allowPrivateAddresses: CONFIG.WEBHOOK_ALLOW_PRIVATE_URLS
+}) : null;
+
 // Helper Functions
+function readRateLimitConfig(name, defaults) {
+  const config = {};
+  
+  Object.keys(defaults).forEach(field => {
+    const envName = `RATE_LIMIT_${name}_${field.replace(/[A-Z]/g, letter => `_${letter}`)}`.toUpperCase();
+    config[field] = parseInt(process.env[envName], 10) || defaults[field];
+  });
+  
+  return config;
+}
+
 function formatDate(date) {
   return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 }
@@ -103,711 +147,5729 @@ function generateReferralCode(userId, linkType) {
   return `${prefix}-${typePrefix}-${random}-${timestamp}`;
 }
 
-// API Endpoints - Using the original client paths
-
-// Track affiliate clicks - Original path
-app.post('/click', async (req, res) => {
-  try {
-    if (!db) return res.status(500).json({ error: 'Firebase not initialized' });
-    
-    const { refCode, url, path, userAgent, deviceType, source, timestamp } = req.body;
-
-    // Find the referral link by refCode
-    const linksSnapshot = await db.collection('referralLinks')
-      .where('refCode', '==', refCode)
-      .limit(1)
-      .get();
-
-    if (linksSnapshot.empty) {
-      return res.status(404).json({ error: 'Referral link not found' });
-    }
-
-    const linkDoc = linksSnapshot.docs[0];
-    const linkData = linkDoc.data();
-    const linkId = linkDoc.id;
-    const affiliateId = linkData.affiliateId;
-
-    // Update click count on the link
-    await db.collection('referralLinks').doc(linkId).update({
-      clicks: admin.firestore.FieldValue.increment(1)
-    });
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
 
-    // Record the click with details
-    const clickData = {
-      affiliateId: affiliateId,
-      linkId: linkId,
-      refCode: refCode,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      date: admin.firestore.Timestamp.fromDate(new Date()),
-      url: url,
-      path: path,
-      userAgent: userAgent,
-      deviceType: deviceType,
-      source: source,
-      converted: false
-    };
+function normalizeCurrency(currency) {
+  return (currency || CONFIG.LEDGER_CURRENCY).toString().trim().toLowerCase();
+}
 
-    const clickRef = await db.collection('clicks').add(clickData);
-    
-    // Update statistics
-    await updateClickStatistics(affiliateId, linkId, deviceType, source);
+function formatMoney(amount, currency) {
+  const code = normalizeCurrency(currency);
+  
+  return code === 'gbp' ? `£${amount.toFixed(2)}` : `${code.toUpperCase()} ${amount.toFixed(2)}`;
+}
 
-    res.json({ success: true, clickId: clickRef.id });
-  } catch (error) {
-    console.error('Error tracking click:', error);
-    res.status(500).json({ error: 'Error tracking click', details: error.message });
+// Shows the GBP ledger amount, followed by the original currency amount when they differ
+function formatLedgerAmount(gbpAmount, originalAmount, currency) {
+  const code = normalizeCurrency(currency);
+  
+  if (code === CONFIG.LEDGER_CURRENCY || originalAmount === undefined || originalAmount === null) {
+    return formatMoney(gbpAmount, CONFIG.LEDGER_CURRENCY);
   }
-});
-
-// Track conversions - Original path
-app.post('/conversion', async (req, res) => {
-  try {
-    if (!db) return res.status(500).json({ error: 'Firebase not initialized' });
-    
-    const { 
-      affiliateCode, 
-      clickId, 
-      purchaseAmount, 
-      packageId, 
-      packageName, 
-      bookingId, 
-      sessionId, 
-      currency, 
-      customerEmail, 
-      customerName 
-    } = req.body;
-
-    // Find the referral link by refCode
-    const linksSnapshot = await db.collection('referralLinks')
-      .where('refCode', '==', affiliateCode)
-      .limit(1)
-      .get();
+  
+  return `${formatMoney(gbpAmount, CONFIG.LEDGER_CURRENCY)} (${formatMoney(originalAmount, code)})`;
+}
 
-    if (linksSnapshot.empty) {
-      return res.status(404).json({ error: 'Referral link not found' });
-    }
+async function getExchangeRates() {
+  const ratesDoc = await repos.settings.ref('exchangeRates').get();
+  
+  return {
+    ...CONFIG.DEFAULT_EXCHANGE_RATES,
+    ...(ratesDoc.exists ? ratesDoc.data().rates : {}),
+    [CONFIG.LEDGER_CURRENCY]: 1
+  };
+}
 
-    const linkDoc = linksSnapshot.docs[0];
-    const linkData = linkDoc.data();
-    const linkId = linkDoc.id;
-    const affiliateId = linkData.affiliateId;
+// GBP value of one unit of the given currency
+async function getExchangeRate(currency) {
+  const code = normalizeCurrency(currency);
+  
+  if (code === CONFIG.LEDGER_CURRENCY) return 1;
+  
+  const rates = await getExchangeRates();
+  
+  if (!rates[code]) {
+    throw createHttpError(400, `Unsupported currency: ${code}`);
+  }
+  
+  return rates[code];
+}
 
-    // Calculate commission
-    const commissionAmount = parseFloat(purchaseAmount) * CONFIG.COMMISSION_RATE;
+// Error code sent to clients for each HTTP status
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  410: 'gone',
+  422: 'unprocessable',
+  429: 'rate_limited',
+  500: 'internal_error'
+};
 
-    // Create the conversion record
-    const conversionData = {
-      affiliateId: affiliateId,
-      linkId: linkId,
-      refCode: affiliateCode,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      date: admin.firestore.Timestamp.fromDate(new Date()),
-      purchaseAmount: parseFloat(purchaseAmount),
-      commissionAmount: commissionAmount,
-      packageId: packageId || '',
-      packageName: packageName || 'Unknown Package',
-      bookingId: bookingId || '',
-      sessionId: sessionId || '',
-      status: 'pending', // Initial status is pending, will be approved later
-      currency: currency || 'gbp',
-      customerEmail: customerEmail || null,
-      customerName: customerName || ''
-    };
+// Errors made here are safe to show to clients; anything else is reported as an internal error
+function createHttpError(status, message, details, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code || ERROR_CODES[status] || 'error';
+  error.details = details || null;
+  error.expose = true;
+  return error;
+}
 
-    // If we have a click ID, update it
-    if (clickId) {
-      try {
-        await db.collection('clicks').doc(clickId).update({
-          converted: true,
-          conversionTimestamp: admin.firestore.FieldValue.serverTimestamp(),
-          purchaseAmount: parseFloat(purchaseAmount),
-          commissionAmount: commissionAmount
-        });
-        
-        // Add click ID to conversion data
-        conversionData.clickId = clickId;
-      } catch (error) {
-        console.error('Error updating click record:', error);
-      }
-    }
+function errorResponse(code, message, details) {
+  return { error: { code, message, details: details || null } };
+}
 
-    // Add the conversion to the database
-    const conversionRef = await db.collection('conversions').add(conversionData);
+// Sends the { error: { code, message, details } } response for an error. Internal errors are
+// logged by the caller and answered with the generic message only.
+function sendError(res, error, message) {
+  if (error.expose) {
+    return res.status(error.status).json(errorResponse(error.code, error.message, error.details));
+  }
+  
+  return res.status(500).json(errorResponse(ERROR_CODES[500], message || 'Something went wrong'));
+}
 
-    // Update link stats
-    await db.collection('referralLinks').doc(linkId).update({
-      conversions: admin.firestore.FieldValue.increment(1),
-      earnings: admin.firestore.FieldValue.increment(commissionAmount)
-    });
+// Checks an X-Webhook-Signature header holding hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>"
+function verifyWebhookSignature(req, secret) {
+  const signature = req.get('X-Webhook-Signature');
+  const timestamp = req.get('X-Webhook-Timestamp');
+  
+  if (!signature || !timestamp || !req.rawBody) return false;
+  
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > CONFIG.WEBHOOK_TOLERANCE_SECONDS) return false;
+  
+  const expected = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${req.rawBody}`)
+    .digest();
+  const provided = Buffer.from(signature.replace(/^sha256=/, ''), 'hex');
+  
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
 
-    // Update affiliate balance
-    await updateAffiliateBalance(affiliateId, commissionAmount);
+// Admins carry the custom admin claim, or sign in with one of ADMIN_EMAILS. The address only
+// counts once it is verified: anyone can create an unverified account for an address.
+function isAdminUser(decodedToken) {
+  if (decodedToken.admin === true) return true;
+  
+  return decodedToken.email_verified === true && isAdminEmail(decodedToken.email);
+}
 
-    // Update statistics
-    await updateConversionStatistics(affiliateId, linkId, parseFloat(purchaseAmount), commissionAmount);
+function isAdminEmail(email) {
+  return !!email && CONFIG.ADMIN_EMAILS.includes(email.toLowerCase());
+}
 
-    // Send email notifications
-    await sendConversionEmails(affiliateId, linkId, parseFloat(purchaseAmount), commissionAmount, {
-      packageName: packageName,
-      customerEmail: customerEmail,
-      customerName: customerName
-    });
+async function verifyRequestToken(req) {
+  const idToken = req.headers.authorization?.split('Bearer ')[1];
+  
+  if (!idToken) return null;
+  
+  return auth.verifyIdToken(idToken);
+}
 
-    res.json({ success: true, conversionId: conversionRef.id });
+// The signed-in user's ID, if the request carries a valid ID token; never fails the request
+async function getOptionalUserId(req) {
+  try {
+    const decodedToken = await verifyRequestToken(req);
+    return decodedToken ? decodedToken.uid : null;
   } catch (error) {
-    console.error('Error tracking conversion:', error);
-    res.status(500).json({ error: 'Error tracking conversion', details: error.message });
+    return null;
   }
-});
+}
 
-// Register new affiliate - Original path
-app.post('/register', async (req, res) => {
+// Only lets requests through if they are signed by the booking/payment system
+function requireBookingSignature(req, res, next) {
+  if (!process.env.BOOKING_WEBHOOK_SECRET) {
+    console.error('BOOKING_WEBHOOK_SECRET is not set, rejecting booking webhook');
+    return sendError(res, createHttpError(500, 'Webhook not configured'));
+  }
+  
+  if (!verifyWebhookSignature(req, process.env.BOOKING_WEBHOOK_SECRET)) {
+    return sendError(res, createHttpError(401, 'Invalid webhook signature'));
+  }
+  
+  next();
+}
+
+// Only lets requests through if they carry a valid Firebase ID token
+async function requireAuth(req, res, next) {
   try {
-    if (!db) return res.status(500).json({ error: 'Firebase not initialized' });
+    if (!db) return sendError(res, createHttpError(500, 'Firebase not initialized'));
     
-    const { name, email, phone, website, bio, password } = req.body;
-
-    // Create user account in Firebase Auth
-    const userRecord = await admin.auth().createUser({
-      email: email,
-      password: password || crypto.randomBytes(8).toString('hex'),
-      displayName: name
-    });
-
-    // Create affiliate record
-    const affiliateData = {
-      name: name,
-      email: email,
-      phone: phone || '',
-      website: website || '',
-      bio: bio || '',
-      role: 'Travel Affiliate',
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      totalReferrals: 0,
-      monthlyEarnings: 0,
-      totalEarnings: 0,
-      conversionRate: 0,
-      referralChange: 0,
-      revenueChange: 0,
-      conversionRateChange: 0
-    };
-
-    await db.collection('affiliates').doc(userRecord.uid).set(affiliateData);
-
-    // Create initial referral links
-    await createInitialReferralLinks(userRecord.uid);
-
-    // Create initial balance document
-    await db.collection('balances').add({
-      userId: userRecord.uid,
-      available: 0,
-      pending: 0,
-      paid: 0,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    });
-
-    // Send welcome emails
-    await sendWelcomeEmails(userRecord.uid, affiliateData, password);
-
-    res.json({ success: true, userId: userRecord.uid });
-  } catch (error) {
-    console.error('Error registering affiliate:', error);
+    const decodedToken = await verifyRequestToken(req);
     
-    // If email already exists, try to handle gracefully
-    if (error.code === 'auth/email-already-exists') {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'This email is already registered. Please login with your existing account.'
-      });
+    if (!decodedToken) {
+      return sendError(res, createHttpError(401, 'Unauthorized'));
     }
     
-    res.status(500).json({ 
-      success: false, 
-      message: 'Error creating affiliate account', 
-      error: error.message 
-    });
+    req.user = decodedToken;
+    next();
+  } catch (error) {
+    console.error('Error verifying auth token:', error);
+    sendError(res, createHttpError(401, 'Unauthorized'));
   }
-});
+}
 
-// Get dashboard data - Original path
-app.get('/dashboard', async (req, res) => {
+// Only lets requests through if they carry a Firebase ID token belonging to an admin
+async function requireAdmin(req, res, next) {
   try {
-    if (!db) return res.status(500).json({ error: 'Firebase not initialized' });
+    if (!db) return sendError(res, createHttpError(500, 'Firebase not initialized'));
     
-    // Get the current user ID from auth token
-    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    const decodedToken = await verifyRequestToken(req);
     
-    if (!idToken) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    if (!decodedToken) {
+      return sendError(res, createHttpError(401, 'Unauthorized'));
     }
     
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    const userId = decodedToken.uid;
-    
-    // Get affiliate profile
-    const affiliateDoc = await db.collection('affiliates').doc(userId).get();
-    
-    if (!affiliateDoc.exists) {
-      return res.status(404).json({ error: 'Affiliate not found' });
+    if (!isAdminUser(decodedToken)) {
+      return sendError(res, createHttpError(403, 'Forbidden'));
     }
     
-    const profile = affiliateDoc.data();
+    req.user = decodedToken;
+    next();
+  } catch (error) {
+    console.error('Error verifying admin token:', error);
+    sendError(res, createHttpError(401, 'Unauthorized'));
+  }
+}
+
+// Rate limiting. Each limiter counts requests per key (client IP, refCode) in a fixed window and
+// answers 429 once a key goes over its limit. An IP that keeps going over is blocked for
+// RATE_LIMIT_BLOCK_MINUTES and the block is logged to rateLimitBlocks for admins.
+// Counters live in a store with increment/block/getBlock; the default keeps them in this
+// process's memory, a shared store (Redis etc.) can be passed to createRateLimiter instead.
+function createMemoryRateLimitStore() {
+  const counters = new Map();
+  const blocks = new Map();
+  let nextSweep = 0;
+  
+  // Drops expired entries now and then so idle keys don't pile up
+  function sweep(now) {
+    if (now < nextSweep) return;
     
-    // Get balance
-    const balanceSnapshot = await db.collection('balances')
-      .where('userId', '==', userId)
-      .limit(1)
-      .get();
+    nextSweep = now + 60 * 1000;
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+    blocks.forEach((until, key) => {
+      if (until <= now) blocks.delete(key);
+    });
+  }
+  
+  return {
+    // Counts a request and returns the key's count in the current window and when it resets
+    async increment(key, windowMs) {
+      const now = Date.now();
+      sweep(now);
+      
+      let counter = counters.get(key);
+      
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
       
-    let balance = { available: 0, pending: 0, paid: 0 };
+      counter.count++;
+      
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
     
-    if (!balanceSnapshot.empty) {
-      balance = balanceSnapshot.docs[0].data();
-    }
+    async block(key, durationMs) {
+      blocks.set(key, Date.now() + durationMs);
+    },
     
-    // Get referral links
-    const linksSnapshot = await db.collection('referralLinks')
-      .where('affiliateId', '==', userId)
-      .get();
+    // When the key's block ends, or null if it isn't blocked
+    async getBlock(key) {
+      const until = blocks.get(key);
       
-    const links = linksSnapshot.docs.map(doc => {
-      const data = doc.data();
-      return {
-        id: doc.id,
-        refCode: data.refCode,
-        linkType: data.linkType,
-        clicks: data.clicks || 0,
-        conversions: data.conversions || 0,
-        earnings: data.earnings || 0
-      };
-    });
-    
-    // Get recent conversions
-    const conversionsSnapshot = await db.collection('conversions')
-      .where('affiliateId', '==', userId)
-      .orderBy('timestamp', 'desc')
-      .limit(10)
-      .get();
+      if (!until || until <= Date.now()) {
+        blocks.delete(key);
+        return null;
+      }
       
-    const conversions = conversionsSnapshot.docs.map(doc => doc.data());
+      return until;
+    }
+  };
+}
+
+const rateLimitStore = createMemoryRateLimitStore();
+
+// Middleware limiting requests to `max` per `windowSeconds` for each value returned by `key`.
+// `keyType` ('ip' or 'refCode') says what the key is, for the block log. Requests without a key
+// aren't limited. `onLimited(req, res, retryAfter)` replaces the default 429 response.
+// With `flagOnly` a request over the limit goes through with req.rateLimited set instead, and
+// the key is never blocked: a refCode is public, so anyone could otherwise shut its links down.
+function createRateLimiter(options) {
+  const store = options.store || rateLimitStore;
+  const windowMs = options.windowSeconds * 1000;
+  
+  return async function rateLimit(req, res, next) {
+    try {
+      const value = options.key(req);
+      
+      if (!value || !options.max) return next();
+      
+      const key = `${options.name}:${options.keyType}:${value}`;
+      const blockedUntil = options.flagOnly ? null : await store.getBlock(key);
+      
+      if (blockedUntil) {
+        return sendRateLimited(req, res, options, blockedUntil);
+      }
+      
+      const { count, resetAt } = await store.increment(key, windowMs);
+      
+      if (count <= options.max) return next();
+      
+      if (options.flagOnly) {
+        req.rateLimited = true;
+        return next();
+      }
+      
+      // Only the first request over the limit in a window is an offence, not every retry after it
+      if (count === options.max + 1) {
+        const blockUntil = await recordRateLimitOffence(store, key, options, value, req);
+        if (blockUntil) return sendRateLimited(req, res, options, blockUntil);
+      }
+      
+      sendRateLimited(req, res, options, resetAt);
+    } catch (error) {
+      // A broken store shouldn't take the public endpoints down with it
+      console.error(`Error checking rate limit ${options.name}:`, error);
+      next();
+    }
+  };
+}
+
+function sendRateLimited(req, res, options, until) {
+  const retryAfter = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+  
+  res.set('Retry-After', String(retryAfter));
+  
+  if (options.onLimited) return options.onLimited(req, res, retryAfter);
+  
+  sendError(res, createHttpError(429, 'Too many requests, please try again later', { retryAfter }));
+}
+
+// Counts an offence against the key and blocks it once it has too many. Returns when the
+// block ends, or null if the key isn't blocked.
+async function recordRateLimitOffence(store, key, options, value, req) {
+  const { count } = await store.increment(`offences:${key}`, CONFIG.RATE_LIMIT_OFFENCE_WINDOW_MINUTES * 60 * 1000);
+  
+  if (count < CONFIG.RATE_LIMIT_BLOCK_AFTER) return null;
+  
+  const blockedUntil = Date.now() + CONFIG.RATE_LIMIT_BLOCK_MINUTES * 60 * 1000;
+  await store.block(key, CONFIG.RATE_LIMIT_BLOCK_MINUTES * 60 * 1000);
+  
+  // Admins get the refCode, but only a hash of an IP address
+  const subject = options.keyType === 'ip' ? getIpHash(value) : value;
+  console.error(`Rate limit ${options.name}: blocked ${options.keyType} ${subject} until ${new Date(blockedUntil).toISOString()}`);
+  
+  if (db) {
+    try {
+      await repos.rateLimitBlocks.collection.add({
+        limiter: options.name,
+        keyType: options.keyType,
+        subject: subject,
+        path: req.path,
+        offences: count,
+        blockedAt: FieldValue.serverTimestamp(),
+        blockedUntil: Timestamp.fromMillis(blockedUntil)
+      });
+    } catch (error) {
+      console.error('Error logging rate limit block:', error);
+    }
+  }
+  
+  return blockedUntil;
+}
+
+// Request validation. A schema lists the fields of req.body and/or req.query with a rule per
+// field; validateRequest rejects the request with a 400 listing every failing field, and
+// replaces values with their parsed/defaulted form (numbers from strings, trimmed strings...).
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SLUG_PATTERN = /^[a-z0-9_.-]{1,50}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function validateField(value, rule) {
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+    case 'slug':
+    case 'date': {
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      
+      let text = value.trim();
+      if (rule.type === 'email' || rule.type === 'slug') text = text.toLowerCase();
+      
+      if (rule.required && text === '') return { error: 'is required' };
+      if (rule.minLength && text.length < rule.minLength) return { error: `must be at least ${rule.minLength} characters` };
+      if (rule.maxLength && text.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+      if (rule.type === 'email' && !EMAIL_PATTERN.test(text)) return { error: 'must be a valid email address' };
+      if (rule.type === 'slug' && !SLUG_PATTERN.test(text)) return { error: 'may only contain letters, numbers, dots, dashes and underscores' };
+      if (rule.type === 'date' && !DATE_PATTERN.test(text)) return { error: 'must be a date in YYYY-MM-DD format' };
+      if (rule.pattern && !rule.pattern.test(text)) return { error: rule.patternMessage || 'has an invalid format' };
+      if (rule.values && !rule.values.includes(text)) return { error: `must be one of ${rule.values.join(', ')}` };
+      
+      return { value: text };
+    }
+    case 'number':
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+      if (rule.type === 'integer' && !Number.isInteger(number)) return { error: 'must be a whole number' };
+      if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && number > rule.max) return { error: `must be at most ${rule.max}` };
+      
+      return { value: number };
+    }
+    case 'boolean':
+      if (value === 'true' || value === true) return { value: true };
+      if (value === 'false' || value === false) return { value: false };
+      return { error: 'must be true or false' };
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'must be an object' };
+      return { value };
+    case 'array': {
+      if (!Array.isArray(value)) return { error: 'must be a list' };
+      if (rule.minItems && value.length < rule.minItems) return { error: `must have at least ${rule.minItems} items` };
+      if (rule.maxItems && value.length > rule.maxItems) return { error: `must have at most ${rule.maxItems} items` };
+      
+      if (!rule.items) return { value };
+      
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const result = validateField(value[i], rule.items);
+        if (result.error) return { error: `item ${i + 1} ${result.error}` };
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+    default:
+      return { value };
+  }
+}
+
+function validateFields(source, fields, location, errors) {
+  const values = { ...source };
+  
+  Object.entries(fields).forEach(([field, rule]) => {
+    const value = source[field];
+    
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        errors.push({ field: `${location}.${field}`, message: 'is required' });
+      } else if (rule.default !== undefined) {
+        values[field] = rule.default;
+      } else {
+        delete values[field];
+      }
+      return;
+    }
+    
+    const result = validateField(value, rule);
+    
+    if (result.error) {
+      errors.push({ field: `${location}.${field}`, message: result.error });
+    } else {
+      values[field] = result.value;
+    }
+  });
+  
+  return values;
+}
+
+function validateRequest(schema) {
+  return (req, res, next) => {
+    const errors = [];
+    
+    const body = schema.body ? validateFields(req.body || {}, schema.body, 'body', errors) : req.body;
+    const query = schema.query ? validateFields(req.query || {}, schema.query, 'query', errors) : req.query;
+    
+    if (errors.length > 0) {
+      return sendError(res, createHttpError(400, 'Request validation failed', errors, 'validation_failed'));
+    }
+    
+    req.body = body;
+    req.query = query;
+    next();
+  };
+}
+
+const REFERRAL_LINK_STATUSES = ['active', 'disabled', 'archived'];
+const ANALYTICS_GRANULARITIES = ['day', 'week', 'month'];
+const CONVERSION_STATUSES = ['claimed', 'pending', 'approved', 'rejected', 'refunded'];
+const PAYOUT_STATUSES = ['requested', 'approved', 'paid', 'rejected'];
+const AFFILIATE_STATUSES = ['pending', 'active', 'suspended', 'terminated'];
+const EMAIL_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+// Emails carrying a sign-in link: their bodies are never shown to admins and are cleared once sent
+const SIGN_IN_LINK_EMAIL_TEMPLATES = ['welcome', 'invite'];
+const NOTIFICATION_FREQUENCIES = ['instant', 'daily', 'weekly', 'off'];
+const COUPON_STATUSES = ['active', 'disabled'];
+const COUPON_DISCOUNT_TYPES = ['percent', 'fixed'];
+const COUPON_CODE_PATTERN = /^[a-zA-Z0-9-]{3,20}$/;
+const WEBHOOK_EVENTS = ['click.recorded', 'conversion.created', 'conversion.approved', 'conversion.rejected', 'payout.paid'];
+const WEBHOOK_DELIVERY_STATUSES = ['queued', 'sending', 'delivered', 'failed'];
+// Each affiliate has a ledger account per balance field. The program account is the other side
+// of commission earned or taken back and of adjustments.
+const LEDGER_ACCOUNTS = ['pending', 'available', 'processing', 'paid'];
+const LEDGER_PROGRAM_ACCOUNT = 'program';
+const LEDGER_ENTRY_TYPES = ['commission', 'approval', 'payout', 'clawback', 'adjustment'];
+// Balance documents read per query when reconciling or opening every balance
+const BALANCE_PAGE_SIZE = 200;
+// The emails each audience can choose how often to get. Account emails (welcome, invites,
+// status changes) always go out straight away.
+const NOTIFICATION_EVENTS = {
+  affiliate: ['conversion', 'conversionDecision', 'payout'],
+  admin: ['conversion', 'registration', 'payoutRequest']
+};
+
+function notificationPreferenceFields(audience) {
+  const fields = {};
+  NOTIFICATION_EVENTS[audience].forEach(event => {
+    fields[event] = { type: 'string', values: NOTIFICATION_FREQUENCIES };
+  });
+  
+  return fields;
+}
+
+const SCHEMAS = {
+  click: {
+    body: {
+      refCode: { type: 'string', required: true, maxLength: 100 },
+      url: { type: 'string', maxLength: 2000, default: '' },
+      path: { type: 'string', maxLength: 2000, default: '' },
+      userAgent: { type: 'string', maxLength: 500 },
+      deviceType: { type: 'slug', default: 'unknown' },
+      source: { type: 'slug', default: 'direct' },
+      visitorId: { type: 'string', maxLength: 100 }
+    }
+  },
+  conversion: {
+    body: {
+      affiliateCode: { type: 'string', maxLength: 100 },
+      clickId: { type: 'string', maxLength: 100 },
+      purchaseAmount: { type: 'number', required: true, min: 0.01 },
+      packageId: { type: 'string', maxLength: 100 },
+      packageName: { type: 'string', maxLength: 200 },
+      bookingId: { type: 'string', maxLength: 200 },
+      sessionId: { type: 'string', maxLength: 200 },
+      currency: { type: 'string', pattern: /^[a-zA-Z]{3}$/, patternMessage: 'must be a three letter currency code' },
+      customerEmail: { type: 'email', maxLength: 200 },
+      customerName: { type: 'string', maxLength: 200 },
+      visitorId: { type: 'string', maxLength: 100 },
+      couponCode: { type: 'string', maxLength: 20 }
+    }
+  },
+  bookingWebhook: {
+    body: {
+      event: { type: 'string', required: true, maxLength: 100 },
+      bookingId: { type: 'string', maxLength: 200 },
+      sessionId: { type: 'string', maxLength: 200 },
+      refCode: { type: 'string', maxLength: 100 },
+      clickId: { type: 'string', maxLength: 100 },
+      purchaseAmount: { type: 'number', min: 0 },
+      packageId: { type: 'string', maxLength: 100 },
+      packageName: { type: 'string', maxLength: 200 },
+      currency: { type: 'string', pattern: /^[a-zA-Z]{3}$/, patternMessage: 'must be a three letter currency code' },
+      customerEmail: { type: 'email', maxLength: 200 },
+      customerName: { type: 'string', maxLength: 200 },
+      couponCode: { type: 'string', maxLength: 20 },
+      refundAmount: { type: 'number', min: 0.01 },
+      refundId: { type: 'string', maxLength: 200 },
+      reason: { type: 'string', maxLength: 500 }
+    }
+  },
+  register: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      email: { type: 'email', required: true, maxLength: 200 },
+      phone: { type: 'string', maxLength: 30 },
+      website: { type: 'string', maxLength: 200 },
+      bio: { type: 'string', maxLength: 2000 },
+      language: { type: 'string', values: SUPPORTED_LANGUAGES },
+      recruiterCode: { type: 'string', maxLength: 100 }
+    }
+  },
+  resendInvite: {
+    body: {
+      email: { type: 'email', required: true, maxLength: 200 }
+    }
+  },
+  listConversions: {
+    query: {
+      status: { type: 'string', values: CONVERSION_STATUSES },
+      affiliateId: { type: 'string', maxLength: 128 },
+      limit: { type: 'integer', min: 1, max: 200 }
+    }
+  },
+  rejection: {
+    body: {
+      reason: { type: 'string', maxLength: 500 }
+    }
+  },
+  refund: {
+    body: {
+      amount: { type: 'number', min: 0.01 },
+      reason: { type: 'string', required: true, maxLength: 500 },
+      refundId: { type: 'string', maxLength: 200 }
+    }
+  },
+  bulkConversions: {
+    body: {
+      conversionIds: { type: 'array', required: true, minItems: 1, maxItems: 100, items: { type: 'string', required: true, maxLength: 100 } },
+      action: { type: 'string', required: true, values: ['approve', 'reject'] },
+      reason: { type: 'string', maxLength: 500 }
+    }
+  },
+  payoutRequest: {
+    body: {
+      amount: { type: 'number', required: true, min: 0.01 },
+      method: { type: 'string', maxLength: 50 },
+      paymentDetails: { type: 'object' },
+      notes: { type: 'string', maxLength: 500 }
+    }
+  },
+  listPayouts: {
+    query: {
+      status: { type: 'string', values: PAYOUT_STATUSES },
+      affiliateId: { type: 'string', maxLength: 128 },
+      limit: { type: 'integer', min: 1, max: 200 }
+    }
+  },
+  payoutDecision: {
+    body: {
+      note: { type: 'string', maxLength: 500 },
+      reason: { type: 'string', maxLength: 500 },
+      transactionReference: { type: 'string', maxLength: 200 }
+    }
+  },
+  commissionPlan: {
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      rate: { type: 'number', min: 0, max: 1 },
+      fixedBonus: { type: 'number', min: 0 },
+      tiers: { type: 'array', maxItems: 20, items: { type: 'object' } },
+      affiliateId: { type: 'string', maxLength: 128 },
+      packageId: { type: 'string', maxLength: 100 },
+      active: { type: 'boolean' }
+    }
+  },
+  exchangeRates: {
+    body: {
+      rates: { type: 'object', required: true }
+    }
+  },
+  referralLink: {
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      linkType: { type: 'slug' },
+      targetPage: { type: 'string', maxLength: 500 },
+      utm: { type: 'object' },
+      status: { type: 'string', values: REFERRAL_LINK_STATUSES }
+    }
+  },
+  analytics: {
+    query: {
+      from: { type: 'date' },
+      to: { type: 'date' },
+      granularity: { type: 'string', values: ANALYTICS_GRANULARITIES, default: 'day' },
+      linkId: { type: 'string', maxLength: 100 },
+      device: { type: 'slug' },
+      source: { type: 'slug' }
+    }
+  },
+  export: {
+    query: {
+      from: { type: 'date' },
+      to: { type: 'date' },
+      format: { type: 'string', values: ['csv', 'json'], default: 'csv' },
+      affiliateId: { type: 'string', maxLength: 128 }
+    }
+  },
+  statement: {
+    query: {
+      year: { type: 'integer', min: 2000, max: 3000 },
+      format: { type: 'string', values: ['csv', 'json'], default: 'json' }
+    }
+  },
+  listRateLimitBlocks: {
+    query: {
+      limit: { type: 'integer', min: 1, max: 200 }
+    }
+  },
+  affiliateNotifications: {
+    body: notificationPreferenceFields('affiliate')
+  },
+  adminNotifications: {
+    body: notificationPreferenceFields('admin')
+  },
+  runDigest: {
+    query: {
+      to: { type: 'date' }
+    }
+  },
+  coupon: {
+    body: {
+      code: { type: 'string', required: true, pattern: COUPON_CODE_PATTERN, patternMessage: 'must be 3 to 20 letters, numbers or dashes' }
+    }
+  },
+  adminCoupon: {
+    body: {
+      code: { type: 'string', required: true, pattern: COUPON_CODE_PATTERN, patternMessage: 'must be 3 to 20 letters, numbers or dashes' },
+      affiliateId: { type: 'string', required: true, maxLength: 128 },
+      discountType: { type: 'string', values: COUPON_DISCOUNT_TYPES },
+      discountValue: { type: 'number', min: 0 }
+    }
+  },
+  couponSettings: {
+    body: {
+      discountType: { type: 'string', values: COUPON_DISCOUNT_TYPES },
+      discountValue: { type: 'number', min: 0 },
+      status: { type: 'string', values: COUPON_STATUSES }
+    }
+  },
+  listCoupons: {
+    query: {
+      affiliateId: { type: 'string', maxLength: 128 },
+      status: { type: 'string', values: COUPON_STATUSES },
+      limit: { type: 'integer', min: 1, max: 200 }
+    }
+  },
+  webhookEndpoint: {
+    body: {
+      url: { type: 'string', maxLength: 500 },
+      events: { type: 'array', minItems: 1, maxItems: WEBHOOK_EVENTS.length, items: { type: 'string', required: true, values: WEBHOOK_EVENTS } },
+      description: { type: 'string', maxLength: 200 },
+      active: { type: 'boolean' }
+    }
+  },
+  listWebhookDeliveries: {
+    query: {
+      webhookId: { type: 'string', maxLength: 128 },
+      status: { type: 'string', values: WEBHOOK_DELIVERY_STATUSES },
+      limit: { type: 'integer', min: 1, max: 200 }
+    }
+  },
+  listLedgerEntries: {
+    query: {
+      type: { type: 'string', values: LEDGER_ENTRY_TYPES },
+      limit: { type: 'integer', min: 1, max: 500 }
+    }
+  },
+  ledgerAdjustment: {
+    body: {
+      account: { type: 'string', required: true, values: LEDGER_ACCOUNTS },
+      amount: { type: 'number', required: true },
+      reason: { type: 'string', required: true, maxLength: 500 }
+    }
+  },
+  ledgerReconciliation: {
+    query: {
+      affiliateId: { type: 'string', maxLength: 128 }
+    }
+  },
+  listEmails: {
+    query: {
+      status: { type: 'string', values: EMAIL_STATUSES },
+      affiliateId: { type: 'string', maxLength: 128 },
+      limit: { type: 'integer', min: 1, max: 200 }
+    }
+  },
+  listAffiliates: {
+    query: {
+      status: { type: 'string', values: AFFILIATE_STATUSES },
+      search: { type: 'string', maxLength: 100 },
+      limit: { type: 'integer', min: 1, max: 200 }
+    }
+  },
+  affiliateProfile: {
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      email: { type: 'email', maxLength: 200 },
+      phone: { type: 'string', maxLength: 30 },
+      website: { type: 'string', maxLength: 200 },
+      bio: { type: 'string', maxLength: 2000 },
+      role: { type: 'string', maxLength: 100 },
+      language: { type: 'string', values: SUPPORTED_LANGUAGES }
+    }
+  },
+  statusChange: {
+    body: {
+      reason: { type: 'string', maxLength: 500 }
+    }
+  }
+};
+
+// Rate limiters for the public endpoints
+function bodyString(field) {
+  return req => (typeof req.body?.[field] === 'string' ? req.body[field].trim() : null);
+}
+
+const RATE_LIMITERS = {
+  clickIp: createRateLimiter({
+    name: 'click',
+    keyType: 'ip',
+    key: req => req.ip,
+    windowSeconds: CONFIG.RATE_LIMITS.click.windowSeconds,
+    max: CONFIG.RATE_LIMITS.click.perIp
+  }),
+  clickRefCode: createRateLimiter({
+    name: 'click',
+    keyType: 'refCode',
+    key: bodyString('refCode'),
+    windowSeconds: CONFIG.RATE_LIMITS.click.windowSeconds,
+    max: CONFIG.RATE_LIMITS.click.perRefCode,
+    flagOnly: true
+  }),
+  // Short links share the click limits, but a limited visitor is still sent on to the website
+  redirectIp: createRateLimiter({
+    name: 'click',
+    keyType: 'ip',
+    key: req => req.ip,
+    windowSeconds: CONFIG.RATE_LIMITS.click.windowSeconds,
+    max: CONFIG.RATE_LIMITS.click.perIp,
+    onLimited: (req, res) => res.redirect(302, CONFIG.SITE_URL)
+  }),
+  redirectRefCode: createRateLimiter({
+    name: 'click',
+    keyType: 'refCode',
+    key: req => req.params.refCode,
+    windowSeconds: CONFIG.RATE_LIMITS.click.windowSeconds,
+    max: CONFIG.RATE_LIMITS.click.perRefCode,
+    flagOnly: true
+  }),
+  conversionIp: createRateLimiter({
+    name: 'conversion',
+    keyType: 'ip',
+    key: req => req.ip,
+    windowSeconds: CONFIG.RATE_LIMITS.conversion.windowSeconds,
+    max: CONFIG.RATE_LIMITS.conversion.perIp
+  }),
+  conversionRefCode: createRateLimiter({
+    name: 'conversion',
+    keyType: 'refCode',
+    key: bodyString('affiliateCode'),
+    windowSeconds: CONFIG.RATE_LIMITS.conversion.windowSeconds,
+    max: CONFIG.RATE_LIMITS.conversion.perRefCode,
+    flagOnly: true
+  }),
+  registerIp: createRateLimiter({
+    name: 'register',
+    keyType: 'ip',
+    key: req => req.ip,
+    windowSeconds: CONFIG.RATE_LIMITS.register.windowSeconds,
+    max: CONFIG.RATE_LIMITS.register.perIp
+  }),
+  resendInviteIp: createRateLimiter({
+    name: 'resend_invite',
+    keyType: 'ip',
+    key: req => req.ip,
+    windowSeconds: CONFIG.RATE_LIMITS.resendInvite.windowSeconds,
+    max: CONFIG.RATE_LIMITS.resendInvite.perIp
+  }),
+  // Keeps the checkout's coupon check from being used to guess codes
+  couponIp: createRateLimiter({
+    name: 'coupon',
+    keyType: 'ip',
+    key: req => req.ip,
+    windowSeconds: CONFIG.RATE_LIMITS.coupon.windowSeconds,
+    max: CONFIG.RATE_LIMITS.coupon.perIp
+  })
+};
+
+// API Endpoints - Using the original client paths
+
+// Track affiliate clicks - Original path
+app.post('/click', RATE_LIMITERS.clickIp, RATE_LIMITERS.clickRefCode, validateRequest(SCHEMAS.click), async (req, res) => {
+  try {
+    if (!db) return sendError(res, createHttpError(500, 'Firebase not initialized'));
+    
+    const { refCode, url, path, userAgent, deviceType, source } = req.body;
+
+    const click = await recordClick({
+      refCode: refCode,
+      url: url,
+      path: path,
+      userAgent: userAgent || req.get('User-Agent'),
+      deviceType: deviceType,
+      source: source,
+      ip: req.ip,
+      visitorId: req.body.visitorId,
+      visitorUserId: await getOptionalUserId(req),
+      rateLimited: req.rateLimited
+    });
+
+    if (!click) {
+      return sendError(res, createHttpError(404, 'Referral link not found'));
+    }
+
+    res.json({ success: true, clickId: click.clickId, counted: click.counted });
+  } catch (error) {
+    console.error('Error tracking click:', error);
+    sendError(res, error, 'Error tracking click');
+  }
+});
+
+// Short referral links for places where the website's click script can't run (bio links etc.).
+// Records the click server-side and sends the visitor on to the link's target page.
+app.get('/r/:refCode', RATE_LIMITERS.redirectIp, RATE_LIMITERS.redirectRefCode, async (req, res) => {
+  try {
+    if (!db) return res.redirect(302, CONFIG.SITE_URL);
+    
+    const userAgent = req.get('User-Agent') || '';
+    const referrer = req.get('Referer') || '';
+    const cookies = parseCookies(req.headers.cookie);
+    const visitorId = cookies[ATTRIBUTION_COOKIES.visitorId] || crypto.randomBytes(16).toString('hex');
+    
+    const click = await recordClick({
+      refCode: req.params.refCode,
+      url: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      path: req.path,
+      userAgent: userAgent,
+      deviceType: detectDeviceType(userAgent),
+      source: req.query.src || detectTrafficSource(referrer),
+      referrer: referrer,
+      ip: req.ip,
+      visitorId: visitorId,
+      rateLimited: req.rateLimited
+    });
+    
+    if (!click) {
+      return res.redirect(302, CONFIG.SITE_URL);
+    }
+    
+    const cookieOptions = {
+      maxAge: CONFIG.ATTRIBUTION_WINDOW_DAYS * 24 * 60 * 60 * 1000,
+      httpOnly: false, // The website's own script reads these
+      secure: req.secure,
+      sameSite: 'lax'
+    };
+    
+    if (process.env.ATTRIBUTION_COOKIE_DOMAIN) {
+      cookieOptions.domain = process.env.ATTRIBUTION_COOKIE_DOMAIN;
+    }
+    
+    res.cookie(ATTRIBUTION_COOKIES.visitorId, visitorId, cookieOptions);
+    res.cookie(ATTRIBUTION_COOKIES.refCode, click.linkData.refCode, cookieOptions);
+    res.cookie(ATTRIBUTION_COOKIES.clickId, click.clickId, cookieOptions);
+    
+    // The cookies only help when we share the website's domain, so pass the same values in the URL
+    const targetUrl = new URL(buildReferralUrl(click.linkData));
+    targetUrl.searchParams.set('click_id', click.clickId);
+    targetUrl.searchParams.set('vid', visitorId);
+    
+    res.redirect(302, targetUrl.toString());
+  } catch (error) {
+    // Never leave a visitor on an error page; losing one click is better than losing the booking
+    console.error('Error redirecting referral link:', error);
+    res.redirect(302, CONFIG.SITE_URL);
+  }
+});
+
+// Track conversions - Original path
+// Until a signed booking webhook confirms the sale this only records a claim, unless
+// REQUIRE_SIGNED_CONVERSIONS is turned off
+app.post('/conversion', RATE_LIMITERS.conversionIp, RATE_LIMITERS.conversionRefCode, validateRequest(SCHEMAS.conversion), async (req, res) => {
+  try {
+    if (!db) return sendError(res, createHttpError(500, 'Firebase not initialized'));
+    
+    const { 
+      affiliateCode, 
+      clickId, 
+      purchaseAmount, 
+      packageId, 
+      packageName, 
+      bookingId, 
+      sessionId, 
+      currency, 
+      customerEmail, 
+      customerName,
+      visitorId,
+      couponCode
+    } = req.body;
+
+    // Visitors arriving through /r/ links carry attribution cookies if we share the site's domain
+    const cookies = parseCookies(req.headers.cookie);
+
+    // Decide which click gets credit rather than trusting the code the browser sent
+    const attribution = await resolveAttribution({
+      affiliateCode: affiliateCode,
+      clickId: clickId || cookies[ATTRIBUTION_COOKIES.clickId],
+      visitorId: visitorId || cookies[ATTRIBUTION_COOKIES.visitorId],
+      visitorHash: getVisitorHash(req.ip, req.get('User-Agent')),
+      coupon: couponCode ? await findActiveCoupon(couponCode) : null
+    });
+
+    if (!attribution.withinWindow && CONFIG.ATTRIBUTION_OUT_OF_WINDOW === 'reject') {
+      return sendError(res, createHttpError(422, 'No referral click found within the attribution window'));
+    }
+
+    if (!attribution.refCode) {
+      return sendError(res, createHttpError(404, couponCode ? 'Coupon code not found' : 'Referral link not found'));
+    }
+
+    // Find the referral link by refCode
+    const linksSnapshot = await repos.referralLinks.byRefCode(attribution.refCode).get();
+
+    if (linksSnapshot.empty) {
+      return sendError(res, createHttpError(404, 'Referral link not found'));
+    }
+
+    const linkDoc = linksSnapshot.docs[0];
+    const linkData = linkDoc.data();
+    const claimOnly = CONFIG.REQUIRE_SIGNED_CONVERSIONS;
+
+    if (!isReferralLinkActive(linkData)) {
+      return sendError(res, createHttpError(410, 'Referral link is no longer active'));
+    }
+
+    if (!await isAffiliateIdActive(linkData.affiliateId)) {
+      return sendError(res, createHttpError(403, 'Affiliate account is not active'));
+    }
+    const commissionPlan = await resolveCommissionPlan(linkData.affiliateId, packageId);
+    const exchangeRate = await getExchangeRate(currency);
+    const override = await resolveOverrideCommission(linkData.affiliateId);
+    
+    // Create the conversion record
+    const conversionData = buildConversionData({
+      affiliateId: linkData.affiliateId,
+      linkId: linkDoc.id,
+      refCode: attribution.refCode,
+      purchaseAmount: purchaseAmount,
+      packageId: packageId,
+      packageName: packageName,
+      bookingId: bookingId,
+      sessionId: sessionId,
+      currency: currency,
+      customerEmail: customerEmail,
+      customerName: customerName,
+      couponCode: attribution.couponCode,
+      commissionPlan: commissionPlan,
+      exchangeRate: exchangeRate,
+      override: override
+    });
+    conversionData.status = claimOnly ? 'claimed' : 'pending';
+    conversionData.verified = false;
+    conversionData.attribution = attribution;
+
+    // Over the refCode's conversion limit: recorded as usual, but flagged for review
+    if (req.rateLimited) {
+      attribution.flags = [...attribution.flags, 'rate_limited'];
+    }
+    
+    const idempotencyKeyRefs = getConversionIdempotencyKeyRefs(req.get('Idempotency-Key'), bookingId, sessionId);
+    const conversionRef = repos.conversions.ref();
+
+    // Record everything in one transaction so a retry or a failure can't leave counters half-updated
+    const result = await db.runTransaction(async transaction => {
+      const keySnapshots = idempotencyKeyRefs.length > 0
+        ? await transaction.getAll(...idempotencyKeyRefs)
+        : [];
+      const existingKey = keySnapshots.find(snapshot => snapshot.exists);
+
+      if (existingKey) {
+        return { conversionId: existingKey.data().conversionId, duplicate: true };
+      }
+
+      if (!claimOnly) {
+        const clickDoc = attribution.clickId ? await transaction.get(repos.clicks.ref(attribution.clickId)) : null;
+        
+        creditConversion(transaction, conversionRef, conversionData, clickDoc);
+      } else if (attribution.clickId) {
+        // Linked to the click once the booking is confirmed
+        conversionData.clickId = attribution.clickId;
+      }
+
+      transaction.set(conversionRef, conversionData);
+      setConversionIdempotencyKeys(transaction, idempotencyKeyRefs, conversionRef.id);
+
+      return { conversionId: conversionRef.id, duplicate: false };
+    });
+
+    if (result.duplicate) {
+      return res.json({ success: true, conversionId: result.conversionId, duplicate: true });
+    }
+
+    if (!claimOnly) {
+      // Send email notifications
+      await sendConversionEmails(conversionData.affiliateId, conversionData.linkId, conversionData.purchaseAmount, conversionData.commissionAmount, {
+        packageName: packageName,
+        customerEmail: customerEmail,
+        customerName: customerName,
+        commissionRate: conversionData.commissionRate,
+        commissionBonus: conversionData.commissionBonus,
+        currency: conversionData.currency,
+        originalCommissionAmount: conversionData.originalCommissionAmount,
+        purchaseAmountGbp: conversionData.purchaseAmountGbp
+      });
+      await raiseWebhookEvent(conversionData.affiliateId, 'conversion.created', conversionWebhookData(result.conversionId, conversionData));
+    }
+
+    res.json({ success: true, conversionId: result.conversionId, status: conversionData.status });
+  } catch (error) {
+    console.error('Error tracking conversion:', error);
+    sendError(res, error, 'Error tracking conversion');
+  }
+});
+
+// Booking confirmations signed by the booking/payment system. This is the only way a
+// claimed conversion is turned into commission.
+app.post('/webhooks/booking', requireBookingSignature, validateRequest(SCHEMAS.bookingWebhook), async (req, res) => {
+  try {
+    if (!db) return sendError(res, createHttpError(500, 'Firebase not initialized'));
+    
+    const { event, bookingId } = req.body;
+    
+    if (event === 'booking.refunded' || event === 'booking.cancelled') {
+      if (!bookingId) throw createHttpError(400, 'bookingId is required');
+      
+      // Only a cancellation reverses the whole booking; a refund says how much went back
+      if (event === 'booking.refunded' && req.body.refundAmount === undefined) {
+        throw createHttpError(400, 'Request validation failed', [{ field: 'body.refundAmount', message: 'is required for booking.refunded' }], 'validation_failed');
+      }
+      
+      // A cancellation gives back whatever hasn't been refunded yet
+      const result = await refundBookingConversion(bookingId, {
+        amount: event === 'booking.refunded' ? req.body.refundAmount : undefined,
+        reason: req.body.reason || (event === 'booking.cancelled' ? 'Booking cancelled' : 'Booking refunded'),
+        refundId: req.body.refundId
+      }, 'booking-webhook');
+      
+      return res.json({ success: true, ...result });
+    }
+    
+    if (event !== 'booking.confirmed') {
+      return res.json({ success: true, ignored: true });
+    }
+    
+    const result = await confirmBookingConversion(req.body);
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error handling booking webhook:', error);
+    sendError(res, error, 'Error handling booking webhook');
+  }
+});
+
+// Register new affiliate - Original path
+app.post('/register', RATE_LIMITERS.registerIp, validateRequest(SCHEMAS.register), async (req, res) => {
+  try {
+    if (!db) return sendError(res, createHttpError(500, 'Firebase not initialized'));
+    
+    const { name, email, phone, website, bio, language, recruiterCode } = req.body;
+    
+    // Admin addresses are set up by hand, never through the public sign-up
+    if (isAdminEmail(email)) {
+      return sendError(res, createHttpError(400, 'Request validation failed', [{ field: 'body.email', message: 'is reserved for an admin account' }], 'validation_failed'));
+    }
+    
+    // Any of the recruiting affiliate's referral codes makes them this affiliate's parent
+    const parentAffiliateId = recruiterCode ? await resolveRecruiter(recruiterCode) : null;
+    
+    // Create user account in Firebase Auth. The affiliate sets their password through the
+    // link in their welcome email.
+    const userRecord = await auth.createUser({
+      email: email,
+      displayName: name
+    });
+
+    // Create affiliate record
+    const affiliateData = {
+      name: name,
+      email: email,
+      phone: phone || '',
+      website: website || '',
+      bio: bio || '',
+      role: 'Travel Affiliate',
+      language: language || DEFAULT_LANGUAGE,
+      status: CONFIG.AUTO_APPROVE_AFFILIATES ? 'active' : 'pending',
+      parentAffiliateId: parentAffiliateId,
+      recruiterCode: parentAffiliateId ? recruiterCode : null,
+      passwordSet: false,
+      createdAt: FieldValue.serverTimestamp(),
+      totalReferrals: 0,
+      monthlyEarnings: 0,
+      totalEarnings: 0,
+      conversionRate: 0,
+      referralChange: 0,
+      revenueChange: 0,
+      conversionRateChange: 0
+    };
+
+    await repos.affiliates.ref(userRecord.uid).set(affiliateData);
+
+    // Create initial referral links
+    await createInitialReferralLinks(userRecord.uid);
+
+    // Create initial balance document, keyed by the affiliate like their ledger
+    await repos.balances.ref(userRecord.uid).set({
+      userId: userRecord.uid,
+      available: 0,
+      pending: 0,
+      processing: 0,
+      paid: 0,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+
+    // Send welcome emails, with a link to set a password
+    let onboardingLink = null;
+    try {
+      onboardingLink = await generateOnboardingLink(email, false);
+    } catch (error) {
+      console.error('Error generating onboarding link:', error);
+    }
+    
+    await sendWelcomeEmails(userRecord.uid, affiliateData, onboardingLink);
+
+    res.json({ success: true, userId: userRecord.uid, status: affiliateData.status });
+  } catch (error) {
+    console.error('Error registering affiliate:', error);
+    
+    // If email already exists, try to handle gracefully
+    if (error.code === 'auth/email-already-exists') {
+      return sendError(res, createHttpError(400, 'This email is already registered. Please login with your existing account.', null, 'email_already_registered'));
+    }
+    
+    // Firebase Auth has its own rules for this on top of ours
+    if (error.code === 'auth/invalid-email') {
+      return sendError(res, createHttpError(400, 'Request validation failed', [{ field: 'body.email', message: 'is not accepted' }], 'validation_failed'));
+    }
+    
+    sendError(res, error, 'Error creating affiliate account');
+  }
+});
+
+// Get dashboard data - Original path
+app.get('/dashboard', requireAuth, async (req, res) => {
+  try {
+    // The current user ID comes from the auth token
+    const userId = req.user.uid;
+    
+    // Get affiliate profile
+    const affiliateDoc = await repos.affiliates.ref(userId).get();
+    
+    if (!affiliateDoc.exists) {
+      return sendError(res, createHttpError(404, 'Affiliate not found'));
+    }
+    
+    const profile = {
+      ...affiliateDoc.data(),
+      ...await updateProfileChanges(userId, affiliateDoc.data())
+    };
+    
+    // Get balance
+    const balance = await getAffiliateBalance(userId);
+    
+    // Get referral links
+    const linksSnapshot = await repos.referralLinks.byAffiliate(userId).get();
+      
+    const links = linksSnapshot.docs
+      .map(formatReferralLink)
+      .filter(link => link.status !== 'archived');
+    
+    // Get recent conversions
+    const conversionsSnapshot = await repos.conversions.byAffiliate(userId)
+      .orderBy('timestamp', 'desc')
+      .limit(10)
+      .get();
+      
+    const conversions = conversionsSnapshot.docs.map(doc => doc.data());
+    
+    // Sub-affiliates this affiliate recruited and the override commission earned on their sales
+    const team = await getTeamSummary(userId);
+    
+    // Return all data
+    res.json({
+      profile,
+      currency: CONFIG.LEDGER_CURRENCY,
+      balance,
+      links,
+      conversions,
+      team
+    });
+  } catch (error) {
+    console.error('Error getting dashboard data:', error);
+    sendError(res, error, 'Error getting dashboard data');
+  }
+});
+
+// Affiliate: how often to be emailed about each event
+app.get('/notification-preferences', requireAuth, async (req, res) => {
+  try {
+    const affiliateDoc = await repos.affiliates.ref(req.user.uid).get();
+    
+    if (!affiliateDoc.exists) {
+      return sendError(res, createHttpError(404, 'Affiliate not found'));
+    }
+    
+    res.json({
+      success: true,
+      preferences: getNotificationPreferences('affiliate', affiliateDoc.data().notificationPreferences),
+      frequencies: NOTIFICATION_FREQUENCIES
+    });
+  } catch (error) {
+    console.error('Error getting notification preferences:', error);
+    sendError(res, error, 'Error getting notification preferences');
+  }
+});
+
+app.put('/notification-preferences', requireAuth, validateRequest(SCHEMAS.affiliateNotifications), async (req, res) => {
+  try {
+    const affiliateRef = repos.affiliates.ref(req.user.uid);
+    const affiliateDoc = await affiliateRef.get();
+    
+    if (!affiliateDoc.exists) {
+      return sendError(res, createHttpError(404, 'Affiliate not found'));
+    }
+    
+    const preferences = getNotificationPreferences('affiliate', {
+      ...affiliateDoc.data().notificationPreferences,
+      ...req.body
+    });
+    
+    await affiliateRef.update({
+      notificationPreferences: preferences,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    
+    res.json({ success: true, preferences });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    sendError(res, error, 'Error updating notification preferences');
+  }
+});
+
+// Admin: list conversions, optionally filtered by status and affiliate
+app.get('/admin/conversions', requireAdmin, validateRequest(SCHEMAS.listConversions), async (req, res) => {
+  try {
+    const { status, affiliateId } = req.query;
+    const limit = req.query.limit || 50;
+
+    let query = repos.conversions.collection;
+
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    if (affiliateId) {
+      query = query.where('affiliateId', '==', affiliateId);
+    }
+
+    const conversionsSnapshot = await query
+      .orderBy('timestamp', 'desc')
+      .limit(limit)
+      .get();
+
+    const conversions = conversionsSnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+
+    res.json({ success: true, conversions });
+  } catch (error) {
+    console.error('Error listing conversions:', error);
+    sendError(res, error, 'Error listing conversions');
+  }
+});
+
+// Admin: approve a pending conversion
+app.post('/admin/conversions/:conversionId/approve', requireAdmin, async (req, res) => {
+  try {
+    const conversion = await approveConversion(req.params.conversionId, req.user.email);
+
+    res.json({ success: true, conversionId: req.params.conversionId, status: conversion.status });
+  } catch (error) {
+    console.error('Error approving conversion:', error);
+    sendError(res, error, 'Error approving conversion');
+  }
+});
+
+// Admin: reject a pending or approved conversion
+app.post('/admin/conversions/:conversionId/reject', requireAdmin, validateRequest(SCHEMAS.rejection), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const conversion = await rejectConversion(req.params.conversionId, req.user.email, reason);
+
+    res.json({ success: true, conversionId: req.params.conversionId, status: conversion.status });
+  } catch (error) {
+    console.error('Error rejecting conversion:', error);
+    sendError(res, error, 'Error rejecting conversion');
+  }
+});
+
+// Admin: record a full or partial refund of a booking. Without an amount, everything not yet
+// refunded is refunded.
+app.post('/admin/bookings/:bookingId/refund', requireAdmin, validateRequest(SCHEMAS.refund), async (req, res) => {
+  try {
+    const { amount, reason, refundId } = req.body;
+    const result = await refundBookingConversion(req.params.bookingId, { amount, reason, refundId }, req.user.email);
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error refunding booking:', error);
+    sendError(res, error, 'Error refunding booking');
+  }
+});
+
+// Admin: approve or reject several conversions in one request
+app.post('/admin/conversions/bulk', requireAdmin, validateRequest(SCHEMAS.bulkConversions), async (req, res) => {
+  try {
+    const { conversionIds, action, reason } = req.body;
+
+    // Process one at a time so each decision gets its own transaction and email
+    const results = [];
+    for (const conversionId of conversionIds) {
+      try {
+        const conversion = action === 'approve'
+          ? await approveConversion(conversionId, req.user.email)
+          : await rejectConversion(conversionId, req.user.email, reason);
+
+        results.push({ conversionId, success: true, status: conversion.status });
+      } catch (error) {
+        if (!error.expose) console.error(`Error processing conversion ${conversionId}:`, error);
+        results.push({
+          conversionId,
+          success: false,
+          error: error.expose ? { code: error.code, message: error.message } : { code: ERROR_CODES[500], message: 'Error processing conversion' }
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      processed: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results
+    });
+  } catch (error) {
+    console.error('Error processing conversions:', error);
+    sendError(res, error, 'Error processing conversions');
+  }
+});
+
+// Affiliate: request a payout from the available balance
+app.post('/payouts', requireAuth, validateRequest(SCHEMAS.payoutRequest), async (req, res) => {
+  try {
+    const { amount, method, paymentDetails, notes } = req.body;
+    const payoutAmount = roundMoney(amount);
+    
+    if (payoutAmount < CONFIG.MIN_PAYOUT_AMOUNT) {
+      return sendError(res, createHttpError(400, `The minimum payout amount is £${CONFIG.MIN_PAYOUT_AMOUNT}`));
+    }
+    
+    const payout = await requestPayout(req.user.uid, payoutAmount, {
+      method: method || 'bank_transfer',
+      paymentDetails: paymentDetails || {},
+      notes: notes || ''
+    });
+    
+    res.json({ success: true, payoutId: payout.id, status: payout.status });
+  } catch (error) {
+    console.error('Error requesting payout:', error);
+    sendError(res, error, 'Error requesting payout');
+  }
+});
+
+// Affiliate: payout history
+app.get('/payouts', requireAuth, async (req, res) => {
+  try {
+    const payoutsSnapshot = await repos.payouts.byAffiliate(req.user.uid)
+      .orderBy('requestedAt', 'desc')
+      .limit(50)
+      .get();
+    
+    const payouts = payoutsSnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+    
+    res.json({ success: true, payouts });
+  } catch (error) {
+    console.error('Error getting payouts:', error);
+    sendError(res, error, 'Error getting payouts');
+  }
+});
+
+// Admin: list payout requests, optionally filtered by status and affiliate
+app.get('/admin/payouts', requireAdmin, validateRequest(SCHEMAS.listPayouts), async (req, res) => {
+  try {
+    const { status, affiliateId } = req.query;
+    const limit = req.query.limit || 50;
+    
+    let query = repos.payouts.collection;
+    
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    
+    if (affiliateId) {
+      query = query.where('affiliateId', '==', affiliateId);
+    }
+    
+    const payoutsSnapshot = await query
+      .orderBy('requestedAt', 'desc')
+      .limit(limit)
+      .get();
+    
+    const payouts = payoutsSnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+    
+    res.json({ success: true, payouts });
+  } catch (error) {
+    console.error('Error listing payouts:', error);
+    sendError(res, error, 'Error listing payouts');
+  }
+});
+
+// Admin: approve a payout request
+app.post('/admin/payouts/:payoutId/approve', requireAdmin, validateRequest(SCHEMAS.payoutDecision), async (req, res) => {
+  try {
+    const payout = await updatePayoutStatus(req.params.payoutId, 'approved', req.user.email, {
+      note: req.body.note
+    });
+    
+    res.json({ success: true, payoutId: payout.id, status: payout.status });
+  } catch (error) {
+    console.error('Error approving payout:', error);
+    sendError(res, error, 'Error approving payout');
+  }
+});
+
+// Admin: mark an approved payout as paid
+app.post('/admin/payouts/:payoutId/paid', requireAdmin, validateRequest(SCHEMAS.payoutDecision), async (req, res) => {
+  try {
+    const payout = await updatePayoutStatus(req.params.payoutId, 'paid', req.user.email, {
+      note: req.body.note,
+      transactionReference: req.body.transactionReference
+    });
+    
+    res.json({ success: true, payoutId: payout.id, status: payout.status });
+  } catch (error) {
+    console.error('Error marking payout as paid:', error);
+    sendError(res, error, 'Error marking payout as paid');
+  }
+});
+
+// Admin: reject a payout request and return the money to the available balance
+app.post('/admin/payouts/:payoutId/reject', requireAdmin, validateRequest(SCHEMAS.payoutDecision), async (req, res) => {
+  try {
+    const payout = await updatePayoutStatus(req.params.payoutId, 'rejected', req.user.email, {
+      note: req.body.reason
+    });
+    
+    res.json({ success: true, payoutId: payout.id, status: payout.status });
+  } catch (error) {
+    console.error('Error rejecting payout:', error);
+    sendError(res, error, 'Error rejecting payout');
+  }
+});
+
+// Admin: an affiliate's ledger entries, newest first
+app.get('/admin/affiliates/:affiliateId/ledger', requireAdmin, validateRequest(SCHEMAS.listLedgerEntries), async (req, res) => {
+  try {
+    const { type } = req.query;
+    const limit = req.query.limit || 100;
+    
+    let query = repos.ledger.byAffiliate(req.params.affiliateId);
+    if (type) query = query.where('type', '==', type);
+    
+    const entriesSnapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    const entries = entriesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('Error listing ledger entries:', error);
+    sendError(res, error, 'Error listing ledger entries');
+  }
+});
+
+// Admin: correct an affiliate's balance with an adjustment entry. A positive amount credits
+// the account from the program; a negative one takes it back.
+app.post('/admin/affiliates/:affiliateId/ledger/adjustments', requireAdmin, validateRequest(SCHEMAS.ledgerAdjustment), async (req, res) => {
+  try {
+    const { account, amount, reason } = req.body;
+    
+    if (roundMoney(amount) === 0) {
+      return sendError(res, createHttpError(400, 'Request validation failed', [{ field: 'body.amount', message: 'must not be zero' }], 'validation_failed'));
+    }
+    
+    const entry = await postLedgerAdjustment(req.params.affiliateId, account, amount, reason, req.user.email);
+    
+    res.json({ success: true, entry });
+  } catch (error) {
+    console.error('Error adjusting balance:', error);
+    sendError(res, error, 'Error adjusting balance');
+  }
+});
+
+// Admin: reset an affiliate's balance to what their ledger adds up to, after drift
+app.post('/admin/affiliates/:affiliateId/ledger/rebuild-balance', requireAdmin, async (req, res) => {
+  try {
+    const balance = await rebuildBalanceFromLedger(req.params.affiliateId);
+    
+    res.json({ success: true, balance });
+  } catch (error) {
+    console.error('Error rebuilding balance:', error);
+    sendError(res, error, 'Error rebuilding balance');
+  }
+});
+
+// Admin: check every balance against its ledger and report any drift
+app.get('/admin/ledger/reconciliation', requireAdmin, validateRequest(SCHEMAS.ledgerReconciliation), async (req, res) => {
+  try {
+    const report = await getLedgerReconciliation(req.query.affiliateId);
+    
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error reconciling ledger:', error);
+    sendError(res, error, 'Error reconciling ledger');
+  }
+});
+
+// Admin: bring balance documents from before the ledger into it, as opening balance entries.
+// Run once after upgrading; documents already brought in are skipped.
+app.post('/admin/ledger/opening-balances', requireAdmin, async (req, res) => {
+  try {
+    const result = await openLegacyBalances(req.user.email);
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error opening legacy balances:', error);
+    sendError(res, error, 'Error opening legacy balances');
+  }
+});
+
+// Admin: list commission plans
+app.get('/admin/commission-plans', requireAdmin, async (req, res) => {
+  try {
+    const plansSnapshot = await repos.commissionPlans.collection.get();
+    
+    const plans = plansSnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+    
+    res.json({ success: true, defaultRate: CONFIG.COMMISSION_RATE, plans });
+  } catch (error) {
+    console.error('Error listing commission plans:', error);
+    sendError(res, error, 'Error listing commission plans');
+  }
+});
+
+// Admin: create a commission plan
+app.post('/admin/commission-plans', requireAdmin, validateRequest(SCHEMAS.commissionPlan), async (req, res) => {
+  try {
+    const plan = normalizeCommissionPlan(req.body, false);
+    
+    const planRef = await repos.commissionPlans.collection.add({
+      ...plan,
+      createdBy: req.user.email,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    
+    res.json({ success: true, planId: planRef.id });
+  } catch (error) {
+    console.error('Error creating commission plan:', error);
+    sendError(res, error, 'Error creating commission plan');
+  }
+});
+
+// Admin: update a commission plan
+app.put('/admin/commission-plans/:planId', requireAdmin, validateRequest(SCHEMAS.commissionPlan), async (req, res) => {
+  try {
+    const planRef = repos.commissionPlans.ref(req.params.planId);
+    const planDoc = await planRef.get();
+    
+    if (!planDoc.exists) {
+      return sendError(res, createHttpError(404, 'Commission plan not found'));
+    }
+    
+    const plan = normalizeCommissionPlan(req.body, true);
+    
+    await planRef.update({
+      ...plan,
+      updatedBy: req.user.email,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    
+    res.json({ success: true, planId: planRef.id });
+  } catch (error) {
+    console.error('Error updating commission plan:', error);
+    sendError(res, error, 'Error updating commission plan');
+  }
+});
+
+// Admin: delete a commission plan. Conversions keep the rate they were paid at.
+app.delete('/admin/commission-plans/:planId', requireAdmin, async (req, res) => {
+  try {
+    const planRef = repos.commissionPlans.ref(req.params.planId);
+    const planDoc = await planRef.get();
+    
+    if (!planDoc.exists) {
+      return sendError(res, createHttpError(404, 'Commission plan not found'));
+    }
+    
+    await planRef.delete();
+    
+    res.json({ success: true, planId: planRef.id });
+  } catch (error) {
+    console.error('Error deleting commission plan:', error);
+    sendError(res, error, 'Error deleting commission plan');
+  }
+});
+
+// Admin: exchange rates used to convert bookings into GBP
+app.get('/admin/exchange-rates', requireAdmin, async (req, res) => {
+  try {
+    const rates = await getExchangeRates();
+    
+    res.json({ success: true, base: CONFIG.LEDGER_CURRENCY, rates });
+  } catch (error) {
+    console.error('Error getting exchange rates:', error);
+    sendError(res, error, 'Error getting exchange rates');
+  }
+});
+
+// Admin: update exchange rates. Each rate is the GBP value of one unit of that currency.
+app.put('/admin/exchange-rates', requireAdmin, validateRequest(SCHEMAS.exchangeRates), async (req, res) => {
+  try {
+    const { rates } = req.body;
+    
+    const update = {};
+    for (const [currency, rate] of Object.entries(rates)) {
+      const code = normalizeCurrency(currency);
+      
+      if (!/^[a-z]{3}$/.test(code) || typeof rate !== 'number' || rate <= 0) {
+        return sendError(res, createHttpError(400, `Invalid rate for ${currency}`));
+      }
+      
+      if (code !== CONFIG.LEDGER_CURRENCY) update[code] = rate;
+    }
+    
+    await repos.settings.ref('exchangeRates').set({
+      base: CONFIG.LEDGER_CURRENCY,
+      rates: update,
+      updatedBy: req.user.email,
+      updatedAt: FieldValue.serverTimestamp()
+    }, { merge: true });
+    
+    res.json({ success: true, rates: await getExchangeRates() });
+  } catch (error) {
+    console.error('Error updating exchange rates:', error);
+    sendError(res, error, 'Error updating exchange rates');
+  }
+});
+
+// Affiliate: list own referral links
+app.get('/links', requireAuth, async (req, res) => {
+  try {
+    const linksSnapshot = await repos.referralLinks.byAffiliate(req.user.uid).get();
+    
+    const includeArchived = req.query.includeArchived === 'true';
+    
+    const links = linksSnapshot.docs
+      .map(formatReferralLink)
+      .filter(link => includeArchived || link.status !== 'archived');
+    
+    res.json({ success: true, links });
+  } catch (error) {
+    console.error('Error listing referral links:', error);
+    sendError(res, error, 'Error listing referral links');
+  }
+});
+
+// Affiliate: create a referral link for a campaign or a specific page
+app.post('/links', requireAuth, validateRequest(SCHEMAS.referralLink), async (req, res) => {
+  try {
+    const linkFields = normalizeReferralLinkFields(req.body, false);
+    
+    const linksSnapshot = await repos.referralLinks.byAffiliate(req.user.uid).get();
+    
+    if (linksSnapshot.size >= CONFIG.MAX_LINKS_PER_AFFILIATE) {
+      return sendError(res, createHttpError(400, `You can have at most ${CONFIG.MAX_LINKS_PER_AFFILIATE} referral links`));
+    }
+    
+    const linkType = req.body.linkType || 'custom';
+    
+    const linkRef = await repos.referralLinks.collection.add({
+      affiliateId: req.user.uid,
+      linkType: linkType,
+      refCode: generateReferralCode(req.user.uid, linkType),
+      ...linkFields,
+      status: 'active',
+      createdAt: FieldValue.serverTimestamp(),
+      clicks: 0,
+      conversions: 0,
+      earnings: 0
+    });
+    
+    res.json({ success: true, link: formatReferralLink(await linkRef.get()) });
+  } catch (error) {
+    console.error('Error creating referral link:', error);
+    sendError(res, error, 'Error creating referral link');
+  }
+});
+
+// Affiliate: edit a referral link's name, target page, UTM parameters or status
+app.put('/links/:linkId', requireAuth, validateRequest(SCHEMAS.referralLink), async (req, res) => {
+  try {
+    const linkDoc = await getOwnedReferralLink(req.params.linkId, req.user.uid);
+    const update = normalizeReferralLinkFields(req.body, true);
+    
+    if (req.body.status !== undefined) {
+      update.status = req.body.status;
+    }
+    
+    await linkDoc.ref.update({
+      ...update,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    
+    res.json({ success: true, link: formatReferralLink(await linkDoc.ref.get()) });
+  } catch (error) {
+    console.error('Error updating referral link:', error);
+    sendError(res, error, 'Error updating referral link');
+  }
+});
+
+// Affiliate: archive a referral link. Its history is kept but the code stops working.
+app.delete('/links/:linkId', requireAuth, async (req, res) => {
+  try {
+    const linkDoc = await getOwnedReferralLink(req.params.linkId, req.user.uid);
+    
+    await linkDoc.ref.update({
+      status: 'archived',
+      archivedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    
+    res.json({ success: true, linkId: linkDoc.id, status: 'archived' });
+  } catch (error) {
+    console.error('Error archiving referral link:', error);
+    sendError(res, error, 'Error archiving referral link');
+  }
+});
+
+// Affiliate: replace a link's refCode, e.g. after it leaked. The old code stops working.
+app.post('/links/:linkId/regenerate', requireAuth, async (req, res) => {
+  try {
+    const linkDoc = await getOwnedReferralLink(req.params.linkId, req.user.uid);
+    const linkData = linkDoc.data();
+    
+    await linkDoc.ref.update({
+      refCode: generateReferralCode(req.user.uid, linkData.linkType || 'custom'),
+      previousRefCodes: FieldValue.arrayUnion(linkData.refCode),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    
+    res.json({ success: true, link: formatReferralLink(await linkDoc.ref.get()) });
+  } catch (error) {
+    console.error('Error regenerating referral link:', error);
+    sendError(res, error, 'Error regenerating referral link');
+  }
+});
+
+// Affiliate: own coupon codes
+app.get('/coupons', requireAuth, async (req, res) => {
+  try {
+    const couponsSnapshot = await repos.coupons.byAffiliate(req.user.uid).get();
+    
+    res.json({ success: true, coupons: couponsSnapshot.docs.map(formatCoupon) });
+  } catch (error) {
+    console.error('Error listing coupons:', error);
+    sendError(res, error, 'Error listing coupons');
+  }
+});
+
+// Affiliate: claim a vanity coupon code to share where links can't be clicked
+app.post('/coupons', requireAuth, validateRequest(SCHEMAS.coupon), async (req, res) => {
+  try {
+    const couponDoc = await createCoupon(req.user.uid, req.body.code);
+    
+    res.json({ success: true, coupon: formatCoupon(couponDoc) });
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    sendError(res, error, 'Error creating coupon');
+  }
+});
+
+// Affiliate: stop a coupon code from working. Its history is kept and the code stays taken.
+app.delete('/coupons/:couponCode', requireAuth, async (req, res) => {
+  try {
+    const couponDoc = await getOwnedCoupon(req.params.couponCode, req.user.uid);
+    
+    await couponDoc.ref.update({
+      status: 'disabled',
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    
+    res.json({ success: true, code: couponDoc.id, status: 'disabled' });
+  } catch (error) {
+    console.error('Error disabling coupon:', error);
+    sendError(res, error, 'Error disabling coupon');
+  }
+});
+
+// Checkout: whether a coupon code can be used and the discount it gives
+app.get('/coupons/:couponCode/validate', RATE_LIMITERS.couponIp, async (req, res) => {
+  try {
+    if (!db) return sendError(res, createHttpError(500, 'Firebase not initialized'));
+    
+    const coupon = await findActiveCoupon(req.params.couponCode);
+    
+    if (!coupon) {
+      return sendError(res, createHttpError(404, 'Coupon code not found'));
+    }
+    
+    res.json({ success: true, valid: true, code: coupon.code, discount: coupon.discount });
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    sendError(res, error, 'Error validating coupon');
+  }
+});
+
+// Admin: all coupon codes, optionally for one affiliate
+app.get('/admin/coupons', requireAdmin, validateRequest(SCHEMAS.listCoupons), async (req, res) => {
+  try {
+    const { affiliateId, status } = req.query;
+    const limit = req.query.limit || 100;
+    
+    let query = repos.coupons.collection;
+    if (affiliateId) query = query.where('affiliateId', '==', affiliateId);
+    if (status) query = query.where('status', '==', status);
+    
+    const couponsSnapshot = await query.limit(limit).get();
+    
+    res.json({ success: true, coupons: couponsSnapshot.docs.map(formatCoupon) });
+  } catch (error) {
+    console.error('Error listing coupons:', error);
+    sendError(res, error, 'Error listing coupons');
+  }
+});
+
+// Admin: create a coupon code for an affiliate, e.g. for a radio partnership
+app.post('/admin/coupons', requireAdmin, validateRequest(SCHEMAS.adminCoupon), async (req, res) => {
+  try {
+    const { code, affiliateId, discountType, discountValue } = req.body;
+    const affiliateDoc = await repos.affiliates.ref(affiliateId).get();
+    
+    if (!affiliateDoc.exists) {
+      return sendError(res, createHttpError(404, 'Affiliate not found'));
+    }
+    
+    const couponDoc = await createCoupon(affiliateId, code, { discountType, discountValue });
+    
+    res.json({ success: true, coupon: formatCoupon(couponDoc) });
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    sendError(res, error, 'Error creating coupon');
+  }
+});
+
+// Admin: set the customer discount on a coupon code, or disable or re-enable it
+app.put('/admin/coupons/:couponCode', requireAdmin, validateRequest(SCHEMAS.couponSettings), async (req, res) => {
+  try {
+    const couponDoc = await getCouponDoc(req.params.couponCode);
+    
+    if (!couponDoc) {
+      return sendError(res, createHttpError(404, 'Coupon code not found'));
+    }
+    
+    const update = normalizeCouponDiscount(req.body, couponDoc.data());
+    if (req.body.status !== undefined) update.status = req.body.status;
+    
+    await couponDoc.ref.update({
+      ...update,
+      updatedAt: FieldValue.serverTimestamp(),
+      updatedBy: req.user.email
+    });
+    
+    res.json({ success: true, coupon: formatCoupon(await couponDoc.ref.get()) });
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+    sendError(res, error, 'Error updating coupon');
+  }
+});
+
+// Affiliate: own webhook endpoints, without their secrets
+app.get('/webhook-endpoints', requireAuth, async (req, res) => {
+  try {
+    const endpointsSnapshot = await webhooks.endpoints.where('affiliateId', '==', req.user.uid).get();
+    
+    res.json({
+      success: true,
+      events: WEBHOOK_EVENTS,
+      endpoints: endpointsSnapshot.docs.map(doc => formatWebhookEndpoint(doc, false))
+    });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    sendError(res, error, 'Error listing webhooks');
+  }
+});
+
+// Affiliate: add a webhook/postback URL. The signing secret is only returned here.
+app.post('/webhook-endpoints', requireAuth, validateRequest(SCHEMAS.webhookEndpoint), async (req, res) => {
+  try {
+    const endpointFields = normalizeWebhookEndpointFields(req.body, false);
+    const endpointsSnapshot = await webhooks.endpoints.where('affiliateId', '==', req.user.uid).get();
+    
+    if (endpointsSnapshot.size >= CONFIG.MAX_WEBHOOKS_PER_AFFILIATE) {
+      return sendError(res, createHttpError(400, `You can have at most ${CONFIG.MAX_WEBHOOKS_PER_AFFILIATE} webhooks`));
+    }
+    
+    const endpointRef = await webhooks.endpoints.add({
+      affiliateId: req.user.uid,
+      ...endpointFields,
+      secret: generateSecret(),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    
+    res.json({ success: true, endpoint: formatWebhookEndpoint(await endpointRef.get(), true) });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    sendError(res, error, 'Error creating webhook');
+  }
+});
+
+// Affiliate: change a webhook's URL, events or description, or pause it
+app.put('/webhook-endpoints/:webhookId', requireAuth, validateRequest(SCHEMAS.webhookEndpoint), async (req, res) => {
+  try {
+    const endpointDoc = await getOwnedWebhookEndpoint(req.params.webhookId, req.user.uid);
+    const update = normalizeWebhookEndpointFields(req.body, true);
+    
+    await endpointDoc.ref.update({
+      ...update,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    
+    res.json({ success: true, endpoint: formatWebhookEndpoint(await endpointDoc.ref.get(), false) });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    sendError(res, error, 'Error updating webhook');
+  }
+});
+
+// Affiliate: remove a webhook. Its queued deliveries fail instead of being sent.
+app.delete('/webhook-endpoints/:webhookId', requireAuth, async (req, res) => {
+  try {
+    const endpointDoc = await getOwnedWebhookEndpoint(req.params.webhookId, req.user.uid);
+    
+    await endpointDoc.ref.delete();
+    
+    res.json({ success: true, webhookId: endpointDoc.id, deleted: true });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    sendError(res, error, 'Error deleting webhook');
+  }
+});
+
+// Affiliate: replace a webhook's signing secret, e.g. after it leaked. Takes effect from the next attempt.
+app.post('/webhook-endpoints/:webhookId/rotate-secret', requireAuth, async (req, res) => {
+  try {
+    const endpointDoc = await getOwnedWebhookEndpoint(req.params.webhookId, req.user.uid);
+    
+    await endpointDoc.ref.update({
+      secret: generateSecret(),
+      secretRotatedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    
+    res.json({ success: true, endpoint: formatWebhookEndpoint(await endpointDoc.ref.get(), true) });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    sendError(res, error, 'Error rotating webhook secret');
+  }
+});
+
+// Affiliate: recent webhook deliveries, newest first, without their payloads
+app.get('/webhook-deliveries', requireAuth, validateRequest(SCHEMAS.listWebhookDeliveries), async (req, res) => {
+  try {
+    const { webhookId, status } = req.query;
+    const limit = req.query.limit || 50;
+    
+    let query = webhooks.deliveries.where('affiliateId', '==', req.user.uid);
+    if (webhookId) query = query.where('webhookId', '==', webhookId);
+    if (status) query = query.where('status', '==', status);
+    
+    const deliveriesSnapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    
+    const deliveries = deliveriesSnapshot.docs.map(doc => {
+      const { payload, ...delivery } = doc.data();
+      return { id: doc.id, ...delivery };
+    });
+    
+    res.json({ success: true, deliveries });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    sendError(res, error, 'Error listing webhook deliveries');
+  }
+});
+
+// Affiliate: one delivery with its payload and every attempt
+app.get('/webhook-deliveries/:deliveryId', requireAuth, async (req, res) => {
+  try {
+    const deliveryDoc = await getOwnedWebhookDelivery(req.params.deliveryId, req.user.uid);
+    const { payload, ...delivery } = deliveryDoc.data();
+    
+    const attemptsSnapshot = await webhooks.attempts
+      .where('deliveryId', '==', deliveryDoc.id)
+      .orderBy('at')
+      .get();
+    
+    res.json({
+      success: true,
+      delivery: { id: deliveryDoc.id, ...delivery, payload: JSON.parse(payload) },
+      attempts: attemptsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    });
+  } catch (error) {
+    console.error('Error getting webhook delivery:', error);
+    sendError(res, error, 'Error getting webhook delivery');
+  }
+});
+
+// Affiliate: send a delivery again as a new delivery with the same event ID and payload
+app.post('/webhook-deliveries/:deliveryId/replay', requireAuth, async (req, res) => {
+  try {
+    const deliveryDoc = await getOwnedWebhookDelivery(req.params.deliveryId, req.user.uid);
+    const result = await webhooks.replay(deliveryDoc.id);
+    
+    if (!result) {
+      return sendError(res, createHttpError(404, 'Webhook not found'));
+    }
+    
+    res.json({ success: true, deliveryId: result.id, replayOf: deliveryDoc.id, status: result.status });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    sendError(res, error, 'Error replaying webhook delivery');
+  }
+});
+
+// Affiliate: clicks, conversions and earnings over a date range, with breakdowns and the
+// change against the previous period of the same length
+app.get('/analytics', requireAuth, validateRequest(SCHEMAS.analytics), async (req, res) => {
+  try {
+    const { linkId, device, source, granularity } = req.query;
+    
+    // Stats are kept per link, per device and per source, but not per combination of them
+    const filterFields = ['linkId', 'device', 'source'].filter(field => req.query[field]);
+    
+    if (filterFields.length > 1) {
+      return sendError(res, createHttpError(400, 'Request validation failed', [
+        { field: `query.${filterFields[1]}`, message: `can't be combined with ${filterFields[0]}` }
+      ], 'validation_failed'));
+    }
+    
+    const range = parseDateRange(req.query.from, req.query.to);
+    
+    if (linkId) {
+      await getOwnedReferralLink(linkId, req.user.uid);
+    }
+    
+    const filters = { linkId, device, source };
+    const analytics = await getAnalytics(req.user.uid, range, granularity, filters);
+    
+    res.json({ success: true, ...analytics });
+  } catch (error) {
+    console.error('Error getting analytics:', error);
+    sendError(res, error, 'Error getting analytics');
+  }
+});
+
+// Affiliate: download own conversions, clicks, earnings or payouts as CSV or JSON
+app.get('/exports/:dataset', requireAuth, validateRequest(SCHEMAS.export), async (req, res) => {
+  try {
+    await streamExport(res, req.params.dataset, {
+      affiliateId: req.user.uid,
+      range: parseDateRange(req.query.from, req.query.to),
+      format: req.query.format,
+      maskCustomers: true
+    });
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    if (res.headersSent) return res.end();
+    sendError(res, error, 'Error exporting data');
+  }
+});
+
+// Affiliate: monthly earnings statement for a year
+app.get('/statements', requireAuth, validateRequest(SCHEMAS.statement), async (req, res) => {
+  try {
+    const statement = await getMonthlyStatement(req.user.uid, req.query.year);
+    
+    sendStatement(res, statement, req.query.format);
+  } catch (error) {
+    console.error('Error getting statement:', error);
+    sendError(res, error, 'Error getting statement');
+  }
+});
+
+// Admin: export any dataset for all affiliates, or one with ?affiliateId=
+app.get('/admin/exports/:dataset', requireAdmin, validateRequest(SCHEMAS.export), async (req, res) => {
+  try {
+    await streamExport(res, req.params.dataset, {
+      affiliateId: req.query.affiliateId || null,
+      range: parseDateRange(req.query.from, req.query.to),
+      format: req.query.format,
+      maskCustomers: false
+    });
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    if (res.headersSent) return res.end();
+    sendError(res, error, 'Error exporting data');
+  }
+});
+
+// Admin: monthly earnings statement for an affiliate
+app.get('/admin/statements/:affiliateId', requireAdmin, validateRequest(SCHEMAS.statement), async (req, res) => {
+  try {
+    const statement = await getMonthlyStatement(req.params.affiliateId, req.query.year);
+    
+    sendStatement(res, statement, req.query.format);
+  } catch (error) {
+    console.error('Error getting statement:', error);
+    sendError(res, error, 'Error getting statement');
+  }
+});
+
+// Admin: affiliate directory with balances and performance totals
+app.get('/admin/affiliates', requireAdmin, validateRequest(SCHEMAS.listAffiliates), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const search = (req.query.search || '').toLowerCase().trim();
+    const limit = req.query.limit || 50;
+    
+    let query = repos.affiliates.collection;
+    
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+    
+    const affiliatesSnapshot = await query.get();
+    
+    // Firestore has no text search, so match name, email and website here
+    const matches = affiliatesSnapshot.docs
+      .filter(doc => {
+        if (!search) return true;
+        
+        const data = doc.data();
+        return [data.name, data.email, data.website]
+          .some(value => (value || '').toLowerCase().includes(search));
+      })
+      .slice(0, limit);
+    
+    const affiliates = await Promise.all(matches.map(getAffiliateSummary));
+    
+    res.json({ success: true, total: affiliatesSnapshot.size, affiliates });
+  } catch (error) {
+    console.error('Error listing affiliates:', error);
+    sendError(res, error, 'Error listing affiliates');
+  }
+});
+
+// Admin: one affiliate's profile, balance and performance
+app.get('/admin/affiliates/:affiliateId', requireAdmin, async (req, res) => {
+  try {
+    const affiliateDoc = await repos.affiliates.ref(req.params.affiliateId).get();
+    
+    if (!affiliateDoc.exists) {
+      return sendError(res, createHttpError(404, 'Affiliate not found'));
+    }
+    
+    res.json({ success: true, affiliate: await getAffiliateSummary(affiliateDoc) });
+  } catch (error) {
+    console.error('Error getting affiliate:', error);
+    sendError(res, error, 'Error getting affiliate');
+  }
+});
+
+// Admin: edit an affiliate's profile
+app.put('/admin/affiliates/:affiliateId', requireAdmin, validateRequest(SCHEMAS.affiliateProfile), async (req, res) => {
+  try {
+    const affiliateRef = repos.affiliates.ref(req.params.affiliateId);
+    const affiliateDoc = await affiliateRef.get();
+    
+    if (!affiliateDoc.exists) {
+      return sendError(res, createHttpError(404, 'Affiliate not found'));
+    }
+    
+    const update = {};
+    ['name', 'email', 'phone', 'website', 'bio', 'role', 'language'].forEach(field => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+    
+    if (Object.keys(update).length === 0) {
+      return sendError(res, createHttpError(400, 'No editable fields provided'));
+    }
+    
+    // Keep Firebase Auth in step so the affiliate can still log in
+    if (update.email !== undefined || update.name !== undefined) {
+      const authUpdate = {};
+      if (update.email !== undefined) authUpdate.email = update.email;
+      if (update.name !== undefined) authUpdate.displayName = update.name;
+      
+      await auth.updateUser(req.params.affiliateId, authUpdate);
+    }
+    
+    await affiliateRef.update({
+      ...update,
+      updatedBy: req.user.email,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    
+    res.json({ success: true, affiliateId: req.params.affiliateId });
+  } catch (error) {
+    console.error('Error updating affiliate:', error);
+    
+    if (error.code === 'auth/email-already-exists') {
+      return sendError(res, createHttpError(400, 'This email is already registered to another account'));
+    }
+    
+    sendError(res, error, 'Error updating affiliate');
+  }
+});
+
+// Affiliate who lost their invite link: always answers the same way, so it can't be used to
+// find out which emails are registered
+app.post('/resend-invite', RATE_LIMITERS.resendInviteIp, validateRequest(SCHEMAS.resendInvite), async (req, res) => {
+  try {
+    if (!db) return sendError(res, createHttpError(500, 'Firebase not initialized'));
+    
+    const { email } = req.body;
+    
+    try {
+      const userRecord = await auth.getUserByEmail(email);
+      await resendOnboardingLink(userRecord.uid);
+    } catch (error) {
+      if (error.code !== 'auth/user-not-found' && error.status !== 404) throw error;
+    }
+    
+    res.json({ success: true, message: 'If this email is registered, a new link has been sent to it.' });
+  } catch (error) {
+    console.error('Error resending invite:', error);
+    sendError(res, error, 'Error resending invite');
+  }
+});
+
+// Admin: resend an affiliate's onboarding link
+app.post('/admin/affiliates/:affiliateId/resend-invite', requireAdmin, async (req, res) => {
+  try {
+    const type = await resendOnboardingLink(req.params.affiliateId);
+    
+    res.json({ success: true, affiliateId: req.params.affiliateId, type });
+  } catch (error) {
+    console.error('Error resending invite:', error);
+    sendError(res, error, 'Error resending invite');
+  }
+});
+
+// Admin: approve, suspend, reactivate or terminate an affiliate account
+app.post('/admin/affiliates/:affiliateId/:action(approve|suspend|reactivate|terminate)', requireAdmin, validateRequest(SCHEMAS.statusChange), async (req, res) => {
+  try {
+    const { status, authUpdated } = await changeAffiliateStatus(req.params.affiliateId, req.params.action, req.user.email, req.body.reason);
+    
+    res.json({
+      success: true,
+      affiliateId: req.params.affiliateId,
+      status,
+      authUpdated,
+      ...(authUpdated ? {} : { warning: 'The status was changed, but their login could not be updated. Repeat the action to try again.' })
+    });
+  } catch (error) {
+    console.error('Error changing affiliate status:', error);
+    sendError(res, error, 'Error changing affiliate status');
+  }
+});
+
+// Admin: recent rate limit blocks, newest first
+app.get('/admin/rate-limit-blocks', requireAdmin, validateRequest(SCHEMAS.listRateLimitBlocks), async (req, res) => {
+  try {
+    const limit = req.query.limit || 50;
+    
+    const blocksSnapshot = await repos.rateLimitBlocks.recent(limit).get();
+    
+    const blocks = blocksSnapshot.docs.map(doc => {
+      const data = doc.data();
+      
+      return {
+        id: doc.id,
+        ...data,
+        active: data.blockedUntil.toMillis() > Date.now()
+      };
+    });
+    
+    res.json({ success: true, blocks });
+  } catch (error) {
+    console.error('Error listing rate limit blocks:', error);
+    sendError(res, error, 'Error listing rate limit blocks');
+  }
+});
+
+// Admin: emails in the outbox, newest first, without their bodies
+app.get('/admin/emails', requireAdmin, validateRequest(SCHEMAS.listEmails), async (req, res) => {
+  try {
+    const { status, affiliateId } = req.query;
+    const limit = req.query.limit || 50;
+    
+    let query = outbox.collection;
+    if (status) query = query.where('status', '==', status);
+    if (affiliateId) query = query.where('affiliateId', '==', affiliateId);
+    
+    const emailsSnapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    
+    const emails = emailsSnapshot.docs.map(doc => {
+      const { html, text, ...email } = doc.data();
+      return { id: doc.id, ...email };
+    });
+    
+    res.json({ success: true, emails });
+  } catch (error) {
+    console.error('Error listing emails:', error);
+    sendError(res, error, 'Error listing emails');
+  }
+});
+
+// Admin: one email with every delivery attempt
+app.get('/admin/emails/:emailId', requireAdmin, async (req, res) => {
+  try {
+    const emailDoc = await outbox.collection.doc(req.params.emailId).get();
+    
+    if (!emailDoc.exists) {
+      return sendError(res, createHttpError(404, 'Email not found'));
+    }
+    
+    const deliveriesSnapshot = await outbox.deliveries
+      .where('outboxId', '==', emailDoc.id)
+      .orderBy('at')
+      .get();
+    
+    const { html, text, ...email } = emailDoc.data();
+    const body = SIGN_IN_LINK_EMAIL_TEMPLATES.includes(email.template) ? {} : { html, text };
+    
+    res.json({
+      success: true,
+      email: { id: emailDoc.id, ...email, ...body },
+      deliveries: deliveriesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    });
+  } catch (error) {
+    console.error('Error getting email:', error);
+    sendError(res, error, 'Error getting email');
+  }
+});
+
+// Admin: send a failed email again, starting its attempts from scratch
+app.post('/admin/emails/:emailId/retry', requireAdmin, async (req, res) => {
+  try {
+    const result = await outbox.retry(req.params.emailId);
+    
+    if (!result) {
+      return sendError(res, createHttpError(404, 'Email not found'));
+    }
+    
+    if (result.status === 'sent') {
+      return sendError(res, createHttpError(409, 'Email has already been sent'));
+    }
+    
+    res.json({ success: true, emailId: result.id, status: result.status });
+  } catch (error) {
+    console.error('Error retrying email:', error);
+    sendError(res, error, 'Error retrying email');
+  }
+});
+
+// Admin: how often this admin's address is emailed about each event
+app.get('/admin/notification-preferences', requireAdmin, async (req, res) => {
+  try {
+    const email = (req.user.email || '').toLowerCase();
+    
+    if (!CONFIG.ADMIN_EMAILS.includes(email)) {
+      return sendError(res, createHttpError(404, 'Admin notifications are not sent to this address'));
+    }
+    
+    const preferences = await getAdminNotificationPreferences();
+    
+    res.json({ success: true, email, preferences: preferences[email], frequencies: NOTIFICATION_FREQUENCIES });
+  } catch (error) {
+    console.error('Error getting admin notification preferences:', error);
+    sendError(res, error, 'Error getting admin notification preferences');
+  }
+});
+
+app.put('/admin/notification-preferences', requireAdmin, validateRequest(SCHEMAS.adminNotifications), async (req, res) => {
+  try {
+    const email = (req.user.email || '').toLowerCase();
+    
+    if (!CONFIG.ADMIN_EMAILS.includes(email)) {
+      return sendError(res, createHttpError(404, 'Admin notifications are not sent to this address'));
+    }
+    
+    const current = await getAdminNotificationPreferences();
+    const preferences = getNotificationPreferences('admin', { ...current[email], ...req.body });
+    
+    await repos.settings.ref('adminNotifications').set({
+      preferences: { [email]: preferences },
+      updatedBy: email,
+      updatedAt: FieldValue.serverTimestamp()
+    }, { merge: true });
+    
+    res.json({ success: true, email, preferences });
+  } catch (error) {
+    console.error('Error updating admin notification preferences:', error);
+    sendError(res, error, 'Error updating admin notification preferences');
+  }
+});
+
+// Admin: send the daily or weekly digests now, for the period ending on ?to= (default yesterday).
+// Anyone who already got that period's digest is skipped.
+app.post('/admin/digests/:frequency(daily|weekly)', requireAdmin, validateRequest(SCHEMAS.runDigest), async (req, res) => {
+  try {
+    const lastDay = req.query.to ? parseDateRange(req.query.to, req.query.to).to : null;
+    const result = await sendDigests(req.params.frequency, lastDay);
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error sending digests:', error);
+    sendError(res, error, 'Error sending digests');
+  }
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  const status = {
+    status: 'OK',
+    message: 'Server is running',
+    environment: process.env.NODE_ENV || 'development',
+    firebaseInitialized: !!db,
+    storageBackend: storage.backend,
+    emailInitialized: !!transporter,
+    timestamp: new Date().toISOString()
+  };
+  
+  res.status(200).json(status);
+});
+
+// Helper Functions for API operations
+
+const ATTRIBUTION_COOKIES = {
+  visitorId: 'kob_vid',
+  refCode: 'kob_ref',
+  clickId: 'kob_click_id'
+};
+
+function parseCookies(cookieHeader) {
+  const cookies = {};
+  
+  (cookieHeader || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index < 0) return;
+    
+    const name = pair.substring(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.substring(index + 1).trim());
+    } catch (error) {
+      cookies[name] = pair.substring(index + 1).trim();
+    }
+  });
+  
+  return cookies;
+}
+
+function detectDeviceType(userAgent) {
+  if (/ipad|tablet|playbook|silk|(android(?!.*mobile))/i.test(userAgent)) return 'tablet';
+  if (/mobile|iphone|ipod|android|blackberry|opera mini|iemobile/i.test(userAgent)) return 'mobile';
+  
+  return 'desktop';
+}
+
+// Maps the referring site onto the same source names the website's click script sends
+function detectTrafficSource(referrer) {
+  if (!referrer) return 'direct';
+  
+  let hostname;
+  try {
+    hostname = new URL(referrer).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return 'unknown';
+  }
+  
+  const sources = {
+    facebook: /(^|\.)facebook\.com$|(^|\.)fb\.me$/,
+    instagram: /(^|\.)instagram\.com$/,
+    tiktok: /(^|\.)tiktok\.com$/,
+    twitter: /(^|\.)twitter\.com$|(^|\.)x\.com$|^t\.co$/,
+    google: /(^|\.)google\./,
+    linktree: /(^|\.)linktr\.ee$/
+  };
+  
+  const match = Object.keys(sources).find(source => sources[source].test(hostname));
+  
+  return match || hostname;
+}
+
+// Link previews, crawlers and scripted clients that shouldn't count as visitors
+const BOT_USER_AGENT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|whatsapp|telegram|preview|headless|phantom|lighthouse|pingdom|curl|wget|python-requests|axios|node-fetch|go-http-client|java\//i;
+
+// Points added to a click's risk score for each flag
+const CLICK_RISK_WEIGHTS = {
+  bot: 100,
+  self_click: 100,
+  duplicate: 50,
+  missing_user_agent: 40,
+  rate_limited: 40,
+  inactive_affiliate: 0
+};
+
+function toStatsKey(value, fallback) {
+  const key = String(value || '').toLowerCase().replace(/[^a-z0-9_.-]/g, '').substring(0, 50);
+  
+  return key || fallback;
+}
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function getIpHash(ip) {
+  return ip ? hashValue(`${process.env.CLICK_HASH_SALT || ''}${ip}`) : null;
+}
+
+// Identifies a visitor across every affiliate's links, for attribution
+function getVisitorHash(ip, userAgent) {
+  return ip ? hashValue(`${getIpHash(ip)}|${userAgent || ''}`) : null;
+}
+
+// Records a click and decides whether it counts. Every click gets a clicks document with its
+// risk flags, but only unique, unflagged clicks increment the link and stats counters.
+// Returns null when the refCode doesn't match a referral link.
+async function recordClick(details) {
+  const { refCode, url, path, userAgent, referrer, ip, visitorId, visitorUserId, rateLimited } = details;
+  // Both end up in stats document IDs
+  const deviceType = toStatsKey(details.deviceType, 'unknown');
+  const source = toStatsKey(details.source, 'direct');
+  
+  // Find the referral link by refCode
+  const linksSnapshot = await repos.referralLinks.byRefCode(refCode).get();
+  
+  if (linksSnapshot.empty) return null;
+  
+  const linkDoc = linksSnapshot.docs[0];
+  const linkData = linkDoc.data();
+  const linkId = linkDoc.id;
+  const affiliateId = linkData.affiliateId;
+  
+  if (!isReferralLinkActive(linkData)) {
+    throw createHttpError(410, 'Referral link is no longer active');
+  }
+  
+  const ipHash = getIpHash(ip);
+  const visitorHash = getVisitorHash(ip, userAgent);
+  const fingerprint = hashValue(`${ipHash}|${userAgent || ''}|${refCode}`);
+  
+  const flags = [];
+  
+  if (!userAgent) {
+    flags.push('missing_user_agent');
+  } else if (BOT_USER_AGENT_PATTERN.test(userAgent)) {
+    flags.push('bot');
+  }
+  
+  if (visitorUserId && visitorUserId === affiliateId) {
+    flags.push('self_click');
+  }
+  
+  if (!await isAffiliateIdActive(affiliateId)) {
+    flags.push('inactive_affiliate');
+  }
+  
+  if (await isDuplicateClick(fingerprint, refCode)) {
+    flags.push('duplicate');
+  }
+  
+  // More clicks for this refCode than RATE_LIMITS allows; kept, but not counted
+  if (rateLimited) {
+    flags.push('rate_limited');
+  }
+  
+  const riskScore = Math.min(100, flags.reduce((score, flag) => score + CLICK_RISK_WEIGHTS[flag], 0));
+  const counted = flags.length === 0;
+  
+  // Record the click with details
+  const clickData = {
+    affiliateId: affiliateId,
+    linkId: linkId,
+    refCode: refCode,
+    timestamp: FieldValue.serverTimestamp(),
+    date: Timestamp.fromDate(new Date()),
+    url: url,
+    path: path,
+    userAgent: userAgent || '',
+    deviceType: deviceType,
+    source: source,
+    referrer: referrer || '',
+    ipHash: ipHash,
+    visitorId: visitorId || null,
+    visitorHash: visitorHash,
+    fingerprint: fingerprint,
+    riskScore: riskScore,
+    flags: flags,
+    unique: !flags.includes('duplicate'),
+    counted: counted,
+    converted: false
+  };
+  
+  const clickRef = await repos.clicks.collection.add(clickData);
+  
+  if (counted) {
+    // Update click count on the link
+    await repos.referralLinks.ref(linkId).update({
+      clicks: FieldValue.increment(1)
+    });
+    
+    // Update statistics
+    await updateClickStatistics(affiliateId, linkId, deviceType, source);
+    
+    await raiseWebhookEvent(affiliateId, 'click.recorded', {
+      clickId: clickRef.id,
+      linkId: linkId,
+      refCode: refCode,
+      deviceType: deviceType,
+      source: source,
+      clickedAt: new Date().toISOString()
+    });
+  }
+  
+  return { clickId: clickRef.id, affiliateId, linkId, linkData, counted, flags, riskScore };
+}
+
+// Clicks with these flags never earn attribution
+const UNATTRIBUTABLE_CLICK_FLAGS = ['bot', 'self_click'];
+
+// Works out which click, and so which referral link, gets credit for a conversion. Looks at
+// the visitor's recent clicks across all affiliates and applies the configured model; falls
+// back to the clickId/affiliateCode the client sent when the visitor can't be matched.
+async function resolveAttribution(details) {
+  const { affiliateCode, clickId, visitorId, visitorHash, coupon } = details;
+  const model = CONFIG.ATTRIBUTION_MODEL;
+  const windowDays = CONFIG.ATTRIBUTION_WINDOW_DAYS;
+  const cutoff = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  const flags = [];
+  
+  // Coupons heard on podcasts, radio or in group chats have no click behind them, so the
+  // coupon's owner gets credit unless the client sent a code or click of its own
+  if (coupon && !affiliateCode && !clickId) {
+    return {
+      refCode: coupon.refCode,
+      clickId: null,
+      model: 'coupon',
+      windowDays: windowDays,
+      source: 'coupon',
+      couponCode: coupon.code,
+      withinWindow: true,
+      path: [],
+      flags: flags
+    };
+  }
+  
+  const toPathEntry = doc => ({
+    clickId: doc.id,
+    refCode: doc.data().refCode,
+    affiliateId: doc.data().affiliateId,
+    date: doc.data().date
+  });
+  const isAttributable = doc => !(doc.data().flags || []).some(flag => UNATTRIBUTABLE_CLICK_FLAGS.includes(flag));
+  
+  // The visitor's clicks within the window, oldest first
+  let visitorClicks = [];
+  const visitorField = visitorId ? 'visitorId' : (visitorHash ? 'visitorHash' : null);
+  
+  if (visitorField) {
+    const clicksSnapshot = await repos.clicks.collection
+      .where(visitorField, '==', visitorId || visitorHash)
+      .where('date', '>=', Timestamp.fromDate(cutoff))
+      .orderBy('date', 'asc')
+      .limit(100)
+      .get();
+    
+    visitorClicks = clicksSnapshot.docs.filter(isAttributable);
+  }
+  
+  // Check the click the client says converted
+  let claimedClick = null;
+  
+  if (clickId) {
+    const clickDoc = await repos.clicks.ref(clickId).get();
+    
+    if (!clickDoc.exists) {
+      flags.push('click_not_found');
+    } else if (affiliateCode && clickDoc.data().refCode !== affiliateCode) {
+      flags.push('click_mismatch');
+    } else if (!isAttributable(clickDoc)) {
+      flags.push('flagged_click');
+    } else if (clickDoc.data().date.toDate() < cutoff) {
+      flags.push('outside_window');
+    } else {
+      claimedClick = clickDoc;
+    }
+  }
+  
+  if (claimedClick && !visitorClicks.some(doc => doc.id === claimedClick.id)) {
+    visitorClicks.push(claimedClick);
+    visitorClicks.sort((a, b) => a.data().date.toMillis() - b.data().date.toMillis());
+  }
+  
+  if (visitorClicks.length > 0) {
+    const winner = model === 'first_click' ? visitorClicks[0] : visitorClicks[visitorClicks.length - 1];
+    
+    if (affiliateCode && winner.data().refCode !== affiliateCode) {
+      flags.push('reattributed');
+    }
+    
+    return {
+      refCode: winner.data().refCode,
+      clickId: winner.id,
+      model: model,
+      windowDays: windowDays,
+      source: 'click',
+      withinWindow: true,
+      path: visitorClicks.map(toPathEntry),
+      flags: flags
+    };
+  }
+  
+  // No click inside the window backs this conversion up
+  if (!flags.includes('outside_window')) {
+    flags.push('no_click_in_window');
+  }
+  
+  return {
+    refCode: affiliateCode || null,
+    clickId: null,
+    model: model,
+    windowDays: windowDays,
+    source: 'code',
+    withinWindow: false,
+    path: [],
+    flags: flags
+  };
+}
+
+// A visitor's repeat clicks on the same link only count once per dedup window
+async function isDuplicateClick(fingerprint, refCode) {
+  const fingerprintRef = repos.clickFingerprints.ref(fingerprint);
+  const windowMs = CONFIG.CLICK_DEDUP_WINDOW_MINUTES * 60 * 1000;
+  
+  return db.runTransaction(async transaction => {
+    const fingerprintDoc = await transaction.get(fingerprintRef);
+    const now = Timestamp.now();
+    const duplicate = fingerprintDoc.exists &&
+      now.toMillis() - fingerprintDoc.data().windowStartedAt.toMillis() < windowMs;
+    
+    transaction.set(fingerprintRef, {
+      refCode: refCode,
+      lastSeenAt: now,
+      clicks: FieldValue.increment(1),
+      ...(duplicate ? {} : { windowStartedAt: now })
+    }, { merge: true });
+    
+    return duplicate;
+  });
+}
+
+async function updateClickStatistics(affiliateId, linkId, deviceType, source) {
+  try {
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const formattedDate = formatDate(today);
+    
+    // Update daily stats
+    const dailyStatsRef = repos.stats.daily(affiliateId, formattedDate);
+    
+    await db.runTransaction(async transaction => {
+      const docSnapshot = await transaction.get(dailyStatsRef);
+      
+      if (!docSnapshot.exists) {
+        transaction.set(dailyStatsRef, {
+          affiliateId: affiliateId,
+          date: Timestamp.fromDate(today),
+          clicks: 1,
+          conversions: 0,
+          earnings: 0
+        });
+      } else {
+        transaction.update(dailyStatsRef, {
+          clicks: FieldValue.increment(1)
+        });
+      }
+    });
+    
+    // Update device stats
+    await repos.stats.device(affiliateId, formattedDate, deviceType).set({
+      affiliateId: affiliateId,
+      date: Timestamp.fromDate(today),
+      device: deviceType,
+      clicks: FieldValue.increment(1)
+    }, { merge: true });
+    
+    // Update source stats
+    await repos.stats.source(affiliateId, formattedDate, source).set({
+      affiliateId: affiliateId,
+      date: Timestamp.fromDate(today),
+      source: source,
+      clicks: FieldValue.increment(1)
+    }, { merge: true });
+    
+    // Update affiliate stats
+    await repos.stats.affiliate(affiliateId, formattedDate).set({
+      userId: affiliateId,
+      date: Timestamp.fromDate(today),
+      impressions: FieldValue.increment(1),
+      clicks: FieldValue.increment(1)
+    }, { merge: true });
+    
+    // Update link performance
+    await repos.stats.link(linkId, formattedDate).set({
+      linkId: linkId,
+      affiliateId: affiliateId,
+      date: Timestamp.fromDate(today),
+      clicks: FieldValue.increment(1)
+    }, { merge: true });
+  } catch (error) {
+    console.error('Error updating click statistics:', error);
+  }
+}
+
+// Posts one ledger entry, moving the amount from the debit account to the credit account, and
+// applies it to the affiliate's balance document in the same transaction. Every balance change
+// goes through here, so the balance can always be checked against the ledger.
+function postLedgerEntry(transaction, entry) {
+  const { affiliateId, type, debit, credit } = entry;
+  const amount = roundMoney(entry.amount);
+  
+  if (!(amount > 0)) return;
+  
+  // Incrementing the other accounts by 0 creates them on a new balance without touching them otherwise
+  const balanceUpdate = { userId: affiliateId, updatedAt: FieldValue.serverTimestamp() };
+  LEDGER_ACCOUNTS.forEach(account => {
+    const change = (account === credit ? amount : 0) - (account === debit ? amount : 0);
+    balanceUpdate[account] = FieldValue.increment(change);
+  });
+  
+  // A fixed document ID, so concurrent first writes can't create two balances
+  transaction.set(repos.balances.ref(affiliateId), balanceUpdate, { merge: true });
+  
+  transaction.set(repos.ledger.ref(), {
+    affiliateId: affiliateId,
+    type: type,
+    amount: amount,
+    debit: debit,
+    credit: credit,
+    sourceType: entry.sourceType,
+    sourceId: entry.sourceId,
+    description: entry.description || null,
+    createdBy: entry.createdBy || null,
+    createdAt: FieldValue.serverTimestamp()
+  });
+}
+
+function updateAffiliateBalance(transaction, affiliateId, commissionAmount, conversionId, details) {
+  const description = details.description || 'Commission on booking';
+  
+  postLedgerEntry(transaction, {
+    affiliateId: affiliateId,
+    type: 'commission',
+    amount: commissionAmount,
+    debit: LEDGER_PROGRAM_ACCOUNT,
+    credit: 'pending',
+    sourceType: 'conversion',
+    sourceId: conversionId,
+    description: description
+  });
+  
+  // Add an earnings transaction record
+  transaction.set(repos.earnings.ref(), {
+    userId: affiliateId,
+    amount: commissionAmount,
+    date: FieldValue.serverTimestamp(),
+    status: 'pending',
+    source: 'Referral',
+    description: description,
+    conversionId: conversionId,
+    referenceId: 'COMM-' + crypto.randomBytes(3).toString('hex').toUpperCase(),
+    createdAt: FieldValue.serverTimestamp(),
+    ...details
+  });
+}
+
+// Queues the stats writes for a new conversion on the caller's transaction. A recruiter's
+// override is counted as earnings but not as one of their conversions, and has no link.
+// Everything is counted on the day the conversion happened, which is where a rejection or
+// refund takes it back off again.
+function updateConversionStatistics(transaction, affiliateId, linkId, purchaseAmount, commissionAmount, conversions, conversionDate) {
+  const day = new Date(conversionDate.getFullYear(), conversionDate.getMonth(), conversionDate.getDate());
+  const formattedDate = formatDate(day);
+  
+  // Update daily stats (incrementing clicks by 0 creates the field on a new day without touching it otherwise)
+  transaction.set(repos.stats.daily(affiliateId, formattedDate), {
+    affiliateId: affiliateId,
+    date: Timestamp.fromDate(day),
+    clicks: FieldValue.increment(0),
+    conversions: FieldValue.increment(conversions),
+    earnings: FieldValue.increment(commissionAmount)
+  }, { merge: true });
+  
+  // Update monthly earnings
+  const monthStart = new Date(conversionDate.getFullYear(), conversionDate.getMonth(), 1);
+  transaction.set(repos.stats.monthly(affiliateId, formatDate(monthStart)), {
+    userId: affiliateId,
+    month: Timestamp.fromDate(monthStart),
+    amount: FieldValue.increment(commissionAmount),
+    count: FieldValue.increment(conversions),
+    createdAt: FieldValue.serverTimestamp()
+  }, { merge: true });
+  
+  // Update affiliate stats
+  transaction.set(repos.stats.affiliate(affiliateId, formattedDate), {
+    userId: affiliateId,
+    date: Timestamp.fromDate(day),
+    conversions: FieldValue.increment(conversions),
+    earnings: FieldValue.increment(commissionAmount)
+  }, { merge: true });
+  
+  // Update link performance
+  if (linkId) {
+    transaction.set(repos.stats.link(linkId, formattedDate), {
+      linkId: linkId,
+      affiliateId: affiliateId,
+      date: Timestamp.fromDate(day),
+      conversions: FieldValue.increment(conversions),
+      earnings: FieldValue.increment(commissionAmount)
+    }, { merge: true });
+  }
+}
+
+function getDefaultCommissionPlan() {
+  return { planId: null, rate: CONFIG.COMMISSION_RATE, fixedBonus: 0, tier: null };
+}
+
+// Picks the most specific active plan for this affiliate and package: a plan naming both
+// beats one naming the affiliate, which beats one naming the package, which beats a default
+// plan naming neither. Volume tiers are checked against this month's conversion count.
+async function resolveCommissionPlan(affiliateId, packageId) {
+  const plansSnapshot = await repos.commissionPlans.active().get();
+  
+  let bestPlan = null;
+  let bestScore = -1;
+  
+  plansSnapshot.docs.forEach(doc => {
+    const plan = doc.data();
+    
+    if (plan.affiliateId && plan.affiliateId !== affiliateId) return;
+    if (plan.packageId && plan.packageId !== packageId) return;
+    
+    const score = (plan.affiliateId ? 2 : 0) + (plan.packageId ? 1 : 0);
+    if (score > bestScore) {
+      bestPlan = { id: doc.id, ...plan };
+      bestScore = score;
+    }
+  });
+  
+  if (!bestPlan) return getDefaultCommissionPlan();
+  
+  const resolved = {
+    planId: bestPlan.id,
+    rate: bestPlan.rate,
+    fixedBonus: bestPlan.fixedBonus || 0,
+    tier: null
+  };
+  
+  if (Array.isArray(bestPlan.tiers) && bestPlan.tiers.length > 0) {
+    const now = new Date();
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const monthDoc = await repos.stats.monthly(affiliateId, formatDate(monthStart)).get();
+    // This conversion counts towards the tier it is paid at
+    const conversionCount = (monthDoc.exists ? monthDoc.data().count || 0 : 0) + 1;
+    
+    bestPlan.tiers
+      .filter(tier => conversionCount >= tier.minConversions)
+      .sort((a, b) => a.minConversions - b.minConversions)
+      .forEach(tier => {
+        resolved.rate = tier.rate;
+        resolved.tier = tier.minConversions;
+      });
+  }
+  
+  return resolved;
+}
+
+function describeCommission(rate, fixedBonus) {
+  const percentage = `${parseFloat(((rate ?? CONFIG.COMMISSION_RATE) * 100).toFixed(2))}%`;
+  
+  return fixedBonus ? `${percentage} + £${fixedBonus.toFixed(2)} bonus` : percentage;
+}
+
+// Checks an admin's commission plan payload and returns only the fields we store.
+// With partial set, missing fields are left out instead of defaulted.
+function normalizeCommissionPlan(body, partial) {
+  const plan = {};
+  
+  const isRate = value => typeof value === 'number' && value >= 0 && value <= 1;
+  
+  if (body.name !== undefined || !partial) {
+    if (!body.name || typeof body.name !== 'string') {
+      throw createHttpError(400, 'name is required');
+    }
+    plan.name = body.name;
+  }
+  
+  if (body.rate !== undefined || !partial) {
+    if (!isRate(body.rate)) {
+      throw createHttpError(400, 'rate must be a number between 0 and 1');
+    }
+    plan.rate = body.rate;
+  }
+  
+  if (body.fixedBonus !== undefined) {
+    if (typeof body.fixedBonus !== 'number' || body.fixedBonus < 0) {
+      throw createHttpError(400, 'fixedBonus must be a positive number');
+    }
+    plan.fixedBonus = body.fixedBonus;
+  } else if (!partial) {
+    plan.fixedBonus = 0;
+  }
+  
+  if (body.tiers !== undefined) {
+    const validTiers = Array.isArray(body.tiers) && body.tiers.every(tier =>
+      tier && Number.isInteger(tier.minConversions) && tier.minConversions > 0 && isRate(tier.rate));
+    
+    if (!validTiers) {
+      throw createHttpError(400, 'tiers must be a list of { minConversions, rate } with a positive whole minConversions');
+    }
+    plan.tiers = body.tiers.map(tier => ({ minConversions: tier.minConversions, rate: tier.rate }));
+  } else if (!partial) {
+    plan.tiers = [];
+  }
+  
+  ['affiliateId', 'packageId'].forEach(field => {
+    if (body[field] !== undefined) {
+      plan[field] = body[field] || null;
+    } else if (!partial) {
+      plan[field] = null;
+    }
+  });
+  
+  if (body.active !== undefined) {
+    plan.active = !!body.active;
+  } else if (!partial) {
+    plan.active = true;
+  }
+  
+  return plan;
+}
+
+// purchaseAmount stays in the customer's currency; commissionAmount is in GBP, the ledger
+// currency, and is what every balance and stats update uses
+function buildConversionData(details) {
+  const purchaseAmount = parseFloat(details.purchaseAmount);
+  const plan = details.commissionPlan || getDefaultCommissionPlan();
+  const exchangeRate = details.exchangeRate || 1;
+  const purchaseAmountGbp = roundMoney(purchaseAmount * exchangeRate);
+  const commissionAmount = roundMoney(purchaseAmountGbp * plan.rate + plan.fixedBonus);
+  const override = details.override || null;
+  
+  return {
+    affiliateId: details.affiliateId,
+    linkId: details.linkId,
+    refCode: details.refCode,
+    timestamp: FieldValue.serverTimestamp(),
+    date: Timestamp.fromDate(new Date()),
+    purchaseAmount: purchaseAmount,
+    purchaseAmountGbp: purchaseAmountGbp,
+    commissionAmount: commissionAmount,
+    originalCommissionAmount: roundMoney(commissionAmount / exchangeRate),
+    exchangeRate: exchangeRate,
+    commissionRate: plan.rate,
+    commissionBonus: plan.fixedBonus,
+    commissionPlanId: plan.planId,
+    commissionTier: plan.tier,
+    packageId: details.packageId || '',
+    packageName: details.packageName || 'Unknown Package',
+    bookingId: details.bookingId || '',
+    sessionId: details.sessionId || '',
+    status: 'pending', // Initial status is pending, will be approved later
+    currency: normalizeCurrency(details.currency),
+    customerEmail: details.customerEmail || null,
+    customerName: details.customerName || '',
+    couponCode: details.couponCode || null,
+    // The recruiter's override is a share of the sale, not of the affiliate's commission
+    parentAffiliateId: override ? override.affiliateId : null,
+    overrideCommissionRate: override ? override.rate : 0,
+    overrideCommissionAmount: override ? roundMoney(purchaseAmountGbp * override.rate) : 0
+  };
+}
+
+// Queues every write that turns a conversion into commission: the click, link counters,
+// balance, earnings and stats, for the affiliate and any recruiter earning an override. The
+// click has to be read by the caller.
+function creditConversion(transaction, conversionRef, conversionData, clickDoc) {
+  const { affiliateId, linkId, purchaseAmountGbp, commissionAmount } = conversionData;
+  
+  // If we have a click ID, update it
+  if (clickDoc && clickDoc.exists) {
+    transaction.update(clickDoc.ref, {
+      converted: true,
+      conversionTimestamp: FieldValue.serverTimestamp(),
+      purchaseAmount: purchaseAmountGbp,
+      commissionAmount: commissionAmount
+    });
+    
+    // Add click ID to conversion data
+    conversionData.clickId = clickDoc.id;
+  } else if (clickDoc) {
+    console.error(`Click ${clickDoc.id} not found for conversion`);
+  }
+  
+  // Update link stats
+  transaction.update(repos.referralLinks.ref(linkId), {
+    conversions: FieldValue.increment(1),
+    earnings: FieldValue.increment(commissionAmount)
+  });
+  
+  if (conversionData.couponCode) {
+    transaction.set(repos.coupons.ref(conversionData.couponCode), {
+      conversions: FieldValue.increment(1)
+    }, { merge: true });
+  }
+  
+  // Update affiliate balance
+  updateAffiliateBalance(transaction, affiliateId, commissionAmount, conversionRef.id, {
+    packageName: conversionData.packageName,
+    bookingId: conversionData.bookingId || null
+  });
+  
+  // Update statistics
+  const conversionDate = conversionData.date.toDate();
+  updateConversionStatistics(transaction, affiliateId, linkId, purchaseAmountGbp, commissionAmount, 1, conversionDate);
+  
+  if (conversionData.overrideCommissionAmount > 0) {
+    updateAffiliateBalance(transaction, conversionData.parentAffiliateId, conversionData.overrideCommissionAmount, conversionRef.id, {
+      source: 'Team override',
+      description: 'Override commission on a team booking',
+      packageName: conversionData.packageName,
+      bookingId: conversionData.bookingId || null,
+      subAffiliateId: affiliateId
+    });
+    updateConversionStatistics(transaction, conversionData.parentAffiliateId, null, purchaseAmountGbp, conversionData.overrideCommissionAmount, 0, conversionDate);
+  }
+}
+
+// The conversion already recorded under one of the booking's idempotency keys, usually the
+// browser's claim. Read through the transaction when one is given.
+async function getBookingConversion(idempotencyKeyRefs, transaction = null) {
+  const keySnapshots = transaction
+    ? await transaction.getAll(...idempotencyKeyRefs)
+    : await db.getAll(...idempotencyKeyRefs);
+  const existingKey = keySnapshots.find(snapshot => snapshot.exists);
+  
+  if (!existingKey) return null;
+  
+  const conversionRef = repos.conversions.ref(existingKey.data().conversionId);
+  const conversionDoc = transaction ? await transaction.get(conversionRef) : await conversionRef.get();
+  
+  return { ref: conversionRef, data: conversionDoc.exists ? conversionDoc.data() : null };
+}
+
+// Who earns the commission on a booking and on what terms. Looked up before the transaction,
+// since none of it can be read through one.
+async function resolveBookingReferral(booking, claim) {
+  const { refCode, clickId } = booking;
+  
+  // The booking system's own refCode/clickId/coupon always wins. A browser claim is only
+  // used when the signed booking names no affiliate, since anyone who knows a bookingId
+  // could have made it.
+  const signedReferral = !!(refCode || clickId || booking.couponCode);
+  const fromClaim = !!claim && !signedReferral;
+  const attribution = fromClaim
+    ? claim.attribution || null
+    : await resolveAttribution({
+      affiliateCode: refCode,
+      clickId: clickId,
+      coupon: booking.couponCode ? await findActiveCoupon(booking.couponCode) : null
+    });
+  
+  if (attribution && !attribution.withinWindow && CONFIG.ATTRIBUTION_OUT_OF_WINDOW === 'reject') {
+    throw createHttpError(422, 'No referral click found within the attribution window');
+  }
+  
+  const affiliateCode = fromClaim ? claim.refCode : attribution.refCode;
+  
+  if (!affiliateCode) {
+    throw createHttpError(404, 'No claimed conversion found for this booking');
+  }
+  
+  const linksSnapshot = await repos.referralLinks.byRefCode(affiliateCode).get();
+  
+  if (linksSnapshot.empty) {
+    throw createHttpError(404, 'Referral link not found');
+  }
+  
+  const linkId = linksSnapshot.docs[0].id;
+  const affiliateId = linksSnapshot.docs[0].data().affiliateId;
+  const packageId = booking.packageId || (claim && claim.packageId);
+  const currency = booking.currency || (claim && claim.currency);
+  
+  return {
+    fromClaim,
+    attribution,
+    affiliateCode,
+    linkId,
+    affiliateId,
+    packageId,
+    currency,
+    clickId: fromClaim ? claim.clickId : attribution.clickId,
+    commissionPlan: await resolveCommissionPlan(affiliateId, packageId),
+    exchangeRate: await getExchangeRate(currency),
+    override: await resolveOverrideCommission(affiliateId)
+  };
+}
+
+// Finalises the claim recorded by /conversion for this booking, or records the conversion
+// outright when the booking system tells us the refCode itself
+async function confirmBookingConversion(booking) {
+  const { bookingId, sessionId } = booking;
+  const purchaseAmount = parseFloat(booking.purchaseAmount);
+  
+  if (!bookingId) {
+    throw createHttpError(400, 'bookingId is required');
+  }
+  
+  if (!(purchaseAmount > 0)) {
+    throw createHttpError(400, 'purchaseAmount must be a positive number');
+  }
+  
+  const idempotencyKeyRefs = getConversionIdempotencyKeyRefs(null, bookingId, sessionId);
+  const existing = await getBookingConversion(idempotencyKeyRefs);
+  
+  if (existing && existing.data && existing.data.status !== 'claimed') {
+    return { conversionId: existing.ref.id, duplicate: true };
+  }
+  
+  const referral = await resolveBookingReferral(booking, existing && existing.data);
+  const { fromClaim, affiliateCode, affiliateId } = referral;
+  
+  const result = await db.runTransaction(async transaction => {
+    const current = await getBookingConversion(idempotencyKeyRefs, transaction);
+    const claim = current && current.data;
+    let conversionRef = current && current.ref;
+    
+    if (claim && claim.status !== 'claimed') {
+      return { conversionId: conversionRef.id, duplicate: true };
+    }
+    
+    // The referral was resolved from the claim read above; it no longer holds if another
+    // claim for the booking was recorded since
+    if ((conversionRef && conversionRef.id) !== (existing && existing.ref.id)) {
+      throw createHttpError(409, 'The booking was claimed again while being confirmed, please retry');
+    }
+    
+    const attribution = referral.attribution && { ...referral.attribution };
+    
+    // Flag a claim for someone else's code so it can be looked into
+    if (claim && !fromClaim && claim.refCode !== affiliateCode) {
+      attribution.flags = [...attribution.flags, 'claim_mismatch'];
+    }
+    
+    const [linkDoc, affiliateDoc] = await transaction.getAll(
+      repos.referralLinks.ref(referral.linkId),
+      repos.affiliates.ref(affiliateId)
+    );
+    
+    if (!isReferralLinkActive(linkDoc.data())) {
+      throw createHttpError(410, 'Referral link is no longer active');
+    }
+    
+    if (!affiliateDoc.exists || !isAffiliateActive(affiliateDoc.data())) {
+      throw createHttpError(403, 'Affiliate account is not active');
+    }
+    
+    const clickDoc = referral.clickId ? await transaction.get(repos.clicks.ref(referral.clickId)) : null;
+    
+    // Amounts come from the signed payload, never from the browser's claim
+    const conversionData = buildConversionData({
+      affiliateId: affiliateId,
+      linkId: linkDoc.id,
+      refCode: affiliateCode,
+      purchaseAmount: purchaseAmount,
+      packageId: referral.packageId,
+      packageName: booking.packageName || (claim && claim.packageName),
+      bookingId: bookingId,
+      sessionId: sessionId || (claim && claim.sessionId),
+      currency: referral.currency,
+      customerEmail: booking.customerEmail || (claim && claim.customerEmail),
+      customerName: booking.customerName || (claim && claim.customerName),
+      couponCode: attribution ? attribution.couponCode : null,
+      commissionPlan: referral.commissionPlan,
+      exchangeRate: referral.exchangeRate,
+      override: referral.override
+    });
+    conversionData.verified = true;
+    conversionData.confirmedAt = FieldValue.serverTimestamp();
+    conversionData.attribution = attribution;
+    
+    if (claim) {
+      // Keep when the visitor actually converted
+      conversionData.timestamp = claim.timestamp;
+      conversionData.date = claim.date;
+      conversionData.claimedPurchaseAmount = claim.purchaseAmount;
+      if (claim.refCode !== affiliateCode) conversionData.claimedRefCode = claim.refCode;
+    } else {
+      conversionRef = repos.conversions.ref();
+    }
+    
+    creditConversion(transaction, conversionRef, conversionData, clickDoc);
+    
+    transaction.set(conversionRef, conversionData);
+    setConversionIdempotencyKeys(transaction, idempotencyKeyRefs, conversionRef.id);
+    
+    return { conversionId: conversionRef.id, duplicate: false, conversion: conversionData };
+  });
+  
+  if (result.duplicate) {
+    return { conversionId: result.conversionId, duplicate: true };
+  }
+  
+  const conversion = result.conversion;
+  
+  // Send email notifications
+  await sendConversionEmails(conversion.affiliateId, conversion.linkId, conversion.purchaseAmount, conversion.commissionAmount, {
+    packageName: conversion.packageName,
+    customerEmail: conversion.customerEmail,
+    customerName: conversion.customerName,
+    commissionRate: conversion.commissionRate,
+    commissionBonus: conversion.commissionBonus,
+    currency: conversion.currency,
+    originalCommissionAmount: conversion.originalCommissionAmount,
+    purchaseAmountGbp: conversion.purchaseAmountGbp
+  });
+  await raiseWebhookEvent(conversion.affiliateId, 'conversion.created', conversionWebhookData(result.conversionId, conversion));
+  
+  return { conversionId: result.conversionId, status: conversion.status };
+}
+
+// Every identifier the client gave us for this purchase gets its own key document,
+// so a retry carrying any one of them finds the original conversion
+function getConversionIdempotencyKeyRefs(idempotencyKey, bookingId, sessionId) {
+  const keys = [];
+  
+  if (idempotencyKey) keys.push(`key:${idempotencyKey}`);
+  if (bookingId) keys.push(`booking:${bookingId}`);
+  if (sessionId) keys.push(`session:${sessionId}`);
+  
+  return keys.map(key => {
+    const keyId = crypto.createHash('sha256').update(key).digest('hex');
+    return repos.conversionKeys.ref(keyId);
+  });
+}
+
+function setConversionIdempotencyKeys(transaction, keyRefs, conversionId) {
+  keyRefs.forEach(keyRef => {
+    transaction.set(keyRef, {
+      conversionId: conversionId,
+      createdAt: FieldValue.serverTimestamp()
+    });
+  });
+}
+
+// Applies a change in conversions/earnings to the stats documents for the day the conversion happened
+function applyConversionStatisticsDelta(transaction, affiliateId, linkId, conversionDate, conversionsDelta, earningsDelta) {
+  const day = new Date(conversionDate.getFullYear(), conversionDate.getMonth(), conversionDate.getDate());
+  const monthStart = new Date(conversionDate.getFullYear(), conversionDate.getMonth(), 1);
+  const formattedDate = formatDate(day);
+  
+  transaction.set(repos.stats.daily(affiliateId, formattedDate), {
+    conversions: FieldValue.increment(conversionsDelta),
+    earnings: FieldValue.increment(earningsDelta)
+  }, { merge: true });
+  
+  transaction.set(repos.stats.monthly(affiliateId, formatDate(monthStart)), {
+    amount: FieldValue.increment(earningsDelta),
+    count: FieldValue.increment(conversionsDelta)
+  }, { merge: true });
+  
+  transaction.set(repos.stats.affiliate(affiliateId, formattedDate), {
+    conversions: FieldValue.increment(conversionsDelta),
+    earnings: FieldValue.increment(earningsDelta)
+  }, { merge: true });
+  
+  if (linkId) {
+    transaction.set(repos.stats.link(linkId, formattedDate), {
+      conversions: FieldValue.increment(conversionsDelta),
+      earnings: FieldValue.increment(earningsDelta)
+    }, { merge: true });
+  }
+}
+
+// The earnings record a conversion was credited with, leaving out any clawbacks against it
+function findCommissionEarnings(earningsSnapshot) {
+  return earningsSnapshot.docs.find(doc => doc.data().status !== 'clawback') || null;
+}
+
+async function findConversionEarnings(transaction, conversionId, conversionData) {
+  const linkedSnapshot = await transaction.get(repos.earnings.forConversion(conversionId, conversionData.affiliateId));
+  const linkedDoc = findCommissionEarnings(linkedSnapshot);
+  
+  if (linkedDoc) return linkedDoc;
+  
+  // Earnings written before records were linked to conversions: match on affiliate and amount
+  const legacySnapshot = await transaction.get(repos.earnings.byAffiliate(conversionData.affiliateId)
+    .where('status', '==', 'pending')
+    .where('amount', '==', conversionData.commissionAmount)
+    .limit(1));
+  
+  return legacySnapshot.empty ? null : legacySnapshot.docs[0];
+}
+
+// Reads the recruiter's earnings record for a conversion that earned them an override, so
+// approving or rejecting it can move the override with it
+async function readOverrideCommission(transaction, conversionId, conversionData) {
+  if (!conversionData.parentAffiliateId || !(conversionData.overrideCommissionAmount > 0)) return null;
+  
+  const affiliateId = conversionData.parentAffiliateId;
+  const earningsSnapshot = await transaction.get(repos.earnings.forConversion(conversionId, affiliateId));
+  
+  return {
+    affiliateId: affiliateId,
+    amount: conversionData.overrideCommissionAmount,
+    earningsDoc: findCommissionEarnings(earningsSnapshot)
+  };
+}
+
+// Approval moves the override from pending to available; rejection takes it back out of
+// whichever account it's in
+function settleOverrideCommission(transaction, conversionId, override, status, balanceField) {
+  postLedgerEntry(transaction, {
+    affiliateId: override.affiliateId,
+    type: status === 'approved' ? 'approval' : 'clawback',
+    amount: override.amount,
+    debit: balanceField,
+    credit: status === 'approved' ? 'available' : LEDGER_PROGRAM_ACCOUNT,
+    sourceType: 'conversion',
+    sourceId: conversionId,
+    description: status === 'approved' ? 'Override commission approved' : 'Override commission rejected'
+  });
+  
+  if (override.earningsDoc) {
+    transaction.update(override.earningsDoc.ref, {
+      status: status,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+  }
+}
+
+async function approveConversion(conversionId, approvedBy) {
+  const conversionRef = repos.conversions.ref(conversionId);
+  
+  const conversion = await db.runTransaction(async transaction => {
+    const conversionDoc = await transaction.get(conversionRef);
+    
+    if (!conversionDoc.exists) {
+      throw createHttpError(404, 'Conversion not found');
+    }
+    
+    const conversionData = conversionDoc.data();
+    
+    if (conversionData.status !== 'pending') {
+      throw createHttpError(409, `Conversion is already ${conversionData.status}`);
+    }
+    
+    const amount = conversionData.commissionAmount || 0;
+    const earningsDoc = await findConversionEarnings(transaction, conversionId, conversionData);
+    const override = await readOverrideCommission(transaction, conversionId, conversionData);
+    
+    transaction.update(conversionRef, {
+      status: 'approved',
+      approvedAt: FieldValue.serverTimestamp(),
+      approvedBy: approvedBy
+    });
+    
+    // Move the commission from pending to available
+    postLedgerEntry(transaction, {
+      affiliateId: conversionData.affiliateId,
+      type: 'approval',
+      amount: amount,
+      debit: 'pending',
+      credit: 'available',
+      sourceType: 'conversion',
+      sourceId: conversionId,
+      description: 'Commission approved',
+      createdBy: approvedBy
+    });
+    
+    if (earningsDoc) {
+      transaction.update(earningsDoc.ref, {
+        status: 'approved',
+        conversionId: conversionId,
+        updatedAt: FieldValue.serverTimestamp()
+      });
+    }
+    
+    if (override) {
+      settleOverrideCommission(transaction, conversionId, override, 'approved', 'pending');
+    }
+    
+    return { id: conversionId, ...conversionData, status: 'approved' };
+  });
+  
+  await sendConversionDecisionEmail(conversion.affiliateId, conversion, 'approved');
+  await raiseWebhookEvent(conversion.affiliateId, 'conversion.approved', conversionWebhookData(conversionId, conversion));
+  
+  return conversion;
+}
+
+async function rejectConversion(conversionId, rejectedBy, reason) {
+  const conversionRef = repos.conversions.ref(conversionId);
+  
+  const conversion = await db.runTransaction(async transaction => {
+    const conversionDoc = await transaction.get(conversionRef);
+    
+    if (!conversionDoc.exists) {
+      throw createHttpError(404, 'Conversion not found');
+    }
+    
+    const conversionData = conversionDoc.data();
+    
+    if (!['pending', 'approved'].includes(conversionData.status)) {
+      throw createHttpError(409, `Conversion is already ${conversionData.status}`);
+    }
+    
+    const amount = conversionData.commissionAmount || 0;
+    // Approved commission has already moved to available, so take it back from there
+    const balanceField = conversionData.status === 'approved' ? 'available' : 'pending';
+    const earningsDoc = await findConversionEarnings(transaction, conversionId, conversionData);
+    const override = await readOverrideCommission(transaction, conversionId, conversionData);
+    
+    transaction.update(conversionRef, {
+      status: 'rejected',
+      rejectedAt: FieldValue.serverTimestamp(),
+      rejectedBy: rejectedBy,
+      rejectionReason: reason || ''
+    });
+    
+    postLedgerEntry(transaction, {
+      affiliateId: conversionData.affiliateId,
+      type: 'clawback',
+      amount: amount,
+      debit: balanceField,
+      credit: LEDGER_PROGRAM_ACCOUNT,
+      sourceType: 'conversion',
+      sourceId: conversionId,
+      description: reason ? `Commission rejected: ${reason}` : 'Commission rejected',
+      createdBy: rejectedBy
+    });
+    
+    if (earningsDoc) {
+      transaction.update(earningsDoc.ref, {
+        status: 'rejected',
+        conversionId: conversionId,
+        updatedAt: FieldValue.serverTimestamp()
+      });
+    }
+    
+    if (conversionData.linkId) {
+      transaction.set(repos.referralLinks.ref(conversionData.linkId), {
+        conversions: FieldValue.increment(-1),
+        earnings: FieldValue.increment(-amount)
+      }, { merge: true });
+    }
+    
+    const conversionDate = conversionData.date ? conversionData.date.toDate() : new Date();
+    applyConversionStatisticsDelta(transaction, conversionData.affiliateId, conversionData.linkId, conversionDate, -1, -amount);
+    
+    if (override) {
+      settleOverrideCommission(transaction, conversionId, override, 'rejected', balanceField);
+      applyConversionStatisticsDelta(transaction, override.affiliateId, null, conversionDate, 0, -override.amount);
+    }
+    
+    return { id: conversionId, ...conversionData, status: 'rejected', rejectionReason: reason || '' };
+  });
+  
+  await sendConversionDecisionEmail(conversion.affiliateId, conversion, 'rejected', reason);
+  await raiseWebhookEvent(conversion.affiliateId, 'conversion.rejected', conversionWebhookData(conversionId, conversion));
+  
+  return conversion;
+}
+
+// Takes commission back out of the given balance account, with a negative earnings entry
+// against the conversion
+function clawBackCommission(transaction, affiliateId, amount, balanceField, conversionId, conversionData, refund, refundedBy, details) {
+  const description = `Commission reversed: ${refund.reason}`;
+  
+  postLedgerEntry(transaction, {
+    affiliateId: affiliateId,
+    type: 'clawback',
+    amount: amount,
+    debit: balanceField,
+    credit: LEDGER_PROGRAM_ACCOUNT,
+    sourceType: 'conversion',
+    sourceId: conversionId,
+    description: description,
+    createdBy: refundedBy
+  });
+  
+  transaction.set(repos.earnings.ref(), {
+    userId: affiliateId,
+    amount: -amount,
+    date: FieldValue.serverTimestamp(),
+    status: 'clawback',
+    source: 'Refund',
+    description: description,
+    packageName: conversionData.packageName || null,
+    conversionId: conversionId,
+    bookingId: conversionData.bookingId || null,
+    referenceId: 'CLAW-' + crypto.randomBytes(3).toString('hex').toUpperCase(),
+    createdAt: FieldValue.serverTimestamp(),
+    ...details
+  });
+}
+
+// A cancelled or refunded booking. The commission is recomputed on what the customer still
+// paid, and the difference comes back out of the balance, earnings, link and stats it was
+// credited to, along with the recruiter's override. Amounts are in the booking's currency.
+async function refundBookingConversion(bookingId, refund, refundedBy) {
+  const [keyRef] = getConversionIdempotencyKeyRefs(null, bookingId, null);
+  
+  const result = await db.runTransaction(async transaction => {
+    const keyDoc = await transaction.get(keyRef);
+    const conversionRef = keyDoc.exists ? repos.conversions.ref(keyDoc.data().conversionId) : null;
+    const conversionDoc = conversionRef ? await transaction.get(conversionRef) : null;
+    
+    if (!conversionDoc || !conversionDoc.exists) {
+      throw createHttpError(404, 'No conversion found for this booking');
+    }
+    
+    const conversionData = conversionDoc.data();
+    const refunds = conversionData.refunds || [];
+    
+    // The booking system may send the same refund more than once
+    if (refund.refundId && refunds.some(item => item.refundId === refund.refundId)) {
+      return { conversionId: conversionRef.id, duplicate: true };
+    }
+    
+    if (conversionData.status === 'claimed') {
+      throw createHttpError(409, 'Booking has not been confirmed yet');
+    }
+    
+    if (!['pending', 'approved'].includes(conversionData.status)) {
+      throw createHttpError(409, `Conversion is already ${conversionData.status}`);
+    }
+    
+    const remaining = roundMoney(conversionData.purchaseAmount - (conversionData.refundedAmount || 0));
+    const amount = refund.amount === undefined ? remaining : roundMoney(refund.amount);
+    
+    if (amount > remaining) {
+      throw createHttpError(400, `Refund can be at most ${formatMoney(remaining, conversionData.currency)}`);
+    }
+    
+    const full = amount === remaining;
+    const keptGbp = roundMoney((remaining - amount) * (conversionData.exchangeRate || 1));
+    const commissionAmount = full
+      ? 0
+      : Math.min(conversionData.commissionAmount, roundMoney(keptGbp * conversionData.commissionRate + (conversionData.commissionBonus || 0)));
+    const clawback = roundMoney(conversionData.commissionAmount - commissionAmount);
+    const overrideAmount = full ? 0 : roundMoney(keptGbp * (conversionData.overrideCommissionRate || 0));
+    const override = await readOverrideCommission(transaction, conversionRef.id, conversionData);
+    const overrideClawback = override ? roundMoney(override.amount - Math.min(override.amount, overrideAmount)) : 0;
+    // Approved commission has already moved to available. Taking it back can leave that
+    // negative, which future commission then pays off.
+    const balanceField = conversionData.status === 'approved' ? 'available' : 'pending';
+    const conversionDate = conversionData.date ? conversionData.date.toDate() : new Date();
+    
+    const update = {
+      refundedAmount: roundMoney((conversionData.refundedAmount || 0) + amount),
+      commissionAmount: commissionAmount,
+      originalCommissionAmount: roundMoney(commissionAmount / (conversionData.exchangeRate || 1)),
+      overrideCommissionAmount: override ? roundMoney(override.amount - overrideClawback) : conversionData.overrideCommissionAmount || 0,
+      commissionBeforeRefunds: conversionData.commissionBeforeRefunds ?? conversionData.commissionAmount,
+      refunds: FieldValue.arrayUnion({
+        refundId: refund.refundId || null,
+        amount: amount,
+        clawback: clawback,
+        overrideClawback: overrideClawback,
+        reason: refund.reason,
+        refundedBy: refundedBy,
+        refundedAt: Timestamp.now()
+      }),
+      refundedAt: FieldValue.serverTimestamp()
+    };
+    
+    if (full) update.status = 'refunded';
+    
+    transaction.update(conversionRef, update);
+    
+    if (clawback > 0) {
+      clawBackCommission(transaction, conversionData.affiliateId, clawback, balanceField, conversionRef.id, conversionData, refund, refundedBy);
+    }
+    
+    if (conversionData.linkId) {
+      transaction.set(repos.referralLinks.ref(conversionData.linkId), {
+        conversions: FieldValue.increment(full ? -1 : 0),
+        earnings: FieldValue.increment(-clawback)
+      }, { merge: true });
+    }
+    
+    if (full && conversionData.couponCode) {
+      transaction.set(repos.coupons.ref(conversionData.couponCode), {
+        conversions: FieldValue.increment(-1)
+      }, { merge: true });
+    }
+    
+    applyConversionStatisticsDelta(transaction, conversionData.affiliateId, conversionData.linkId, conversionDate, full ? -1 : 0, -clawback);
+    
+    if (overrideClawback > 0) {
+      clawBackCommission(transaction, override.affiliateId, overrideClawback, balanceField, conversionRef.id, conversionData, refund, refundedBy, {
+        subAffiliateId: conversionData.affiliateId
+      });
+      applyConversionStatisticsDelta(transaction, override.affiliateId, null, conversionDate, 0, -overrideClawback);
+    }
+    
+    return {
+      conversionId: conversionRef.id,
+      duplicate: false,
+      conversion: { ...conversionData, ...update, status: full ? 'refunded' : conversionData.status },
+      refund: { amount, clawback, full }
+    };
+  });
+  
+  if (result.duplicate) {
+    return { conversionId: result.conversionId, duplicate: true };
+  }
+  
+  const { conversion, refund: applied } = result;
+  
+  await sendConversionRefundEmail(conversion.affiliateId, conversion, applied, refund.reason);
+  
+  return {
+    conversionId: result.conversionId,
+    status: conversion.status,
+    refundAmount: applied.amount,
+    refundedAmount: conversion.refundedAmount,
+    clawback: applied.clawback,
+    commissionAmount: conversion.commissionAmount
+  };
+}
+
+// Payout requests move through requested -> approved -> paid, or end as rejected
+const PAYOUT_TRANSITIONS = {
+  approved: ['requested'],
+  paid: ['approved'],
+  rejected: ['requested', 'approved']
+};
+
+async function requestPayout(affiliateId, amount, details) {
+  const payoutRef = repos.payouts.ref();
+  
+  const payout = await db.runTransaction(async transaction => {
+    const balanceDoc = await transaction.get(repos.balances.ref(affiliateId));
+    const opened = await openLegacyBalance(transaction, affiliateId);
+    
+    if (!balanceDoc.exists && !opened) {
+      throw createHttpError(400, 'No balance found for this affiliate');
+    }
+    
+    const available = addOpenedBalance(balanceDoc.exists ? balanceDoc.data() : {}, opened).available;
+    
+    if (amount > available) {
+      throw createHttpError(400, `Requested amount exceeds available balance of £${available.toFixed(2)}`);
+    }
+    
+    // Hold the money in processing so it can't be requested twice
+    postLedgerEntry(transaction, {
+      affiliateId: affiliateId,
+      type: 'payout',
+      amount: amount,
+      debit: 'available',
+      credit: 'processing',
+      sourceType: 'payout',
+      sourceId: payoutRef.id,
+      description: 'Payout requested',
+      createdBy: affiliateId
+    });
+    
+    const payoutData = {
+      affiliateId: affiliateId,
+      amount: amount,
+      currency: 'gbp',
+      method: details.method,
+      paymentDetails: details.paymentDetails,
+      notes: details.notes,
+      status: 'requested',
+      referenceId: 'PAY-' + crypto.randomBytes(3).toString('hex').toUpperCase(),
+      requestedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+      history: [{
+        status: 'requested',
+        by: affiliateId,
+        at: Timestamp.now()
+      }]
+    };
+    
+    transaction.set(payoutRef, payoutData);
+    
+    return { id: payoutRef.id, ...payoutData };
+  });
+  
+  await sendPayoutEmails(affiliateId, payout, 'requested');
+  
+  return payout;
+}
+
+async function updatePayoutStatus(payoutId, status, changedBy, details) {
+  const payoutRef = repos.payouts.ref(payoutId);
+  
+  const payout = await db.runTransaction(async transaction => {
+    const payoutDoc = await transaction.get(payoutRef);
+    
+    if (!payoutDoc.exists) {
+      throw createHttpError(404, 'Payout not found');
+    }
+    
+    const payoutData = payoutDoc.data();
+    
+    if (!PAYOUT_TRANSITIONS[status].includes(payoutData.status)) {
+      throw createHttpError(409, `Cannot mark a ${payoutData.status} payout as ${status}`);
+    }
+    
+    // Paying out settles the held money; rejecting releases it back to available
+    if (status !== 'approved') {
+      postLedgerEntry(transaction, {
+        affiliateId: payoutData.affiliateId,
+        type: 'payout',
+        amount: payoutData.amount,
+        debit: 'processing',
+        credit: status === 'paid' ? 'paid' : 'available',
+        sourceType: 'payout',
+        sourceId: payoutId,
+        description: status === 'paid' ? 'Payout paid' : 'Payout rejected',
+        createdBy: changedBy
+      });
+    }
+    
+    const historyEntry = {
+      status: status,
+      by: changedBy,
+      at: Timestamp.now()
+    };
+    
+    if (details.note) historyEntry.note = details.note;
+    
+    const update = {
+      status: status,
+      [`${status}At`]: FieldValue.serverTimestamp(),
+      [`${status}By`]: changedBy,
+      updatedAt: FieldValue.serverTimestamp(),
+      history: FieldValue.arrayUnion(historyEntry)
+    };
+    
+    if (details.transactionReference) update.transactionReference = details.transactionReference;
+    if (status === 'rejected') update.rejectionReason = details.note || '';
+    
+    transaction.update(payoutRef, update);
+    
+    return {
+      id: payoutId,
+      ...payoutData,
+      status: status,
+      transactionReference: details.transactionReference || payoutData.transactionReference
+    };
+  });
+  
+  await sendPayoutEmails(payout.affiliateId, payout, status, details.note);
+  
+  if (status === 'paid') {
+    await raiseWebhookEvent(payout.affiliateId, 'payout.paid', {
+      payoutId: payoutId,
+      amount: payout.amount,
+      currency: CONFIG.LEDGER_CURRENCY,
+      method: payout.method || null,
+      transactionReference: payout.transactionReference || null,
+      paidAt: new Date().toISOString()
+    });
+  }
+  
+  return payout;
+}
+
+async function postLedgerAdjustment(affiliateId, account, amount, reason, adjustedBy) {
+  const affiliateDoc = await repos.affiliates.ref(affiliateId).get();
+  
+  if (!affiliateDoc.exists) {
+    throw createHttpError(404, 'Affiliate not found');
+  }
+  
+  const entry = {
+    affiliateId: affiliateId,
+    type: 'adjustment',
+    amount: Math.abs(amount),
+    debit: amount > 0 ? LEDGER_PROGRAM_ACCOUNT : account,
+    credit: amount > 0 ? account : LEDGER_PROGRAM_ACCOUNT,
+    sourceType: 'affiliate',
+    sourceId: affiliateId,
+    description: reason,
+    createdBy: adjustedBy
+  };
+  
+  await db.runTransaction(async transaction => {
+    postLedgerEntry(transaction, entry);
+  });
+  
+  return { ...entry, amount: roundMoney(entry.amount) };
+}
+
+// What each of an affiliate's balance accounts should hold according to their ledger entries
+function sumLedgerEntries(entries) {
+  const totals = { pending: 0, available: 0, processing: 0, paid: 0 };
+  
+  entries.forEach(entry => {
+    if (entry.debit in totals) totals[entry.debit] = roundMoney(totals[entry.debit] - entry.amount);
+    if (entry.credit in totals) totals[entry.credit] = roundMoney(totals[entry.credit] + entry.amount);
+  });
+  
+  return totals;
+}
+
+function pickBalanceAccounts(balance) {
+  const accounts = {};
+  LEDGER_ACCOUNTS.forEach(account => {
+    accounts[account] = roundMoney(balance[account] || 0);
+  });
+  
+  return accounts;
+}
+
+// Balance documents from before balances were keyed by affiliate ID. Once opened in the
+// ledger they're kept, marked with where they went.
+function isLegacyBalance(doc) {
+  return doc.id !== doc.data().userId && !doc.data().migratedAt;
+}
+
+// Compares an affiliate's balance document with the sum of their ledger entries. Drift means a
+// balance changed without a ledger entry, or an entry was written without its balance change.
+async function reconcileAffiliateLedger(affiliateId) {
+  const [entriesSnapshot, balancesSnapshot] = await Promise.all([
+    repos.ledger.byAffiliate(affiliateId).get(),
+    repos.balances.byUserId(affiliateId).get()
+  ]);
+  
+  const balanceDoc = balancesSnapshot.docs.find(doc => doc.id === affiliateId);
+  const ledger = sumLedgerEntries(entriesSnapshot.docs.map(doc => doc.data()));
+  const balance = pickBalanceAccounts(balanceDoc ? balanceDoc.data() : {});
+  const accounts = LEDGER_ACCOUNTS.filter(account => Math.abs(balance[account] - ledger[account]) >= 0.01);
+  let drift = null;
+  
+  if (accounts.length > 0) {
+    const difference = {};
+    accounts.forEach(account => {
+      difference[account] = roundMoney(balance[account] - ledger[account]);
+    });
+    
+    drift = { affiliateId, accounts, ledger, balance, difference };
+  }
+  
+  const legacyBalances = balancesSnapshot.docs
+    .filter(isLegacyBalance)
+    .map(doc => ({ balanceId: doc.id, affiliateId: affiliateId, balance: pickBalanceAccounts(doc.data()) }));
+  
+  return { entries: entriesSnapshot.size, drift, legacyBalances };
+}
+
+// Calls `callback` with each affiliate that has a balance document, a page of balances at a
+// time. Every ledger entry updates its affiliate's keyed balance, so this reaches every
+// affiliate with entries too.
+async function forEachBalanceAffiliate(callback) {
+  let lastUserId = null;
+  let pageSize;
+  
+  do {
+    let query = repos.balances.collection.orderBy('userId').limit(BALANCE_PAGE_SIZE);
+    if (lastUserId !== null) query = query.startAfter(lastUserId);
+    
+    const snapshot = await query.get();
+    const affiliateIds = [...new Set(snapshot.docs.map(doc => doc.data().userId))];
+    
+    for (const affiliateId of affiliateIds) {
+      await callback(affiliateId);
+    }
+    
+    pageSize = snapshot.size;
+    lastUserId = affiliateIds[affiliateIds.length - 1];
+  } while (pageSize === BALANCE_PAGE_SIZE);
+}
+
+// Reconciles one affiliate, or every affiliate one at a time
+async function getLedgerReconciliation(affiliateId) {
+  const report = { affiliates: 0, entries: 0, drift: [], legacyBalances: [] };
+  
+  const reconcile = async id => {
+    const result = await reconcileAffiliateLedger(id);
+    
+    report.affiliates++;
+    report.entries += result.entries;
+    if (result.drift) report.drift.push(result.drift);
+    report.legacyBalances.push(...result.legacyBalances);
+  };
+  
+  if (affiliateId) {
+    await reconcile(affiliateId);
+  } else {
+    await forEachBalanceAffiliate(reconcile);
+  }
+  
+  return {
+    checkedAt: new Date().toISOString(),
+    affiliates: report.affiliates,
+    entries: report.entries,
+    balanced: report.drift.length === 0 && report.legacyBalances.length === 0,
+    drift: report.drift,
+    legacyBalances: report.legacyBalances
+  };
+}
+
+async function rebuildBalanceFromLedger(affiliateId) {
+  const affiliateDoc = await repos.affiliates.ref(affiliateId).get();
+  
+  if (!affiliateDoc.exists) {
+    throw createHttpError(404, 'Affiliate not found');
+  }
+  
+  // Read inside the transaction so no entry can be posted between the sum and the write
+  return db.runTransaction(async transaction => {
+    const entriesSnapshot = await transaction.get(repos.ledger.byAffiliate(affiliateId));
+    const balance = sumLedgerEntries(entriesSnapshot.docs.map(doc => doc.data()));
+    
+    transaction.set(repos.balances.ref(affiliateId), {
+      userId: affiliateId,
+      ...balance,
+      rebuiltAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    }, { merge: true });
+    
+    return balance;
+  });
+}
+
+// Opens an affiliate's legacy balances in the ledger on the caller's transaction, with one
+// adjustment per account crediting their keyed balance document. Reads before it writes, so
+// call it after the transaction's other reads. Returns the amounts opened, or null if none.
+async function openLegacyBalance(transaction, affiliateId, openedBy = null) {
+  const balancesSnapshot = await transaction.get(repos.balances.byUserId(affiliateId));
+  const legacyDocs = balancesSnapshot.docs.filter(isLegacyBalance);
+  
+  if (legacyDocs.length === 0) return null;
+  
+  const opened = pickBalanceAccounts({});
+  
+  legacyDocs.forEach(doc => {
+    const balance = pickBalanceAccounts(doc.data());
+    
+    LEDGER_ACCOUNTS.forEach(account => {
+      postLedgerEntry(transaction, {
+        affiliateId: affiliateId,
+        type: 'adjustment',
+        amount: Math.abs(balance[account]),
+        debit: balance[account] > 0 ? LEDGER_PROGRAM_ACCOUNT : account,
+        credit: balance[account] > 0 ? account : LEDGER_PROGRAM_ACCOUNT,
+        sourceType: 'balance',
+        sourceId: doc.id,
+        description: 'Opening balance',
+        createdBy: openedBy
+      });
+      
+      opened[account] = roundMoney(opened[account] + balance[account]);
+    });
+    
+    transaction.update(doc.ref, {
+      migratedAt: FieldValue.serverTimestamp(),
+      migratedTo: affiliateId
+    });
+  });
+  
+  return opened;
+}
+
+// A balance read before openLegacyBalance, with what it opened added
+function addOpenedBalance(balance, opened) {
+  const accounts = pickBalanceAccounts(balance);
+  
+  if (opened) {
+    LEDGER_ACCOUNTS.forEach(account => {
+      accounts[account] = roundMoney(accounts[account] + opened[account]);
+    });
+  }
+  
+  return { ...balance, ...accounts };
+}
+
+// An affiliate's balance. A legacy balance is opened the first time it's read, so affiliates
+// from before keyed balances see what they're owed without waiting for an admin.
+async function getAffiliateBalance(affiliateId) {
+  const balancesSnapshot = await repos.balances.byUserId(affiliateId).get();
+  const balanceDoc = balancesSnapshot.docs.find(doc => doc.id === affiliateId);
+  
+  if (!balancesSnapshot.docs.some(isLegacyBalance)) {
+    return balanceDoc ? balanceDoc.data() : pickBalanceAccounts({});
+  }
+  
+  return db.runTransaction(async transaction => {
+    const keyedDoc = await transaction.get(repos.balances.ref(affiliateId));
+    const opened = await openLegacyBalance(transaction, affiliateId);
+    
+    return addOpenedBalance(keyedDoc.exists ? keyedDoc.data() : {}, opened);
+  });
+}
+
+// Opens every affiliate's legacy balances, one transaction per affiliate
+async function openLegacyBalances(openedBy) {
+  const opened = [];
+  
+  await forEachBalanceAffiliate(async affiliateId => {
+    const openedBalance = await db.runTransaction(transaction => openLegacyBalance(transaction, affiliateId, openedBy));
+    if (openedBalance) opened.push(affiliateId);
+  });
+  
+  return { opened: opened.length, affiliateIds: opened };
+}
+
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+// Links created before link statuses existed have no status and are active
+function isReferralLinkActive(linkData) {
+  return !linkData.status || linkData.status === 'active';
+}
+
+// Whether a targetPage resolves to a page on our own site. Browsers read a backslash as a
+// slash, so "/\\evil.com" would otherwise leave it.
+function isSitePath(targetPage) {
+  if (typeof targetPage !== 'string' || !targetPage.startsWith('/') || /[\s\\]/.test(targetPage)) return false;
+  
+  try {
+    return new URL(targetPage, CONFIG.SITE_URL).origin === new URL(CONFIG.SITE_URL).origin;
+  } catch (error) {
+    return false;
+  }
+}
+
+function buildReferralUrl(linkData) {
+  // Links saved before the stricter check go to the home page instead
+  const targetPage = isSitePath(linkData.targetPage) ? linkData.targetPage : '/';
+  const url = new URL(targetPage, CONFIG.SITE_URL);
+  url.searchParams.set('ref', linkData.refCode);
+  
+  Object.entries(linkData.utm || {}).forEach(([field, value]) => {
+    if (value) url.searchParams.set(`utm_${field}`, value);
+  });
+  
+  return url.toString();
+}
+
+function formatReferralLink(doc) {
+  const data = doc.data();
+  
+  return {
+    id: doc.id,
+    name: data.name || data.linkType,
+    refCode: data.refCode,
+    linkType: data.linkType,
+    targetPage: data.targetPage || '/',
+    utm: data.utm || {},
+    status: data.status || 'active',
+    url: buildReferralUrl(data),
+    clicks: data.clicks || 0,
+    conversions: data.conversions || 0,
+    earnings: data.earnings || 0
+  };
+}
+
+// Checks the editable fields of a referral link. With partial set, missing fields are left out.
+function normalizeReferralLinkFields(body, partial) {
+  const fields = {};
+  
+  if (body.name !== undefined || !partial) {
+    if (body.name !== undefined && (typeof body.name !== 'string' || body.name.length > 100)) {
+      throw createHttpError(400, 'name must be a string of at most 100 characters');
+    }
+    fields.name = body.name || body.linkType || 'custom';
+  }
+  
+  if (body.targetPage !== undefined || !partial) {
+    const targetPage = body.targetPage || '/';
+    
+    // Only paths on our own site, so the redirect can't be used to send visitors elsewhere
+    if (!isSitePath(targetPage)) {
+      throw createHttpError(400, 'targetPage must be a path on our website, starting with /');
+    }
+    fields.targetPage = targetPage;
+  }
+  
+  if (body.utm !== undefined || !partial) {
+    const utm = body.utm || {};
+    
+    if (typeof utm !== 'object' || Array.isArray(utm)) {
+      throw createHttpError(400, 'utm must be an object');
+    }
+    
+    fields.utm = {};
+    UTM_FIELDS.forEach(field => {
+      if (utm[field] !== undefined && utm[field] !== null && utm[field] !== '') {
+        fields.utm[field] = String(utm[field]).substring(0, 100);
+      }
+    });
+  }
+  
+  return fields;
+}
+
+async function getOwnedReferralLink(linkId, affiliateId) {
+  const linkDoc = await repos.referralLinks.ref(linkId).get();
+  
+  if (!linkDoc.exists || linkDoc.data().affiliateId !== affiliateId) {
+    throw createHttpError(404, 'Referral link not found');
+  }
+  
+  return linkDoc;
+}
+
+function normalizeCouponCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// What the checkout takes off the customer's price. Coupons start without a discount until an
+// admin sets one.
+function getCouponDiscount(couponData) {
+  if (!couponData.discountType || !(couponData.discountValue > 0)) return null;
+  
+  return {
+    type: couponData.discountType,
+    value: couponData.discountValue,
+    currency: couponData.discountType === 'fixed' ? CONFIG.LEDGER_CURRENCY : null
+  };
+}
+
+function formatCoupon(doc) {
+  const data = doc.data();
+  
+  return {
+    code: doc.id,
+    affiliateId: data.affiliateId,
+    linkId: data.linkId,
+    status: data.status || 'active',
+    discount: getCouponDiscount(data),
+    conversions: data.conversions || 0,
+    createdAt: data.createdAt || null
+  };
+}
+
+// Checks a discount change against the coupon's current settings
+function normalizeCouponDiscount(body, current) {
+  const fields = {};
+  
+  if (body.discountType !== undefined) fields.discountType = body.discountType;
+  if (body.discountValue !== undefined) fields.discountValue = body.discountValue;
+  
+  const discountType = fields.discountType || current.discountType;
+  const discountValue = fields.discountValue !== undefined ? fields.discountValue : current.discountValue;
+  
+  if (discountValue > 0 && !discountType) {
+    throw createHttpError(400, 'discountType is required to set a discount');
+  }
+  
+  if (discountType === 'percent' && discountValue > 100) {
+    throw createHttpError(400, 'A percentage discount can be at most 100');
+  }
+  
+  return fields;
+}
+
+// Claims a coupon code for an affiliate, with a referral link of its own so the coupon's sales
+// show up in the link stats
+async function createCoupon(affiliateId, code, discount) {
+  const couponRef = repos.coupons.ref(normalizeCouponCode(code));
+  const linkRef = repos.referralLinks.ref();
+  const discountFields = normalizeCouponDiscount(discount || {}, {});
+  
+  const couponsSnapshot = await repos.coupons.byAffiliate(affiliateId).get();
+  
+  if (couponsSnapshot.size >= CONFIG.MAX_COUPONS_PER_AFFILIATE) {
+    throw createHttpError(400, `You can have at most ${CONFIG.MAX_COUPONS_PER_AFFILIATE} coupon codes`);
+  }
+  
+  await db.runTransaction(async transaction => {
+    const couponDoc = await transaction.get(couponRef);
+    
+    if (couponDoc.exists) {
+      throw createHttpError(409, 'This coupon code is already taken');
+    }
+    
+    transaction.set(linkRef, {
+      affiliateId: affiliateId,
+      linkType: 'coupon',
+      name: `Coupon ${couponRef.id}`,
+      refCode: generateReferralCode(affiliateId, 'coupon'),
+      targetPage: '/',
+      utm: {},
+      status: 'active',
+      couponCode: couponRef.id,
+      createdAt: FieldValue.serverTimestamp(),
+      clicks: 0,
+      conversions: 0,
+      earnings: 0
+    });
+    
+    transaction.set(couponRef, {
+      affiliateId: affiliateId,
+      linkId: linkRef.id,
+      status: 'active',
+      discountType: null,
+      discountValue: 0,
+      ...discountFields,
+      conversions: 0,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp()
+    });
+  });
+  
+  return couponRef.get();
+}
+
+// Codes come from the public, so anything that isn't a valid code is never looked up
+async function getCouponDoc(code) {
+  const couponCode = normalizeCouponCode(code);
+  if (!COUPON_CODE_PATTERN.test(couponCode)) return null;
+  
+  const couponDoc = await repos.coupons.ref(couponCode).get();
+  
+  return couponDoc.exists ? couponDoc : null;
+}
+
+// A coupon that can be used right now: active, with an active link and owner
+async function findActiveCoupon(code) {
+  const couponDoc = await getCouponDoc(code);
+  
+  if (!couponDoc || couponDoc.data().status !== 'active') return null;
+  
+  const coupon = couponDoc.data();
+  const linkDoc = await repos.referralLinks.ref(coupon.linkId).get();
+  
+  if (!linkDoc.exists || !isReferralLinkActive(linkDoc.data())) return null;
+  if (!await isAffiliateIdActive(coupon.affiliateId)) return null;
+  
+  return {
+    code: couponDoc.id,
+    affiliateId: coupon.affiliateId,
+    refCode: linkDoc.data().refCode,
+    discount: getCouponDiscount(coupon)
+  };
+}
+
+async function getOwnedCoupon(code, affiliateId) {
+  const couponDoc = await getCouponDoc(code);
+  
+  if (!couponDoc || couponDoc.data().affiliateId !== affiliateId) {
+    throw createHttpError(404, 'Coupon code not found');
+  }
+  
+  return couponDoc;
+}
+
+const MAX_ANALYTICS_RANGE_DAYS = 366;
+
+// Parses YYYY-MM-DD bounds into local midnights, matching how the stats documents are dated.
+// Defaults to the last 30 days.
+function parseDateRange(fromValue, toValue) {
+  const parseDay = (value, name) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    
+    if (!match) {
+      throw createHttpError(400, `${name} must be a date in YYYY-MM-DD format`);
+    }
+    
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  };
+  
+  const now = new Date();
+  const to = toValue ? parseDay(toValue, 'to') : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const from = fromValue ? parseDay(fromValue, 'from') : addDays(to, -29);
+  
+  if (from > to) {
+    throw createHttpError(400, 'from must be before to');
+  }
+  
+  if (daysBetween(from, to) + 1 > MAX_ANALYTICS_RANGE_DAYS) {
+    throw createHttpError(400, `Date range can be at most ${MAX_ANALYTICS_RANGE_DAYS} days`);
+  }
+  
+  return { from, to };
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function daysBetween(from, to) {
+  return Math.round((to - from) / (24 * 60 * 60 * 1000));
+}
+
+// The first day of the bucket a date falls in; weeks start on Monday
+function getBucketStart(date, granularity) {
+  if (granularity === 'month') return new Date(date.getFullYear(), date.getMonth(), 1);
+  if (granularity === 'week') return addDays(date, -((date.getDay() + 6) % 7));
+  
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Stats documents dated within the range; with no field, those of every affiliate.
+// `collection` names one of repos.stats.collections.
+async function loadStatsDocuments(collection, field, value, range) {
+  let query = repos.stats.collections[collection];
+  if (field) query = query.where(field, '==', value);
+  
+  const snapshot = await query
+    .where('date', '>=', Timestamp.fromDate(range.from))
+    .where('date', '<=', Timestamp.fromDate(range.to))
+    .get();
+  
+  return snapshot.docs.map(doc => doc.data());
+}
+
+function calculateRates(totals) {
+  return {
+    ...totals,
+    conversionRate: totals.clicks > 0 ? roundMoney(totals.conversions / totals.clicks * 100) : 0,
+    epc: totals.clicks > 0 ? roundMoney(totals.earnings / totals.clicks) : 0
+  };
+}
+
+function percentageChange(current, previous) {
+  if (!previous) return current > 0 ? 100 : 0;
+  
+  return roundMoney((current - previous) / previous * 100);
+}
+
+function sumStats(docs) {
+  return docs.reduce((totals, doc) => ({
+    clicks: totals.clicks + (doc.clicks || 0),
+    conversions: totals.conversions + (doc.conversions || 0),
+    earnings: roundMoney(totals.earnings + (doc.earnings || 0))
+  }), { clicks: 0, conversions: 0, earnings: 0 });
+}
+
+// Device and source stats only count clicks, so with either filter the conversion figures
+// can't be split out and are left null. Takes one filter at a time; /analytics rejects more.
+async function loadFilteredStats(affiliateId, range, filters) {
+  if (filters.device) {
+    const docs = await loadStatsDocuments('device', 'affiliateId', affiliateId, range);
+    return { docs: docs.filter(doc => doc.device === filters.device), clicksOnly: true };
+  }
+  
+  if (filters.source) {
+    const docs = await loadStatsDocuments('source', 'affiliateId', affiliateId, range);
+    return { docs: docs.filter(doc => doc.source === filters.source), clicksOnly: true };
+  }
+  
+  const docs = filters.linkId
+    ? await loadStatsDocuments('link', 'linkId', filters.linkId, range)
+    : await loadStatsDocuments('daily', 'affiliateId', affiliateId, range);
+  
+  return { docs, clicksOnly: false };
+}
+
+function summarise(docs, clicksOnly) {
+  const totals = calculateRates(sumStats(docs));
+  
+  if (clicksOnly) {
+    return { ...totals, conversions: null, earnings: null, conversionRate: null, epc: null };
+  }
+  
+  return totals;
+}
+
+async function getAnalytics(affiliateId, range, granularity, filters) {
+  const previousTo = addDays(range.from, -1);
+  const previousRange = { from: addDays(previousTo, -daysBetween(range.from, range.to)), to: previousTo };
+  
+  const [current, previous, deviceDocs, sourceDocs, linkDocs, linksSnapshot] = await Promise.all([
+    loadFilteredStats(affiliateId, range, filters),
+    loadFilteredStats(affiliateId, previousRange, filters),
+    loadStatsDocuments('device', 'affiliateId', affiliateId, range),
+    loadStatsDocuments('source', 'affiliateId', affiliateId, range),
+    loadStatsDocuments('link', 'affiliateId', affiliateId, range),
+    repos.referralLinks.byAffiliate(affiliateId).get()
+  ]);
+  
+  // Time series with an entry for every bucket, including empty ones
+  const buckets = new Map();
+  for (let day = range.from; day <= range.to; day = addDays(day, 1)) {
+    const key = formatDate(getBucketStart(day, granularity));
+    if (!buckets.has(key)) buckets.set(key, []);
+  }
+  
+  current.docs.forEach(doc => {
+    const key = formatDate(getBucketStart(doc.date.toDate(), granularity));
+    if (buckets.has(key)) buckets.get(key).push(doc);
+  });
+  
+  const series = Array.from(buckets.entries()).map(([period, docs]) => ({
+    period,
+    ...summarise(docs, current.clicksOnly)
+  }));
+  
+  const groupBy = (docs, key) => {
+    const groups = {};
+    docs.forEach(doc => {
+      const group = doc[key] || 'unknown';
+      groups[group] = groups[group] || [];
+      groups[group].push(doc);
+    });
+    return groups;
+  };
+  
+  const linkNames = {};
+  linksSnapshot.docs.forEach(doc => {
+    linkNames[doc.id] = doc.data().name || doc.data().linkType;
+  });
+  
+  const devices = Object.entries(groupBy(deviceDocs, 'device'))
+    .map(([device, docs]) => ({ device, clicks: sumStats(docs).clicks }));
+  const sources = Object.entries(groupBy(sourceDocs, 'source'))
+    .map(([source, docs]) => ({ source, clicks: sumStats(docs).clicks }));
+  const links = Object.entries(groupBy(linkDocs, 'linkId'))
+    .filter(([linkId]) => !filters.linkId || linkId === filters.linkId)
+    .map(([linkId, docs]) => ({ linkId, name: linkNames[linkId] || linkId, ...calculateRates(sumStats(docs)) }));
+  
+  const totals = summarise(current.docs, current.clicksOnly);
+  const previousTotals = summarise(previous.docs, previous.clicksOnly);
+  const change = {};
+  
+  ['clicks', 'conversions', 'earnings', 'conversionRate', 'epc'].forEach(metric => {
+    change[metric] = totals[metric] === null ? null : percentageChange(totals[metric], previousTotals[metric]);
+  });
+  
+  return {
+    from: formatDate(range.from),
+    to: formatDate(range.to),
+    granularity,
+    filters,
+    currency: CONFIG.LEDGER_CURRENCY,
+    totals,
+    previousPeriod: {
+      from: formatDate(previousRange.from),
+      to: formatDate(previousRange.to),
+      totals: previousTotals
+    },
+    change,
+    series,
+    breakdowns: { devices, sources, links }
+  };
+}
+
+// How long the dashboard's change figures are kept before they're worked out again
+const PROFILE_CHANGES_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Keeps the dashboard's change figures on the profile up to date: the last 30 days against the
+// 30 before. Working them out runs the whole analytics query set, so it's done at most once per
+// PROFILE_CHANGES_MAX_AGE_MS rather than on every visit. Returns only what it changed.
+async function updateProfileChanges(affiliateId, profile) {
+  const updatedAt = profile.changesUpdatedAt;
+  if (updatedAt && Date.now() - updatedAt.toMillis() < PROFILE_CHANGES_MAX_AGE_MS) return {};
+  
+  try {
+    const analytics = await getAnalytics(affiliateId, parseDateRange(), 'month', {});
+    
+    const changes = {
+      referralChange: analytics.change.clicks,
+      revenueChange: analytics.change.earnings,
+      conversionRateChange: analytics.change.conversionRate,
+      changesUpdatedAt: Timestamp.now()
+    };
+    
+    await repos.affiliates.ref(affiliateId).update(changes);
+    
+    return changes;
+  } catch (error) {
+    console.error('Error updating profile changes:', error);
+    return {};
+  }
+}
+
+// What each export contains: the repository it's read from, how it's keyed to an affiliate and dated, and its columns
+const EXPORT_DATASETS = {
+  conversions: {
+    repository: 'conversions',
+    affiliateField: 'affiliateId',
+    dateField: 'date',
+    columns: ['id', 'date', 'affiliateId', 'refCode', 'bookingId', 'packageId', 'packageName', 'purchaseAmount', 'currency',
+      'exchangeRate', 'purchaseAmountGbp', 'commissionRate', 'commissionAmount', 'status', 'customerName', 'customerEmail']
+  },
+  clicks: {
+    repository: 'clicks',
+    affiliateField: 'affiliateId',
+    dateField: 'date',
+    columns: ['id', 'date', 'affiliateId', 'refCode', 'linkId', 'path', 'deviceType', 'source', 'counted', 'flags', 'converted']
+  },
+  earnings: {
+    repository: 'earnings',
+    affiliateField: 'userId',
+    dateField: 'createdAt',
+    columns: ['id', 'createdAt', 'userId', 'referenceId', 'conversionId', 'description', 'amount', 'status']
+  },
+  payouts: {
+    repository: 'payouts',
+    affiliateField: 'affiliateId',
+    dateField: 'requestedAt',
+    columns: ['id', 'requestedAt', 'affiliateId', 'referenceId', 'amount', 'currency', 'method', 'status', 'paidAt', 'transactionReference']
+  }
+};
+
+// jo***@gmail.com
+function maskEmail(email) {
+  if (!email || !email.includes('@')) return email || '';
+  
+  const [name, domain] = email.split('@');
+  return `${name.substring(0, 2)}***@${domain}`;
+}
+
+function toExportValue(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Timestamp) return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.join(';');
+  
+  return value;
+}
+
+// Cells a spreadsheet would run as a formula. Customer names, package names and the like come
+// from outside, so they're prefixed with a quote to keep them text.
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+function toCsvValue(value) {
+  let text = String(toExportValue(value));
+  
+  // Numbers are left alone, or every negative amount would become text
+  if (typeof value === 'string' && CSV_FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Streams a dataset row by row so large exports don't have to fit in memory
+async function streamExport(res, datasetName, options) {
+  const dataset = EXPORT_DATASETS[datasetName];
+  
+  if (!dataset) {
+    throw createHttpError(404, `Unknown export. Available exports: ${Object.keys(EXPORT_DATASETS).join(', ')}`);
+  }
+  
+  const format = options.format || 'csv';
+  
+  if (!['csv', 'json'].includes(format)) {
+    throw createHttpError(400, 'format must be csv or json');
+  }
+  
+  let query = repos[dataset.repository].collection;
+  
+  if (options.affiliateId) {
+    query = query.where(dataset.affiliateField, '==', options.affiliateId);
+  }
+  
+  const stream = query
+    .where(dataset.dateField, '>=', Timestamp.fromDate(options.range.from))
+    .where(dataset.dateField, '<', Timestamp.fromDate(addDays(options.range.to, 1)))
+    .orderBy(dataset.dateField, 'asc')
+    .stream();
+  
+  const filename = `${datasetName}_${formatDate(options.range.from)}_${formatDate(options.range.to)}.${format}`;
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  
+  let count = 0;
+  
+  if (format === 'csv') {
+    res.write(dataset.columns.join(',') + '\n');
+  } else {
+    res.write('[');
+  }
+  
+  for await (const doc of stream) {
+    const data = { id: doc.id, ...doc.data() };
+    
+    if (options.maskCustomers && data.customerEmail) {
+      data.customerEmail = maskEmail(data.customerEmail);
+    }
+    
+    if (format === 'csv') {
+      res.write(dataset.columns.map(column => toCsvValue(data[column])).join(',') + '\n');
+    } else {
+      const row = {};
+      dataset.columns.forEach(column => {
+        row[column] = toExportValue(data[column]);
+      });
+      res.write((count > 0 ? ',' : '') + JSON.stringify(row));
+    }
+    
+    count++;
+  }
+  
+  if (format === 'json') {
+    res.write(']');
+  }
+  
+  res.end();
+}
+
+// One line per month of the year: commission earned (from monthlyEarnings) and payouts made
+async function getMonthlyStatement(affiliateId, yearValue) {
+  const year = yearValue ? parseInt(yearValue, 10) : new Date().getFullYear();
+  
+  if (!Number.isInteger(year) || year < 2000 || year > 3000) {
+    throw createHttpError(400, 'year must be a four digit year');
+  }
+  
+  const yearStart = new Date(year, 0, 1);
+  const nextYearStart = new Date(year + 1, 0, 1);
+  
+  const [earningsSnapshot, payoutsSnapshot] = await Promise.all([
+    repos.stats.monthlyForAffiliate(affiliateId)
+      .where('month', '>=', Timestamp.fromDate(yearStart))
+      .where('month', '<', Timestamp.fromDate(nextYearStart))
+      .get(),
+    repos.payouts.byAffiliate(affiliateId)
+      .where('status', '==', 'paid')
+      .get()
+  ]);
+  
+  const months = [];
+  for (let month = 0; month < 12; month++) {
+    months.push({
+      month: formatDate(new Date(year, month, 1)).substring(0, 7),
+      conversions: 0,
+      commission: 0,
+      paidOut: 0
+    });
+  }
+  
+  earningsSnapshot.docs.forEach(doc => {
+    const data = doc.data();
+    const entry = months[data.month.toDate().getMonth()];
+    entry.conversions += data.count || 0;
+    entry.commission = roundMoney(entry.commission + (data.amount || 0));
+  });
+  
+  payoutsSnapshot.docs.forEach(doc => {
+    const data = doc.data();
+    if (!data.paidAt) return;
+    
+    const paidAt = data.paidAt.toDate();
+    if (paidAt < yearStart || paidAt >= nextYearStart) return;
+    
+    const entry = months[paidAt.getMonth()];
+    entry.paidOut = roundMoney(entry.paidOut + (data.amount || 0));
+  });
+  
+  return {
+    affiliateId,
+    year,
+    currency: CONFIG.LEDGER_CURRENCY,
+    months,
+    totals: {
+      conversions: months.reduce((sum, entry) => sum + entry.conversions, 0),
+      commission: roundMoney(months.reduce((sum, entry) => sum + entry.commission, 0)),
+      paidOut: roundMoney(months.reduce((sum, entry) => sum + entry.paidOut, 0))
+    }
+  };
+}
+
+function sendStatement(res, statement, format) {
+  if (!format || format === 'json') {
+    return res.json({ success: true, statement });
+  }
+  
+  if (format !== 'csv') {
+    throw createHttpError(400, 'format must be csv or json');
+  }
+  
+  const columns = ['month', 'conversions', 'commission', 'paidOut'];
+  const rows = statement.months.map(entry => columns.map(column => toCsvValue(entry[column])).join(','));
+  rows.push(['total', statement.totals.conversions, statement.totals.commission, statement.totals.paidOut].join(','));
+  
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="statement_${statement.year}.csv"`);
+  res.send(columns.join(',') + '\n' + rows.join('\n') + '\n');
+}
+
+// Each admin action: the statuses it can be taken from and the status it leads to
+const AFFILIATE_STATUS_ACTIONS = {
+  approve: { from: ['pending'], to: 'active' },
+  suspend: { from: ['pending', 'active'], to: 'suspended' },
+  reactivate: { from: ['suspended'], to: 'active' },
+  terminate: { from: ['pending', 'active', 'suspended'], to: 'terminated' }
+};
+
+// Affiliates registered before account statuses existed have no status and are active
+function isAffiliateActive(affiliateData) {
+  return !affiliateData.status || affiliateData.status === 'active';
+}
+
+async function isAffiliateIdActive(affiliateId) {
+  const affiliateDoc = await repos.affiliates.ref(affiliateId).get();
+  
+  return affiliateDoc.exists && isAffiliateActive(affiliateDoc.data());
+}
+
+// The active affiliate who owns a referral code given at registration
+async function resolveRecruiter(recruiterCode) {
+  const linksSnapshot = await repos.referralLinks.byRefCode(recruiterCode).get();
+  const recruiterId = linksSnapshot.empty ? null : linksSnapshot.docs[0].data().affiliateId;
+  
+  if (!recruiterId || !await isAffiliateIdActive(recruiterId)) {
+    throw createHttpError(400, 'Request validation failed', [{ field: 'body.recruiterCode', message: 'does not belong to an active affiliate' }], 'validation_failed');
+  }
+  
+  return recruiterId;
+}
+
+// The recruiter who earns an override on this affiliate's sales, if any. Overrides only go one
+// level up: a recruiter's own recruiter gets nothing.
+async function resolveOverrideCommission(affiliateId) {
+  if (!(CONFIG.OVERRIDE_COMMISSION_RATE > 0)) return null;
+  
+  const affiliateDoc = await repos.affiliates.ref(affiliateId).get();
+  const parentAffiliateId = affiliateDoc.exists ? affiliateDoc.data().parentAffiliateId : null;
+  
+  if (!parentAffiliateId || !await isAffiliateIdActive(parentAffiliateId)) return null;
+  
+  return { affiliateId: parentAffiliateId, rate: CONFIG.OVERRIDE_COMMISSION_RATE };
+}
+
+// An affiliate's recruits with the override commission earned on each one's sales. Claimed and
+// rejected conversions earn nothing.
+async function getTeamSummary(affiliateId) {
+  const [recruitsSnapshot, conversionsSnapshot] = await Promise.all([
+    repos.affiliates.byParent(affiliateId).get(),
+    repos.conversions.byParent(affiliateId).get()
+  ]);
+  
+  const earned = {};
+  conversionsSnapshot.docs.forEach(doc => {
+    const conversion = doc.data();
+    if (!['pending', 'approved'].includes(conversion.status)) return;
+    
+    const totals = earned[conversion.affiliateId] || { conversions: 0, pending: 0, approved: 0 };
+    totals.conversions += 1;
+    totals[conversion.status] += conversion.overrideCommissionAmount || 0;
+    earned[conversion.affiliateId] = totals;
+  });
+  
+  const recruits = recruitsSnapshot.docs.map(doc => {
+    const recruit = doc.data();
+    const totals = earned[doc.id] || { conversions: 0, pending: 0, approved: 0 };
+    
+    return {
+      affiliateId: doc.id,
+      name: recruit.name,
+      status: recruit.status || 'active',
+      joinedAt: recruit.createdAt || null,
+      conversions: totals.conversions,
+      overrideEarnings: roundMoney(totals.pending + totals.approved),
+      pendingOverrideEarnings: roundMoney(totals.pending)
+    };
+  });
+  
+  return {
+    overrideRate: CONFIG.OVERRIDE_COMMISSION_RATE,
+    recruitCount: recruits.length,
+    overrideEarnings: roundMoney(recruits.reduce((sum, recruit) => sum + recruit.overrideEarnings, 0)),
+    pendingOverrideEarnings: roundMoney(recruits.reduce((sum, recruit) => sum + recruit.pendingOverrideEarnings, 0)),
+    recruits: recruits
+  };
+}
+
+async function getAffiliateSummary(affiliateDoc) {
+  const affiliateId = affiliateDoc.id;
+  
+  const [balance, linksSnapshot] = await Promise.all([
+    getAffiliateBalance(affiliateId),
+    repos.referralLinks.byAffiliate(affiliateId).get()
+  ]);
+  
+  const performance = linksSnapshot.docs.reduce((totals, doc) => {
+    const link = doc.data();
+    return {
+      links: totals.links + 1,
+      clicks: totals.clicks + (link.clicks || 0),
+      conversions: totals.conversions + (link.conversions || 0),
+      earnings: roundMoney(totals.earnings + (link.earnings || 0))
+    };
+  }, { links: 0, clicks: 0, conversions: 0, earnings: 0 });
+  
+  return {
+    id: affiliateId,
+    ...affiliateDoc.data(),
+    status: affiliateDoc.data().status || 'active',
+    balance: {
+      available: balance.available || 0,
+      pending: balance.pending || 0,
+      processing: balance.processing || 0,
+      paid: balance.paid || 0
+    },
+    performance
+  };
+}
+
+// Changes an affiliate's status and then whether they can log in. The login update can't be part
+// of the transaction, so if it fails the status stays changed, the affiliate is marked
+// authSyncPending and the result says authUpdated: false. Repeating the action retries it.
+async function changeAffiliateStatus(affiliateId, action, changedBy, reason) {
+  const affiliateRef = repos.affiliates.ref(affiliateId);
+  const transition = AFFILIATE_STATUS_ACTIONS[action];
+  
+  const { affiliateData, retry } = await db.runTransaction(async transaction => {
+    const affiliateDoc = await transaction.get(affiliateRef);
+    
+    if (!affiliateDoc.exists) {
+      throw createHttpError(404, 'Affiliate not found');
+    }
+    
+    const data = affiliateDoc.data();
+    const currentStatus = data.status || 'active';
+    
+    if (currentStatus === transition.to && data.authSyncPending) {
+      return { affiliateData: data, retry: true };
+    }
+    
+    if (!transition.from.includes(currentStatus)) {
+      throw createHttpError(409, `Cannot ${action} an affiliate who is ${currentStatus}`);
+    }
+    
+    transaction.update(affiliateRef, {
+      status: transition.to,
+      statusReason: reason || '',
+      statusChangedAt: FieldValue.serverTimestamp(),
+      statusChangedBy: changedBy,
+      statusHistory: FieldValue.arrayUnion({
+        status: transition.to,
+        by: changedBy,
+        reason: reason || '',
+        at: Timestamp.now()
+      })
+    });
+    
+    return { affiliateData: data, retry: false };
+  });
+  
+  const authUpdated = await updateAffiliateLogin(affiliateId, affiliateData, transition.to);
+  
+  if (!retry) {
+    await sendAffiliateStatusEmail(affiliateId, affiliateData, transition.to, reason);
+  }
+  
+  return { status: transition.to, authUpdated };
+}
+
+// Terminated affiliates can no longer log in; anything else can. Setting `disabled` is
+// idempotent, so a failed update is simply tried again.
+async function updateAffiliateLogin(affiliateId, affiliateData, status) {
+  const affiliateRef = repos.affiliates.ref(affiliateId);
+  
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    try {
+      await auth.updateUser(affiliateId, { disabled: status === 'terminated' });
+      
+      if (affiliateData.authSyncPending) {
+        await affiliateRef.update({ authSyncPending: FieldValue.delete() });
+      }
+      
+      return true;
+    } catch (error) {
+      console.error(`Error updating login for affiliate ${affiliateId} (attempt ${attempt}):`, error);
+    }
+  }
+  
+  try {
+    await affiliateRef.update({ authSyncPending: true });
+  } catch (error) {
+    console.error(`Error marking login update pending for affiliate ${affiliateId}:`, error);
+  }
+  
+  return false;
+}
+
+// Never email passwords: affiliates get a link to set theirs. Those who chose a password
+// when /register still took one get a link to verify their email address instead.
+async function generateOnboardingLink(email, hasPassword) {
+  const actionCodeSettings = { url: `${CONFIG.SITE_URL}/affiliate-dashboard.html` };
+  
+  if (hasPassword) {
+    return { type: 'verify', url: await auth.generateEmailVerificationLink(email, actionCodeSettings) };
+  }
+  
+  return { type: 'setup', url: await auth.generatePasswordResetLink(email, actionCodeSettings) };
+}
+
+// A resent invite verifies the email of someone who chose a password at registration and
+// hasn't verified yet; anyone else gets a fresh link to (re)set their password
+async function resendOnboardingLink(affiliateId) {
+  const affiliateDoc = await repos.affiliates.ref(affiliateId).get();
+  
+  if (!affiliateDoc.exists) {
+    throw createHttpError(404, 'Affiliate not found');
+  }
+  
+  const affiliateData = affiliateDoc.data();
+  const userRecord = await auth.getUser(affiliateId);
+  const needsVerification = !!affiliateData.passwordSet && !userRecord.emailVerified;
+  
+  const onboardingLink = await generateOnboardingLink(userRecord.email, needsVerification);
+  
+  await sendInviteEmail(affiliateId, affiliateData, onboardingLink);
+  
+  await affiliateDoc.ref.update({
+    inviteSentAt: FieldValue.serverTimestamp()
+  });
+  
+  return onboardingLink.type;
+}
+
+async function createInitialReferralLinks(userId) {
+  try {
+    const linkTypes = ['general', 'facebook', 'twitter', 'instagram', 'tiktok'];
+    
+    // Create a link for each type
+    const linkPromises = linkTypes.map(linkType => {
+      const refCode = generateReferralCode(userId, linkType);
+      
+      return repos.referralLinks.collection.add({
+        affiliateId: userId,
+        linkType: linkType,
+        name: linkType,
+        refCode: refCode,
+        targetPage: '/',
+        utm: {},
+        status: 'active',
+        createdAt: FieldValue.serverTimestamp(),
+        clicks: 0,
+        conversions: 0,
+        earnings: 0
+      });
+    });
+    
+    await Promise.all(linkPromises);
+  } catch (error) {
+    console.error('Error creating initial referral links:', error);
+  }
+}
+
+// Renders a template in the recipient's language and queues it in the outbox
+async function queueEmail(to, template, data, language, affiliateId) {
+  if (!outbox) {
+    console.error(`Email outbox not available, dropping ${template} email to ${to}`);
+    return null;
+  }
+  
+  const email = renderEmail(template, data, language);
+  
+  return outbox.enqueue({ to, template, affiliateId, sensitive: SIGN_IN_LINK_EMAIL_TEMPLATES.includes(template), ...email });
+}
+
+// Notification preferences, with 'instant' for any event the recipient hasn't chosen for
+function getNotificationPreferences(audience, stored) {
+  const preferences = {};
+  NOTIFICATION_EVENTS[audience].forEach(event => {
+    preferences[event] = NOTIFICATION_FREQUENCIES.includes(stored?.[event]) ? stored[event] : 'instant';
+  });
+  
+  return preferences;
+}
+
+// Each admin address's preferences, from settings/adminNotifications
+async function getAdminNotificationPreferences() {
+  const settingsDoc = await repos.settings.ref('adminNotifications').get();
+  const stored = settingsDoc.exists ? settingsDoc.data().preferences || {} : {};
+  
+  const preferences = {};
+  CONFIG.ADMIN_EMAILS.forEach(email => {
+    preferences[email] = getNotificationPreferences('admin', stored[email]);
+  });
+  
+  return preferences;
+}
+
+// Emails an event straight away, or saves a line about it for the recipient's next digest
+async function deliverNotification(notification) {
+  const { to, frequency, template, data, language, affiliateId, digestLine } = notification;
+  
+  if (frequency === 'off') return;
+  
+  if (frequency === 'instant') {
+    await queueEmail(to, template, data, language, affiliateId);
+    return;
+  }
+  
+  await repos.digests.items.collection.add({
+    to: to,
+    audience: notification.audience,
+    event: notification.event,
+    frequency: frequency,
+    affiliateId: affiliateId || null,
+    line: digestLine.key,
+    values: digestLine.values,
+    digestedAt: null,
+    createdAt: FieldValue.serverTimestamp()
+  });
+}
+
+async function notifyAffiliate(affiliateId, affiliateData, event, template, data, digestLine) {
+  if (!affiliateData.email) return;
+  
+  const preferences = getNotificationPreferences('affiliate', affiliateData.notificationPreferences);
+  
+  await deliverNotification({
+    to: affiliateData.email,
+    audience: 'affiliate',
+    event,
+    frequency: preferences[event],
+    template,
+    data,
+    language: affiliateData.language,
+    affiliateId,
+    digestLine
+  });
+}
+
+async function notifyAdmins(event, template, data, digestLine) {
+  const preferences = await getAdminNotificationPreferences();
+  
+  for (const adminEmail of CONFIG.ADMIN_EMAILS) {
+    await deliverNotification({
+      to: adminEmail,
+      audience: 'admin',
+      event,
+      frequency: preferences[adminEmail][event],
+      template,
+      data,
+      language: CONFIG.ADMIN_EMAIL_LANGUAGE,
+      digestLine
+    });
+  }
+}
+
+async function sendConversionEmails(affiliateId, linkId, purchaseAmount, commissionAmount, details) {
+  try {
+    // Get affiliate details
+    const affiliateDoc = await repos.affiliates.ref(affiliateId).get();
+    
+    if (!affiliateDoc.exists) {
+      console.error('Affiliate not found for sending emails');
+      return;
+    }
+    
+    const affiliateData = affiliateDoc.data();
+    const data = {
+      name: affiliateData.name,
+      email: affiliateData.email,
+      packageName: details.packageName,
+      purchase: formatLedgerAmount(details.purchaseAmountGbp ?? purchaseAmount, purchaseAmount, details.currency),
+      commission: formatLedgerAmount(commissionAmount, details.originalCommissionAmount, details.currency),
+      commissionLabel: describeCommission(details.commissionRate, details.commissionBonus),
+      time: new Date().toLocaleString()
+    };
+    
+    const lineValues = { packageName: details.packageName || null, commission: data.commission };
+    
+    await notifyAffiliate(affiliateId, affiliateData, 'conversion', 'conversion', data, {
+      key: 'conversion',
+      values: lineValues
+    });
     
-    // Return all data
-    res.json({
-      profile,
-      balance,
-      links,
-      conversions
+    await notifyAdmins('conversion', 'conversionAdmin', data, {
+      key: 'adminConversion',
+      values: { ...lineValues, name: affiliateData.name }
     });
   } catch (error) {
-    console.error('Error getting dashboard data:', error);
-    res.status(500).json({ error: 'Error getting dashboard data', details: error.message });
+    console.error('Error sending conversion emails:', error);
   }
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  const status = {
-    status: 'OK',
-    message: 'Server is running',
-    environment: process.env.NODE_ENV || 'development',
-    firebaseInitialized: !!db,
-    emailInitialized: !!transporter,
-    timestamp: new Date().toISOString()
-  };
-  
-  res.status(200).json(status);
-});
-
-// Helper Functions for API operations
+}
 
-async function updateClickStatistics(affiliateId, linkId, deviceType, source) {
+async function sendWelcomeEmails(userId, affiliateData, onboardingLink) {
   try {
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const formattedDate = formatDate(today);
+    const commissionPlan = await resolveCommissionPlan(userId);
+    const pendingApproval = affiliateData.status === 'pending';
     
-    // Update daily stats
-    const dailyStatsRef = db.collection('dailyStats').doc(`${affiliateId}_${formattedDate}`);
+    await queueEmail(affiliateData.email, 'welcome', {
+      name: affiliateData.name,
+      email: affiliateData.email,
+      commissionLabel: describeCommission(commissionPlan.rate, commissionPlan.fixedBonus),
+      minPayout: `£${CONFIG.MIN_PAYOUT_AMOUNT}`,
+      pendingApproval,
+      onboarding: onboardingLink
+    }, affiliateData.language, userId);
     
-    await db.runTransaction(async transaction => {
-      const docSnapshot = await transaction.get(dailyStatsRef);
-      
-      if (!docSnapshot.exists) {
-        transaction.set(dailyStatsRef, {
-          affiliateId: affiliateId,
-          date: admin.firestore.Timestamp.fromDate(today),
-          clicks: 1,
-          conversions: 0,
-          earnings: 0
-        });
-      } else {
-        transaction.update(dailyStatsRef, {
-          clicks: admin.firestore.FieldValue.increment(1)
-        });
-      }
+    await notifyAdmins('registration', 'welcomeAdmin', {
+      name: affiliateData.name,
+      email: affiliateData.email,
+      phone: affiliateData.phone,
+      website: affiliateData.website,
+      time: new Date().toLocaleString(),
+      pendingApproval
+    }, {
+      key: 'adminRegistration',
+      values: { name: affiliateData.name, email: affiliateData.email }
     });
+  } catch (error) {
+    console.error('Error sending welcome emails:', error);
+  }
+}
+
+async function sendConversionDecisionEmail(affiliateId, conversion, decision, reason) {
+  try {
+    const affiliateDoc = await repos.affiliates.ref(affiliateId).get();
     
-    // Update device stats
-    await db.collection('deviceStats').doc(`${affiliateId}_${formattedDate}_${deviceType}`).set({
-      affiliateId: affiliateId,
-      date: admin.firestore.Timestamp.fromDate(today),
-      device: deviceType,
-      clicks: admin.firestore.FieldValue.increment(1)
-    }, { merge: true });
-    
-    // Update source stats
-    await db.collection('sourceStats').doc(`${affiliateId}_${formattedDate}_${source}`).set({
-      affiliateId: affiliateId,
-      date: admin.firestore.Timestamp.fromDate(today),
-      source: source,
-      clicks: admin.firestore.FieldValue.increment(1)
-    }, { merge: true });
+    if (!affiliateDoc.exists || !affiliateDoc.data().email) {
+      console.error('Affiliate not found for sending conversion decision email');
+      return;
+    }
     
-    // Update affiliate stats
-    await db.collection('affiliateStats').doc(`${affiliateId}_${formattedDate}`).set({
-      userId: affiliateId,
-      date: admin.firestore.Timestamp.fromDate(today),
-      impressions: admin.firestore.FieldValue.increment(1),
-      clicks: admin.firestore.FieldValue.increment(1)
-    }, { merge: true });
+    const affiliateData = affiliateDoc.data();
+    const data = {
+      name: affiliateData.name,
+      decision,
+      reason,
+      packageName: conversion.packageName,
+      purchase: formatLedgerAmount(conversion.purchaseAmountGbp ?? (conversion.purchaseAmount || 0), conversion.purchaseAmount, conversion.currency),
+      commission: formatLedgerAmount(conversion.commissionAmount || 0, conversion.originalCommissionAmount, conversion.currency),
+      minPayout: `£${CONFIG.MIN_PAYOUT_AMOUNT}`
+    };
     
-    // Update link performance
-    await db.collection('linkPerformance').doc(`${linkId}_${formattedDate}`).set({
-      linkId: linkId,
-      affiliateId: affiliateId,
-      date: admin.firestore.Timestamp.fromDate(today),
-      clicks: admin.firestore.FieldValue.increment(1)
-    }, { merge: true });
+    await notifyAffiliate(affiliateId, affiliateData, 'conversionDecision', 'conversionDecision', data, {
+      key: decision === 'approved' ? 'conversionApproved' : 'conversionRejected',
+      values: { packageName: conversion.packageName || null, commission: data.commission }
+    });
   } catch (error) {
-    console.error('Error updating click statistics:', error);
+    console.error('Error sending conversion decision email:', error);
   }
 }
 
-async function updateAffiliateBalance(affiliateId, commissionAmount) {
+async function sendConversionRefundEmail(affiliateId, conversion, refund, reason) {
   try {
-    // Get the balances document for this affiliate
-    const balancesSnapshot = await db.collection('balances')
-      .where('userId', '==', affiliateId)
-      .limit(1)
-      .get();
+    const affiliateDoc = await repos.affiliates.ref(affiliateId).get();
     
-    if (balancesSnapshot.empty) {
-      // Create a new balance document
-      await db.collection('balances').add({
-        userId: affiliateId,
-        available: 0,
-        pending: commissionAmount,
-        paid: 0,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-    } else {
-      // Update existing balance document
-      const balanceDoc = balancesSnapshot.docs[0];
-      await balanceDoc.ref.update({
-        pending: admin.firestore.FieldValue.increment(commissionAmount),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+    if (!affiliateDoc.exists || !affiliateDoc.data().email) {
+      console.error('Affiliate not found for sending conversion refund email');
+      return;
     }
     
-    // Add an earnings transaction record
-    await db.collection('earnings').add({
-      userId: affiliateId,
-      amount: commissionAmount,
-      date: admin.firestore.FieldValue.serverTimestamp(),
-      status: 'pending',
-      source: 'Referral',
-      description: 'Commission on booking',
-      packageName: 'Safari Package',
-      referenceId: 'COMM-' + crypto.randomBytes(3).toString('hex').toUpperCase(),
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    const affiliateData = affiliateDoc.data();
+    const rate = conversion.exchangeRate || 1;
+    const data = {
+      name: affiliateData.name,
+      full: refund.full,
+      reason,
+      packageName: conversion.packageName,
+      purchase: formatLedgerAmount(conversion.purchaseAmountGbp ?? (conversion.purchaseAmount || 0), conversion.purchaseAmount, conversion.currency),
+      refund: formatLedgerAmount(roundMoney(refund.amount * rate), refund.amount, conversion.currency),
+      clawback: formatLedgerAmount(refund.clawback, roundMoney(refund.clawback / rate), conversion.currency),
+      commission: formatLedgerAmount(conversion.commissionAmount || 0, conversion.originalCommissionAmount, conversion.currency)
+    };
+    
+    // Refunds share the decision preference, being the same kind of news about a sale
+    await notifyAffiliate(affiliateId, affiliateData, 'conversionDecision', 'conversionRefund', data, {
+      key: 'conversionRefunded',
+      values: { packageName: conversion.packageName || null, clawback: data.clawback }
     });
   } catch (error) {
-    console.error('Error updating affiliate balance:', error);
+    console.error('Error sending conversion refund email:', error);
   }
 }
 
-async function updateConversionStatistics(affiliateId, linkId, purchaseAmount, commissionAmount) {
+async function sendPayoutEmails(affiliateId, payout, event, note) {
   try {
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const formattedDate = formatDate(today);
+    const affiliateDoc = await repos.affiliates.ref(affiliateId).get();
     
-    // Update daily stats
-    const dailyStatsRef = db.collection('dailyStats').doc(`${affiliateId}_${formattedDate}`);
+    if (!affiliateDoc.exists) {
+      console.error('Affiliate not found for sending payout emails');
+      return;
+    }
     
-    await db.runTransaction(async transaction => {
-      const docSnapshot = await transaction.get(dailyStatsRef);
-      
-      if (!docSnapshot.exists) {
-        transaction.set(dailyStatsRef, {
-          affiliateId: affiliateId,
-          date: admin.firestore.Timestamp.fromDate(today),
-          clicks: 0,
-          conversions: 1,
-          earnings: commissionAmount
-        });
-      } else {
-        transaction.update(dailyStatsRef, {
-          conversions: admin.firestore.FieldValue.increment(1),
-          earnings: admin.firestore.FieldValue.increment(commissionAmount)
-        });
-      }
-    });
+    const affiliateData = affiliateDoc.data();
+    const data = {
+      name: affiliateData.name,
+      email: affiliateData.email,
+      event,
+      note,
+      referenceId: payout.referenceId,
+      amount: `£${payout.amount.toFixed(2)}`,
+      method: payout.method,
+      transactionReference: payout.transactionReference,
+      time: new Date().toLocaleString()
+    };
     
-    // Update monthly earnings
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    await db.collection('monthlyEarnings').doc(`${affiliateId}_${formatDate(monthStart)}`).set({
-      userId: affiliateId,
-      month: admin.firestore.Timestamp.fromDate(monthStart),
-      amount: admin.firestore.FieldValue.increment(commissionAmount),
-      count: admin.firestore.FieldValue.increment(1),
-      createdAt: admin.firestore.FieldValue.serverTimestamp()
-    }, { merge: true });
+    const lineValues = { referenceId: payout.referenceId, amount: data.amount };
     
-    // Update affiliate stats
-    await db.collection('affiliateStats').doc(`${affiliateId}_${formattedDate}`).set({
-      userId: affiliateId,
-      date: admin.firestore.Timestamp.fromDate(today),
-      conversions: admin.firestore.FieldValue.increment(1),
-      earnings: admin.firestore.FieldValue.increment(commissionAmount)
-    }, { merge: true });
+    await notifyAffiliate(affiliateId, affiliateData, 'payout', 'payout', data, {
+      key: `payout${event.charAt(0).toUpperCase()}${event.slice(1)}`,
+      values: lineValues
+    });
     
-    // Update link performance
-    await db.collection('linkPerformance').doc(`${linkId}_${formattedDate}`).set({
-      linkId: linkId,
-      affiliateId: affiliateId,
-      date: admin.firestore.Timestamp.fromDate(today),
-      conversions: admin.firestore.FieldValue.increment(1),
-      earnings: admin.firestore.FieldValue.increment(commissionAmount)
-    }, { merge: true });
+    // Only new requests need the admins' attention
+    if (event !== 'requested') return;
+    
+    await notifyAdmins('payoutRequest', 'payoutAdmin', data, {
+      key: 'adminPayoutRequest',
+      values: { ...lineValues, name: affiliateData.name }
+    });
   } catch (error) {
-    console.error('Error updating conversion statistics:', error);
+    console.error('Error sending payout emails:', error);
   }
 }
 
-async function createInitialReferralLinks(userId) {
+async function sendAffiliateStatusEmail(affiliateId, affiliateData, status, reason) {
   try {
-    const linkTypes = ['general', 'facebook', 'twitter', 'instagram', 'tiktok'];
-    
-    // Create a link for each type
-    const linkPromises = linkTypes.map(linkType => {
-      const refCode = generateReferralCode(userId, linkType);
-      
-      return db.collection('referralLinks').add({
-        affiliateId: userId,
-        linkType: linkType,
-        refCode: refCode,
-        targetPage: '/',
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        clicks: 0,
-        conversions: 0,
-        earnings: 0
-      });
-    });
+    if (!affiliateData.email) return;
     
-    await Promise.all(linkPromises);
+    await queueEmail(affiliateData.email, 'affiliateStatus', {
+      name: affiliateData.name,
+      status,
+      reason
+    }, affiliateData.language, affiliateId);
   } catch (error) {
-    console.error('Error creating initial referral links:', error);
+    console.error('Error sending affiliate status email:', error);
   }
 }
 
-async function sendConversionEmails(affiliateId, linkId, purchaseAmount, commissionAmount, details) {
+async function sendInviteEmail(affiliateId, affiliateData, onboardingLink) {
   try {
-    // Get affiliate details
-    const affiliateDoc = await db.collection('affiliates').doc(affiliateId).get();
+    await queueEmail(affiliateData.email, 'invite', {
+      name: affiliateData.name,
+      email: affiliateData.email,
+      onboarding: onboardingLink
+    }, affiliateData.language, affiliateId);
+  } catch (error) {
+    console.error('Error sending invite email:', error);
+  }
+}
+
+// Digests. Once a day (and once a week on DIGEST_WEEKDAY) everyone who put an event on that
+// frequency gets a summary of the period from dailyStats and monthlyEarnings, their top links
+// and a line for each event saved for the digest. Without an affiliate ID the summary covers
+// the whole program, for the admins.
+async function buildDigestSummary(affiliateId, range) {
+  const monthStart = new Date(range.to.getFullYear(), range.to.getMonth(), 1);
+  
+  const [dailyDocs, linkDocs, monthDocs] = await Promise.all([
+    loadStatsDocuments('daily', affiliateId ? 'affiliateId' : null, affiliateId, range),
+    loadStatsDocuments('link', affiliateId ? 'affiliateId' : null, affiliateId, range),
+    affiliateId
+      ? repos.stats.monthly(affiliateId, formatDate(monthStart)).get().then(doc => (doc.exists ? [doc.data()] : []))
+      : repos.stats.monthlyForMonth(Timestamp.fromDate(monthStart)).get()
+        .then(snapshot => snapshot.docs.map(doc => doc.data()))
+  ]);
+  
+  const linkTotals = {};
+  linkDocs.forEach(doc => {
+    linkTotals[doc.linkId] = linkTotals[doc.linkId] || [];
+    linkTotals[doc.linkId].push(doc);
+  });
+  
+  const topLinks = await Promise.all(Object.entries(linkTotals)
+    .map(([linkId, docs]) => ({ linkId, ...sumStats(docs) }))
+    .sort((a, b) => b.earnings - a.earnings || b.conversions - a.conversions || b.clicks - a.clicks)
+    .slice(0, CONFIG.DIGEST_TOP_LINKS)
+    .map(async link => {
+      const linkDoc = await repos.referralLinks.ref(link.linkId).get();
+      const linkData = linkDoc.exists ? linkDoc.data() : {};
+      
+      return { ...link, name: linkData.name || linkData.linkType || link.linkId };
+    }));
+  
+  return {
+    totals: sumStats(dailyDocs),
+    monthEarnings: roundMoney(monthDocs.reduce((total, doc) => total + (doc.amount || 0), 0)),
+    topLinks
+  };
+}
+
+// Queues one digest email and marks the saved events it covers. Nothing is sent for a period
+// with no activity, or to a recipient who already has this period's digest.
+async function sendDigest(recipient, frequency, range, summary) {
+  const sentRef = repos.digests.sent(frequency, formatDate(range.to), hashValue(recipient.email));
+  
+  if ((await sentRef.get()).exists) return false;
+  
+  const itemsSnapshot = await repos.digests.pendingItems(recipient.email, frequency).get();
+  
+  const { totals } = summary;
+  if (totals.clicks === 0 && totals.conversions === 0 && itemsSnapshot.empty) return false;
+  
+  await queueEmail(recipient.email, 'digest', {
+    admin: recipient.admin,
+    frequency,
+    name: recipient.name,
+    from: formatDate(range.from),
+    to: formatDate(range.to),
+    clicks: totals.clicks,
+    conversions: totals.conversions,
+    earnings: formatMoney(totals.earnings, CONFIG.LEDGER_CURRENCY),
+    monthEarnings: formatMoney(summary.monthEarnings, CONFIG.LEDGER_CURRENCY),
+    topLinks: summary.topLinks.map(link => ({
+      name: link.name,
+      clicks: link.clicks,
+      conversions: link.conversions,
+      earnings: formatMoney(link.earnings, CONFIG.LEDGER_CURRENCY)
+    })),
+    items: itemsSnapshot.docs.map(doc => ({ line: doc.data().line, values: doc.data().values }))
+  }, recipient.language, recipient.affiliateId);
+  
+  if (!itemsSnapshot.empty) {
+    const batch = db.batch();
+    itemsSnapshot.docs.forEach(doc => batch.update(doc.ref, { digestedAt: FieldValue.serverTimestamp() }));
+    await batch.commit();
+  }
+  
+  await sentRef.set({
+    to: recipient.email,
+    frequency: frequency,
+    periodStart: formatDate(range.from),
+    periodEnd: formatDate(range.to),
+    sentAt: FieldValue.serverTimestamp()
+  });
+  
+  return true;
+}
+
+// Sends the daily or weekly digests for the period ending on lastDay (yesterday by default)
+async function sendDigests(frequency, lastDay) {
+  const now = new Date();
+  const to = lastDay || addDays(new Date(now.getFullYear(), now.getMonth(), now.getDate()), -1);
+  const range = { from: addDays(to, frequency === 'weekly' ? -6 : 0), to };
+  const sent = { affiliates: 0, admins: 0 };
+  
+  const affiliatesSnapshot = await repos.affiliates.collection.get();
+  
+  for (const affiliateDoc of affiliatesSnapshot.docs) {
+    const affiliateData = affiliateDoc.data();
+    const preferences = getNotificationPreferences('affiliate', affiliateData.notificationPreferences);
     
-    if (!affiliateDoc.exists) {
-      console.error('Affiliate not found for sending emails');
-      return;
+    if (!affiliateData.email || !Object.values(preferences).includes(frequency)) continue;
+    
+    try {
+      const summary = await buildDigestSummary(affiliateDoc.id, range);
+      const recipient = {
+        email: affiliateData.email,
+        name: affiliateData.name,
+        language: affiliateData.language,
+        affiliateId: affiliateDoc.id,
+        admin: false
+      };
+      
+      if (await sendDigest(recipient, frequency, range, summary)) sent.affiliates++;
+    } catch (error) {
+      console.error(`Error sending ${frequency} digest to affiliate ${affiliateDoc.id}:`, error);
     }
+  }
+  
+  const adminPreferences = await getAdminNotificationPreferences();
+  const adminEmails = CONFIG.ADMIN_EMAILS.filter(email => Object.values(adminPreferences[email]).includes(frequency));
+  
+  if (adminEmails.length > 0) {
+    const summary = await buildDigestSummary(null, range);
     
-    const affiliateData = affiliateDoc.data();
-    const packageName = details.packageName || 'Safari Package';
-    const formattedCommission = commissionAmount.toFixed(2);
-    const formattedPurchase = purchaseAmount.toFixed(2);
-    
-    // Send email to affiliate
-    if (affiliateData.email) {
-      const affiliateEmailHtml = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e6e6e6;">
-          <div style="background-color: #e67e22; padding: 20px; text-align: center; color: white;">
-            <h1 style="margin: 0;">New Commission Earned!</h1>
-          </div>
-          
-          <div style="padding: 20px;">
-            <p>Hello ${affiliateData.name || 'Affiliate'},</p>
-            
-            <p>Great news! You've just earned a commission from a new booking.</p>
-            
-            <div style="background-color: #f8f8f8; padding: 15px; margin: 20px 0; border-left: 4px solid #e67e22;">
-              <p><strong>Package:</strong> ${packageName}</p>
-              <p><strong>Booking Amount:</strong> £${formattedPurchase}</p>
-              <p><strong>Your Commission (10%):</strong> £${formattedCommission}</p>
-              <p><strong>Status:</strong> Pending (will be available after the booking is confirmed)</p>
-            </div>
-            
-            <p>This commission will be added to your affiliate dashboard and will be available for withdrawal once it's confirmed.</p>
-            
-            <p>Keep up the great work promoting our safaris!</p>
-            
-            <p style="margin-top: 30px;">
-              <a href="https://kenyaonabudgetsafaris.co.uk/affiliate-dashboard.html" style="background-color: #e67e22; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Your Dashboard</a>
-            </p>
-            
-            <p style="margin-top: 30px; font-style: italic; color: #666; border-top: 1px solid #eee; padding-top: 15px;">
-              Thank you for being a valued affiliate partner of KenyaOnABudget Safaris!
-            </p>
-          </div>
-        </div>
-      `;
-      
-      await transporter.sendMail({
-        from: `"Kenya on a Budget Safaris" <${process.env.EMAIL_USER}>`,
-        to: affiliateData.email,
-        subject: 'New Commission Earned - KenyaOnABudget Safaris',
-        html: affiliateEmailHtml
-      });
+    for (const adminEmail of adminEmails) {
+      const recipient = { email: adminEmail, language: CONFIG.ADMIN_EMAIL_LANGUAGE, admin: true };
+      if (await sendDigest(recipient, frequency, range, summary)) sent.admins++;
     }
+  }
+  
+  return { frequency, from: formatDate(range.from), to: formatDate(range.to), sent };
+}
+
+// How long a server has to finish sending a digest before another one may take over
+const DIGEST_RUN_LEASE_MS = 60 * 60 * 1000;
+
+// Sends any digest that is due. settings/digestRuns remembers the last day each was sent, so a
+// restart, or a second server, doesn't send it again. A run is only marked done once it has
+// finished; one that stopped partway is picked up again on a later check, and sendDigest skips
+// whoever already got theirs.
+async function sendDueDigests() {
+  const now = new Date();
+  if (now.getHours() < CONFIG.DIGEST_HOUR) return;
+  
+  const today = formatDate(now);
+  const due = now.getDay() === CONFIG.DIGEST_WEEKDAY ? ['daily', 'weekly'] : ['daily'];
+  const runsRef = repos.settings.ref('digestRuns');
+  
+  for (const frequency of due) {
+    const startedField = `${frequency}StartedAt`;
     
-    // Send email to admin
-    const adminEmailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e6e6e6;">
-        <div style="background-color: #e67e22; padding: 20px; text-align: center; color: white;">
-          <h1 style="margin: 0;">Affiliate Conversion Alert</h1>
-        </div>
-        
-        <div style="padding: 20px;">
-          <p>A new booking has been made through an affiliate link:</p>
-          
-          <div style="background-color: #f8f8f8; padding: 15px; margin: 20px 0; border-left: 4px solid #e67e22;">
-            <p><strong>Affiliate:</strong> ${affiliateData.name} (${affiliateData.email})</p>
-            <p><strong>Package:</strong> ${packageName}</p>
-            <p><strong>Booking Amount:</strong> £${formattedPurchase}</p>
-            <p><strong>Commission (10%):</strong> £${formattedCommission}</p>
-            <p><strong>Time:</strong> ${new Date().toLocaleString()}</p>
-          </div>
-          
-          <p>This commission is pending and will need to be approved before it becomes available to the affiliate.</p>
-          
-          <p style="margin-top: 30px;">
-            <a href="https://kenyaonabudgetsafaris.co.uk/admin/affiliates.html" style="background-color: #e67e22; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View in Admin Panel</a>
-          </p>
-        </div>
-      </div>
-    `;
-    
-    // Send to all admin emails
-    for (const adminEmail of CONFIG.ADMIN_EMAILS) {
-      await transporter.sendMail({
-        from: `"Kenya on a Budget Safaris" <${process.env.EMAIL_USER}>`,
-        to: adminEmail,
-        subject: 'New Affiliate Conversion - KenyaOnABudget Safaris',
-        html: adminEmailHtml
-      });
+    const claimed = await db.runTransaction(async transaction => {
+      const runsDoc = await transaction.get(runsRef);
+      const runs = runsDoc.exists ? runsDoc.data() : {};
+      if (runs[frequency] === today) return false;
+      
+      // Another server is sending it right now
+      if (runs[startedField] && Date.now() - runs[startedField] < DIGEST_RUN_LEASE_MS) return false;
+      
+      transaction.set(runsRef, { [startedField]: Date.now() }, { merge: true });
+      return true;
+    });
+    
+    if (!claimed) continue;
+    
+    try {
+      const result = await sendDigests(frequency);
+      await runsRef.set({ [frequency]: today, [startedField]: null }, { merge: true });
+      console.log(`Sent ${frequency} digests to ${result.sent.affiliates} affiliates and ${result.sent.admins} admins`);
+    } catch (error) {
+      // Let the next check try again straight away
+      await runsRef.set({ [startedField]: null }, { merge: true });
+      throw error;
     }
+  }
+}
+
+function startDigestSchedule() {
+  setInterval(() => {
+    sendDueDigests().catch(error => console.error('Error sending digests:', error));
+  }, 15 * 60 * 1000); // every 15 minutes
+}
+
+// Outbound webhooks
+
+// Webhooks are posted from our servers, so they may only go to public https addresses
+function normalizeWebhookUrl(value) {
+  let url;
+  
+  try {
+    url = new URL(value);
   } catch (error) {
-    console.error('Error sending conversion emails:', error);
+    throw createHttpError(400, 'url must be a valid URL');
+  }
+  
+  const allowed = CONFIG.WEBHOOK_ALLOW_PRIVATE_URLS ? ['https:', 'http:'] : ['https:'];
+  
+  if (!allowed.includes(url.protocol)) {
+    throw createHttpError(400, 'url must use https');
+  }
+  
+  if (url.username || url.password) {
+    throw createHttpError(400, 'url must not contain credentials');
+  }
+  
+  if (!CONFIG.WEBHOOK_ALLOW_PRIVATE_URLS && isPrivateHost(url.hostname)) {
+    throw createHttpError(400, 'url must be a public address');
+  }
+  
+  return url.toString();
+}
+
+// Checks the editable fields of a webhook. With partial set, missing fields are left out.
+function normalizeWebhookEndpointFields(body, partial) {
+  const fields = {};
+  
+  if (body.url !== undefined || !partial) {
+    if (!body.url) throw createHttpError(400, 'url is required');
+    fields.url = normalizeWebhookUrl(body.url);
+  }
+  
+  // Every event unless the affiliate picks some
+  if (body.events !== undefined || !partial) fields.events = [...new Set(body.events || WEBHOOK_EVENTS)];
+  if (body.description !== undefined || !partial) fields.description = body.description || '';
+  if (body.active !== undefined || !partial) fields.active = body.active !== false;
+  
+  return fields;
+}
+
+// The secret is only shown in full when it's created or rotated
+function formatWebhookEndpoint(doc, includeSecret) {
+  const data = doc.data();
+  
+  const endpoint = {
+    id: doc.id,
+    url: data.url,
+    events: data.events || [],
+    description: data.description || '',
+    active: data.active !== false,
+    secretHint: `whsec_...${data.secret.slice(-4)}`,
+    createdAt: data.createdAt || null,
+    updatedAt: data.updatedAt || null
+  };
+  
+  if (includeSecret) endpoint.secret = data.secret;
+  
+  return endpoint;
+}
+
+async function getOwnedWebhookEndpoint(webhookId, affiliateId) {
+  const endpointDoc = await webhooks.endpoints.doc(webhookId).get();
+  
+  if (!endpointDoc.exists || endpointDoc.data().affiliateId !== affiliateId) {
+    throw createHttpError(404, 'Webhook not found');
+  }
+  
+  return endpointDoc;
+}
+
+async function getOwnedWebhookDelivery(deliveryId, affiliateId) {
+  const deliveryDoc = await webhooks.deliveries.doc(deliveryId).get();
+  
+  if (!deliveryDoc.exists || deliveryDoc.data().affiliateId !== affiliateId) {
+    throw createHttpError(404, 'Webhook delivery not found');
   }
+  
+  return deliveryDoc;
 }
 
-async function sendWelcomeEmails(userId, affiliateData, password) {
+// Queues an event for the affiliate's webhooks. Like the emails, a failure here never fails
+// the request that raised it.
+async function raiseWebhookEvent(affiliateId, event, data) {
+  if (!webhooks) return;
+  
   try {
-    // Generate welcome email content for affiliate
-    const passwordSection = password ? `
-      <div style="background-color: #f8f8f8; padding: 15px; margin: 20px 0; border-left: 4px solid #e67e22;">
-        <p><strong>Your login details:</strong></p>
-        <p><strong>Email:</strong> ${affiliateData.email}</p>
-        <p><strong>Password:</strong> ${password}</p>
-        <p style="color: #e74c3c; font-size: 12px;">Please save this information and change your password after logging in.</p>
-      </div>
-    ` : '';
-    
-    const affiliateEmailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e6e6e6;">
-        <div style="background-color: #e67e22; padding: 20px; text-align: center; color: white;">
-          <h1 style="margin: 0;">Welcome to KenyaOnABudget Affiliate Program!</h1>
-        </div>
-        
-        <div style="padding: 20px;">
-          <p>Hello ${affiliateData.name},</p>
-          
-          <p>Welcome to the KenyaOnABudget Safaris Affiliate Program! We're excited to have you on board.</p>
-          
-          <p>As our affiliate partner, you'll earn 10% commission on every booking made through your unique referral links.</p>
-          
-          ${passwordSection}
-          
-          <h3 style="color: #e67e22; margin-top: 30px;">Getting Started</h3>
-          
-          <ol>
-            <li>Log in to your affiliate dashboard to access your unique referral links</li>
-            <li>Share these links on your website, social media, or with your network</li>
-            <li>Start earning 10% commission on every booking made through your links</li>
-            <li>Track your performance and earnings in real-time from your dashboard</li>
-            <li>Request payouts once your balance reaches £${CONFIG.MIN_PAYOUT_AMOUNT}</li>
-          </ol>
-          
-          <p style="margin-top: 30px;">
-            <a href="https://kenyaonabudgetsafaris.co.uk/affiliate-dashboard.html" style="background-color: #e67e22; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Access Your Dashboard</a>
-          </p>
-          
-          <p style="margin-top: 30px; font-style: italic; color: #666; border-top: 1px solid #eee; padding-top: 15px;">
-            If you have any questions, please don't hesitate to contact us at info@kenyaonabudgetsafaris.co.uk. We're here to help you succeed!
-          </p>
-        </div>
-      </div>
-    `;
-    
-    // Send email to affiliate
-    await transporter.sendMail({
-      from: `"Kenya on a Budget Safaris" <${process.env.EMAIL_USER}>`,
-      to: affiliateData.email,
-      subject: 'Welcome to KenyaOnABudget Affiliate Program!',
-      html: affiliateEmailHtml
-    });
-    
-    // Send notification to admin
-    const adminEmailHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e6e6e6;">
-        <div style="background-color: #e67e22; padding: 20px; text-align: center; color: white;">
-          <h1 style="margin: 0;">New Affiliate Registration</h1>
-        </div>
-        
-        <div style="padding: 20px;">
-          <p>A new affiliate has registered on the KenyaOnABudget Safaris website:</p>
-          
-          <div style="background-color: #f8f8f8; padding: 15px; margin: 20px 0; border-left: 4px solid #e67e22;">
-            <p><strong>Name:</strong> ${affiliateData.name}</p>
-            <p><strong>Email:</strong> ${affiliateData.email}</p>
-            <p><strong>Phone:</strong> ${affiliateData.phone || 'Not provided'}</p>
-            <p><strong>Website:</strong> ${affiliateData.website || 'Not provided'}</p>
-            <p><strong>Registration Date:</strong> ${new Date().toLocaleString()}</p>
-          </div>
-          
-          <p>The affiliate account has been created and initial referral links have been generated.</p>
-          
-          <p style="margin-top: 30px;">
-            <a href="https://kenyaonabudgetsafaris.co.uk/admin/affiliates.html" style="background-color: #e67e22; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View in Admin Panel</a>
-          </p>
-        </div>
-      </div>
-    `;
-    
-    // Send to all admin emails
-    for (const adminEmail of CONFIG.ADMIN_EMAILS) {
-      await transporter.sendMail({
-        from: `"Kenya on a Budget Safaris" <${process.env.EMAIL_USER}>`,
-        to: adminEmail,
-        subject: 'New Affiliate Registration - KenyaOnABudget Safaris',
-        html: adminEmailHtml
-      });
-    }
+    await webhooks.dispatch(affiliateId, event, data);
   } catch (error) {
-    console.error('Error sending welcome emails:', error);
+    console.error(`Error queueing ${event} webhook for ${affiliateId}:`, error);
   }
 }
+
+// What affiliates' systems are told about a conversion. Customer details stay with us.
+function conversionWebhookData(conversionId, conversion) {
+  const data = {
+    conversionId: conversionId,
+    status: conversion.status,
+    linkId: conversion.linkId,
+    refCode: conversion.refCode,
+    bookingId: conversion.bookingId || null,
+    couponCode: conversion.couponCode || null,
+    packageId: conversion.packageId || null,
+    packageName: conversion.packageName,
+    purchaseAmount: conversion.purchaseAmount,
+    purchaseAmountGbp: conversion.purchaseAmountGbp,
+    currency: conversion.currency,
+    commissionAmount: conversion.commissionAmount,
+    commissionCurrency: CONFIG.LEDGER_CURRENCY
+  };
+  
+  if (conversion.status === 'rejected') data.rejectionReason = conversion.rejectionReason || '';
+  
+  return data;
+}
+
 // For each server, use this endpoint instead
 app.get('/ping-status', (req, res) => {
   console.log('Ping-status received at', new Date().toISOString());
@@ -857,19 +5919,47 @@ async function pingOtherServers() {
   }
 }
 // Start ping cycle
-setTimeout(() => {
-  console.log('Starting regular ping cycle');
-  // Initial ping
-  pingOtherServers();
-  // Then ping every 14 minutes
-  setInterval(pingOtherServers, 840000); // 14 minutes
-}, 30000); // Wait 30 seconds after startup
-
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Firebase initialized: ${!!db}`);
-  console.log(`Email transport initialized: ${!!transporter}`);
+function startPingCycle() {
+  setTimeout(() => {
+    console.log('Starting regular ping cycle');
+    // Initial ping
+    pingOtherServers();
+    // Then ping every 14 minutes
+    setInterval(pingOtherServers, 840000); // 14 minutes
+  }, 30000); // Wait 30 seconds after startup
+}
+
+// Unknown routes and anything that escaped a route's own error handling, such as malformed JSON
+app.use((req, res) => {
+  sendError(res, createHttpError(404, `Route ${req.method} ${req.path} not found`));
+});
+
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, createHttpError(400, 'Request body is not valid JSON', null, 'invalid_json'));
+  }
+  
+  console.error('Unhandled error:', error);
+  sendError(res, error, 'Something went wrong');
 });
+
+// Start the server when run directly. Tests require this file for the app without listening
+// or pinging anything.
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`Firebase initialized: ${!!db}`);
+    console.log(`Storage backend: ${storage.backend}`);
+    console.log(`Email transport initialized: ${!!transporter}`);
+  });
+  
+  startPingCycle();
+  
+  if (outbox) outbox.start();
+  if (webhooks) webhooks.start();
+  if (db) startDigestSchedule();
+}
+
+module.exports = { app, storage, transporter, outbox, webhooks };
@@ -0,0 +1,85 @@
+const admin = require('firebase-admin');
+
+// Reads the service account from FIREBASE_PROJECT_ID/FIREBASE_CLIENT_EMAIL/FIREBASE_PRIVATE_KEY,
+// or from FIREBASE_CREDENTIALS_JSON
+function getFirebaseConfig() {
+  // Check if required environment variables are set
+  const missingVars = [];
+  ['FIREBASE_PROJECT_ID', 'FIREBASE_PRIVATE_KEY', 'FIREBASE_CLIENT_EMAIL'].forEach(varName => {
+    if (!process.env[varName]) missingVars.push(varName);
+  });
+  
+  if (missingVars.length > 0) {
+    console.error(`ERROR: Missing required environment variables: ${missingVars.join(', ')}`);
+    console.error('Please set these variables in your Render dashboard or .env file');
+  }
+  
+  let firebaseConfig = {};
+  
+  // Check for credentials in environment variables
+  if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_CLIENT_EMAIL) {
+    // Construct the Firebase config
+    firebaseConfig = {
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+    };
+    
+    // Handle the private key (which might contain newlines)
+    if (process.env.FIREBASE_PRIVATE_KEY) {
+      // Handle both formats: with or without quotes and escaped newlines
+      const privateKey = process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n');
+      firebaseConfig.privateKey = privateKey;
+    }
+  } 
+  
+  // Check for JSON credential string
+  else if (process.env.FIREBASE_CREDENTIALS_JSON) {
+    try {
+      const credentials = JSON.parse(process.env.FIREBASE_CREDENTIALS_JSON);
+      firebaseConfig = credentials;
+    } catch (e) {
+      console.error('Error parsing FIREBASE_CREDENTIALS_JSON:', e);
+    }
+  }
+  
+  return firebaseConfig;
+}
+
+// Firestore and Firebase Auth through firebase-admin. If Firebase can't be initialized, db and
+// auth are null and the server answers requests that need them with an error instead of
+// crashing at startup.
+function createFirestoreStorage() {
+  let db = null;
+  let auth = null;
+  
+  try {
+    const firebaseConfig = getFirebaseConfig();
+    
+    // Initialize Firebase if we have config
+    if (Object.keys(firebaseConfig).length > 0) {
+      if (!admin.apps.length) {
+        admin.initializeApp({
+          credential: admin.credential.cert(firebaseConfig)
+        });
+      }
+      
+      db = admin.firestore();
+      auth = admin.auth();
+      console.log('Firebase initialized successfully');
+    } else {
+      console.error('No Firebase configuration found. Firebase features will not work.');
+    }
+  } catch (error) {
+    console.error('Error initializing Firebase:', error);
+  }
+  
+  return {
+    backend: 'firestore',
+    db: db,
+    auth: auth,
+    FieldValue: admin.firestore.FieldValue,
+    Timestamp: admin.firestore.Timestamp
+  };
+}
+
+module.exports = { createFirestoreStorage };
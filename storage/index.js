@@ -0,0 +1,27 @@
+const { createFirestoreStorage } = require('./firestore');
+const { createMemoryStorage } = require('./memory');
+const { createRepositories } = require('./repositories');
+
+const STORAGE_BACKENDS = {
+  firestore: createFirestoreStorage,
+  memory: createMemoryStorage
+};
+
+// Picks the storage backend from STORAGE_BACKEND: 'firestore' (the default) or 'memory' for
+// running locally and in CI without Firebase credentials. Every backend provides db (with the
+// Firestore API), auth (with the Firebase Auth API), FieldValue and Timestamp; repos wraps db
+// with the collection and document ID conventions the server uses.
+function createStorage(backend) {
+  const name = backend || process.env.STORAGE_BACKEND || 'firestore';
+  
+  if (!STORAGE_BACKENDS[name]) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}", expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+  }
+  
+  const storage = STORAGE_BACKENDS[name]();
+  storage.repos = storage.db ? createRepositories(storage.db) : null;
+  
+  return storage;
+}
+
+module.exports = { createStorage };
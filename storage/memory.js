@@ -0,0 +1,616 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { Timestamp } = require('firebase-admin').firestore;
+
+// In-memory stand-in for the parts of Firestore and Firebase Auth the server uses, so the whole
+// affiliate flow can run locally and in tests without Firebase credentials. Data only lives as
+// long as the process. Documents hold the same Timestamp values Firestore would return.
+
+const FIELD_VALUE = Symbol('fieldValue');
+
+const FieldValue = {
+  increment: operand => ({ [FIELD_VALUE]: 'increment', operand }),
+  arrayUnion: (...elements) => ({ [FIELD_VALUE]: 'arrayUnion', elements }),
+  arrayRemove: (...elements) => ({ [FIELD_VALUE]: 'arrayRemove', elements }),
+  serverTimestamp: () => ({ [FIELD_VALUE]: 'serverTimestamp' }),
+  delete: () => ({ [FIELD_VALUE]: 'delete' })
+};
+
+function generateId(length) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.randomBytes(length);
+  
+  return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+}
+
+function isFieldValue(value) {
+  return value !== null && typeof value === 'object' && FIELD_VALUE in value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+    && !isFieldValue(value);
+}
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    const copy = {};
+    Object.keys(value).forEach(key => { copy[key] = clone(value[key]); });
+    return copy;
+  }
+  
+  return value;
+}
+
+function isEqualValue(a, b) {
+  if (a instanceof Timestamp && b instanceof Timestamp) return a.isEqual(b);
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqualValue(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqualValue(a[key], b[key]));
+  }
+  
+  return a === b;
+}
+
+// Turns a written value into what Firestore would store, applying field transforms against the
+// current value
+function resolveValue(value, current) {
+  if (value === undefined) {
+    throw new Error('Cannot use "undefined" as a Firestore value');
+  }
+  
+  if (isFieldValue(value)) {
+    switch (value[FIELD_VALUE]) {
+      case 'increment':
+        return (typeof current === 'number' ? current : 0) + value.operand;
+      case 'arrayUnion': {
+        const items = Array.isArray(current) ? current.slice() : [];
+        value.elements.forEach(element => {
+          const resolved = resolveValue(element);
+          if (!items.some(item => isEqualValue(item, resolved))) items.push(resolved);
+        });
+        return items;
+      }
+      case 'arrayRemove': {
+        const items = Array.isArray(current) ? current : [];
+        const removed = value.elements.map(element => resolveValue(element));
+        return items.filter(item => !removed.some(element => isEqualValue(item, element)));
+      }
+      case 'serverTimestamp':
+        return Timestamp.now();
+      default:
+        throw new Error(`Unsupported field value ${value[FIELD_VALUE]}`);
+    }
+  }
+  
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.map(item => resolveValue(item));
+  
+  if (isPlainObject(value)) {
+    const resolved = {};
+    Object.keys(value).forEach(key => {
+      if (isFieldValue(value[key]) && value[key][FIELD_VALUE] === 'delete') return;
+      resolved[key] = resolveValue(value[key]);
+    });
+    return resolved;
+  }
+  
+  return value;
+}
+
+// set(..., { merge: true }): nested maps are merged field by field
+function mergeInto(target, data) {
+  Object.keys(data).forEach(key => {
+    const value = data[key];
+    
+    if (isFieldValue(value) && value[FIELD_VALUE] === 'delete') {
+      delete target[key];
+    } else if (isPlainObject(value)) {
+      target[key] = mergeInto(isPlainObject(target[key]) ? target[key] : {}, value);
+    } else {
+      target[key] = resolveValue(value, target[key]);
+    }
+  });
+  
+  return target;
+}
+
+// update(): keys may be dotted field paths, and maps replace the stored value
+function updateInto(target, data) {
+  Object.keys(data).forEach(fieldPath => {
+    const segments = fieldPath.split('.');
+    const last = segments.pop();
+    let parent = target;
+    
+    segments.forEach(segment => {
+      if (!isPlainObject(parent[segment])) parent[segment] = {};
+      parent = parent[segment];
+    });
+    
+    const value = data[fieldPath];
+    
+    if (isFieldValue(value) && value[FIELD_VALUE] === 'delete') {
+      delete parent[last];
+    } else {
+      parent[last] = resolveValue(value, parent[last]);
+    }
+  });
+  
+  return target;
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, segment) => (
+    isPlainObject(value) ? value[segment] : undefined
+  ), data);
+}
+
+// Firestore's ordering of value types, then of values within a type
+function typeOrder(value) {
+  if (value === null) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (value instanceof Timestamp) return 3;
+  if (typeof value === 'string') return 4;
+  if (Array.isArray(value)) return 5;
+  return 6;
+}
+
+function compareValues(a, b) {
+  const typeDifference = typeOrder(a) - typeOrder(b);
+  if (typeDifference !== 0) return typeDifference;
+  
+  if (a instanceof Timestamp) return a.toMillis() - b.toMillis();
+  if (typeof a === 'number' || typeof a === 'boolean') return Number(a) - Number(b);
+  if (typeof a === 'string') return a < b ? -1 : (a > b ? 1 : 0);
+  
+  return 0;
+}
+
+function matchesFilter(data, filter) {
+  const value = getField(data, filter.field);
+  const expected = filter.value instanceof Date ? Timestamp.fromDate(filter.value) : filter.value;
+  
+  if (value === undefined) return false;
+  
+  switch (filter.op) {
+    case '==':
+      return isEqualValue(value, expected);
+    case '!=':
+      return !isEqualValue(value, expected);
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      // Range filters only match values of the same type
+      if (typeOrder(value) !== typeOrder(expected)) return false;
+      const comparison = compareValues(value, expected);
+      if (filter.op === '<') return comparison < 0;
+      if (filter.op === '<=') return comparison <= 0;
+      if (filter.op === '>') return comparison > 0;
+      return comparison >= 0;
+    }
+    case 'in':
+      return expected.some(item => isEqualValue(value, item));
+    case 'not-in':
+      return !expected.some(item => isEqualValue(value, item));
+    case 'array-contains':
+      return Array.isArray(value) && value.some(item => isEqualValue(item, expected));
+    case 'array-contains-any':
+      return Array.isArray(value) && value.some(item => expected.some(other => isEqualValue(item, other)));
+    default:
+      throw new Error(`Unsupported query operator ${filter.op}`);
+  }
+}
+
+function createMemoryFirestore() {
+  // Collection path -> Map of document ID -> stored data
+  const collections = new Map();
+  // Transactions run one after another, which is all the isolation a single process needs
+  let transactionQueue = Promise.resolve();
+  
+  function readDocument(path) {
+    const index = path.lastIndexOf('/');
+    const documents = collections.get(path.slice(0, index));
+    
+    return documents ? documents.get(path.slice(index + 1)) : undefined;
+  }
+  
+  function commit(changes) {
+    changes.forEach((data, path) => {
+      const index = path.lastIndexOf('/');
+      const collectionPath = path.slice(0, index);
+      
+      if (!collections.has(collectionPath)) collections.set(collectionPath, new Map());
+      
+      if (data === null) {
+        collections.get(collectionPath).delete(path.slice(index + 1));
+      } else {
+        collections.get(collectionPath).set(path.slice(index + 1), data);
+      }
+    });
+  }
+  
+  // Applies writes in order to copies of the documents they touch. Nothing is stored unless
+  // every write succeeds.
+  function applyWrites(writes) {
+    const changes = new Map();
+    
+    writes.forEach(write => {
+      const path = write.ref.path;
+      const current = changes.has(path) ? changes.get(path) : readDocument(path);
+      const existing = current ? clone(current) : null;
+      
+      switch (write.type) {
+        case 'create':
+          if (existing) {
+            throw Object.assign(new Error(`Document already exists: ${path}`), { code: 6 });
+          }
+          changes.set(path, resolveValue(write.data));
+          break;
+        case 'set':
+          changes.set(path, write.options && write.options.merge
+            ? mergeInto(existing || {}, write.data)
+            : resolveValue(write.data));
+          break;
+        case 'update':
+          if (!existing) {
+            throw Object.assign(new Error(`No document to update: ${path}`), { code: 5 });
+          }
+          changes.set(path, updateInto(existing, write.data));
+          break;
+        case 'delete':
+          changes.set(path, null);
+          break;
+        default:
+          throw new Error(`Unsupported write ${write.type}`);
+      }
+    });
+    
+    commit(changes);
+  }
+  
+  function createDocumentSnapshot(ref, data) {
+    return {
+      id: ref.id,
+      ref: ref,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : clone(data)),
+      get: fieldPath => (data === undefined ? undefined : clone(getField(data, fieldPath)))
+    };
+  }
+  
+  function createQuerySnapshot(docs) {
+    return {
+      docs: docs,
+      empty: docs.length === 0,
+      size: docs.length,
+      forEach: callback => docs.forEach(callback)
+    };
+  }
+  
+  function createDocumentReference(collectionPath, id) {
+    const ref = {
+      id: id,
+      path: `${collectionPath}/${id}`,
+      collection: name => createCollectionReference(`${collectionPath}/${id}/${name}`),
+      get: async () => createDocumentSnapshot(ref, readDocument(ref.path)),
+      create: async data => { applyWrites([{ type: 'create', ref, data }]); },
+      set: async (data, options) => { applyWrites([{ type: 'set', ref, data, options }]); },
+      update: async data => { applyWrites([{ type: 'update', ref, data }]); },
+      delete: async () => { applyWrites([{ type: 'delete', ref }]); }
+    };
+    
+    return ref;
+  }
+  
+  function createQuery(collectionPath, filters, orders, limitCount, cursor) {
+    const query = {
+      where: (field, op, value) => {
+        // Firestore refuses these rather than matching documents without the field
+        if (value === undefined) {
+          throw new Error(`Value for argument "value" is not a valid query constraint. Cannot use "undefined" as a Firestore value (found in field "${field}").`);
+        }
+        
+        return createQuery(collectionPath, filters.concat({ field, op, value }), orders, limitCount, cursor);
+      },
+      orderBy: (field, direction) => createQuery(collectionPath, filters, orders.concat({ field, direction: direction || 'asc' }), limitCount, cursor),
+      limit: count => createQuery(collectionPath, filters, orders, count, cursor),
+      // Cursor values are matched against the orderBy fields, in order
+      startAfter: (...values) => createQuery(collectionPath, filters, orders, limitCount, values),
+      get: async () => createQuerySnapshot(runQuery()),
+      stream: () => Readable.from(runQuery())
+    };
+    
+    function runQuery() {
+      const documents = collections.get(collectionPath) || new Map();
+      let matches = Array.from(documents.entries())
+        .filter(([, data]) => filters.every(filter => matchesFilter(data, filter)))
+        // Like Firestore, ordering by a field leaves out documents without it
+        .filter(([, data]) => orders.every(order => getField(data, order.field) !== undefined));
+      
+      matches.sort(([idA, dataA], [idB, dataB]) => {
+        for (const order of orders) {
+          const comparison = compareValues(getField(dataA, order.field), getField(dataB, order.field));
+          if (comparison !== 0) return order.direction === 'desc' ? -comparison : comparison;
+        }
+        
+        return idA < idB ? -1 : (idA > idB ? 1 : 0);
+      });
+      
+      if (cursor) {
+        matches = matches.filter(([, data]) => isAfterCursor(data));
+      }
+      
+      if (limitCount !== undefined) {
+        matches = matches.slice(0, limitCount);
+      }
+      
+      return matches.map(([id, data]) => createDocumentSnapshot(createDocumentReference(collectionPath, id), data));
+    }
+    
+    function isAfterCursor(data) {
+      for (let i = 0; i < cursor.length && i < orders.length; i++) {
+        const comparison = compareValues(getField(data, orders[i].field), cursor[i]);
+        if (comparison !== 0) return (orders[i].direction === 'desc' ? -comparison : comparison) > 0;
+      }
+      
+      return false;
+    }
+    
+    query.runQuery = runQuery;
+    
+    return query;
+  }
+  
+  function createCollectionReference(path) {
+    const collection = createQuery(path, [], [], undefined);
+    
+    collection.id = path.split('/').pop();
+    collection.path = path;
+    collection.doc = id => createDocumentReference(path, id || generateId(20));
+    collection.add = async data => {
+      const ref = collection.doc();
+      await ref.set(data);
+      return ref;
+    };
+    
+    return collection;
+  }
+  
+  function createTransaction() {
+    const writes = [];
+    
+    function assertNoWrites() {
+      if (writes.length > 0) {
+        throw new Error('Firestore transactions require all reads to be executed before all writes.');
+      }
+    }
+    
+    const transaction = {
+      get: async refOrQuery => {
+        assertNoWrites();
+        return refOrQuery.runQuery ? createQuerySnapshot(refOrQuery.runQuery()) : refOrQuery.get();
+      },
+      getAll: async (...refs) => {
+        assertNoWrites();
+        return Promise.all(refs.map(ref => ref.get()));
+      },
+      create: (ref, data) => { writes.push({ type: 'create', ref, data }); return transaction; },
+      set: (ref, data, options) => { writes.push({ type: 'set', ref, data, options }); return transaction; },
+      update: (ref, data) => { writes.push({ type: 'update', ref, data }); return transaction; },
+      delete: ref => { writes.push({ type: 'delete', ref }); return transaction; }
+    };
+    
+    return { transaction, writes };
+  }
+  
+  return {
+    collection: path => createCollectionReference(path),
+    
+    getAll: async (...refs) => Promise.all(refs.map(ref => ref.get())),
+    
+    batch: () => {
+      const writes = [];
+      const batch = {
+        create: (ref, data) => { writes.push({ type: 'create', ref, data }); return batch; },
+        set: (ref, data, options) => { writes.push({ type: 'set', ref, data, options }); return batch; },
+        update: (ref, data) => { writes.push({ type: 'update', ref, data }); return batch; },
+        delete: ref => { writes.push({ type: 'delete', ref }); return batch; },
+        commit: async () => { applyWrites(writes); }
+      };
+      
+      return batch;
+    },
+    
+    runTransaction: updateFunction => {
+      const run = transactionQueue.then(async () => {
+        const { transaction, writes } = createTransaction();
+        const result = await updateFunction(transaction);
+        applyWrites(writes);
+        return result;
+      });
+      
+      transactionQueue = run.catch(() => {});
+      
+      return run;
+    },
+    
+    // Empties every collection, e.g. between tests
+    clear: () => collections.clear()
+  };
+}
+
+function authError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+// Users live in memory and ID tokens are opaque strings handed out by createIdToken
+function createMemoryAuth() {
+  const users = new Map();
+  const tokens = new Map();
+  
+  function findByEmail(email) {
+    const normalized = (email || '').toLowerCase();
+    return Array.from(users.values()).find(user => user.email === normalized);
+  }
+  
+  function toUserRecord(user) {
+    const { passwordHash, ...record } = user;
+    return clone(record);
+  }
+  
+  function buildActionLink(mode, email, actionCodeSettings) {
+    const url = new URL('http://localhost/__/auth/action');
+    url.searchParams.set('mode', mode);
+    url.searchParams.set('oobCode', generateId(32));
+    url.searchParams.set('email', email);
+    
+    if (actionCodeSettings && actionCodeSettings.url) {
+      url.searchParams.set('continueUrl', actionCodeSettings.url);
+    }
+    
+    return url.toString();
+  }
+  
+  const auth = {
+    async createUser(properties) {
+      const email = (properties.email || '').toLowerCase();
+      
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw authError('auth/invalid-email', 'The email address is improperly formatted.');
+      }
+      
+      if (properties.password !== undefined && String(properties.password).length < 6) {
+        throw authError('auth/invalid-password', 'The password must be a string with at least 6 characters.');
+      }
+      
+      if (findByEmail(email)) {
+        throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+      }
+      
+      const user = {
+        uid: properties.uid || generateId(28),
+        email: email,
+        emailVerified: !!properties.emailVerified,
+        displayName: properties.displayName || null,
+        disabled: !!properties.disabled,
+        customClaims: {},
+        passwordHash: properties.password ? crypto.createHash('sha256').update(properties.password).digest('hex') : null
+      };
+      
+      users.set(user.uid, user);
+      
+      return toUserRecord(user);
+    },
+    
+    async getUser(uid) {
+      const user = users.get(uid);
+      if (!user) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+      
+      return toUserRecord(user);
+    },
+    
+    async getUserByEmail(email) {
+      const user = findByEmail(email);
+      if (!user) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+      
+      return toUserRecord(user);
+    },
+    
+    async updateUser(uid, properties) {
+      const user = users.get(uid);
+      if (!user) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+      
+      if (properties.email !== undefined) {
+        const existing = findByEmail(properties.email);
+        if (existing && existing.uid !== uid) {
+          throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+        }
+        user.email = properties.email.toLowerCase();
+      }
+      
+      ['displayName', 'disabled', 'emailVerified'].forEach(field => {
+        if (properties[field] !== undefined) user[field] = properties[field];
+      });
+      
+      return toUserRecord(user);
+    },
+    
+    async deleteUser(uid) {
+      users.delete(uid);
+    },
+    
+    async setCustomUserClaims(uid, claims) {
+      const user = users.get(uid);
+      if (!user) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+      
+      user.customClaims = clone(claims || {});
+    },
+    
+    async generateEmailVerificationLink(email, actionCodeSettings) {
+      if (!findByEmail(email)) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+      
+      return buildActionLink('verifyEmail', email, actionCodeSettings);
+    },
+    
+    async generatePasswordResetLink(email, actionCodeSettings) {
+      if (!findByEmail(email)) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+      
+      return buildActionLink('resetPassword', email, actionCodeSettings);
+    },
+    
+    // Local stand-in for signing in: returns an ID token that verifyIdToken accepts
+    async createIdToken(uid, claims) {
+      await auth.getUser(uid);
+      
+      const token = generateId(40);
+      tokens.set(token, { uid, claims: clone(claims || {}) });
+      
+      return token;
+    },
+    
+    async verifyIdToken(idToken) {
+      const session = tokens.get(idToken);
+      if (!session) throw authError('auth/argument-error', 'Decoding Firebase ID token failed.');
+      
+      const user = users.get(session.uid);
+      if (!user) throw authError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+      if (user.disabled) throw authError('auth/user-disabled', 'The user record is disabled.');
+      
+      return {
+        uid: user.uid,
+        email: user.email,
+        email_verified: user.emailVerified,
+        ...user.customClaims,
+        ...session.claims
+      };
+    },
+    
+    // Removes every user and token, e.g. between tests
+    clear: () => {
+      users.clear();
+      tokens.clear();
+    }
+  };
+  
+  return auth;
+}
+
+function createMemoryStorage() {
+  console.log('Using in-memory storage, data will be lost when the server stops');
+  
+  return {
+    backend: 'memory',
+    db: createMemoryFirestore(),
+    auth: createMemoryAuth(),
+    FieldValue: FieldValue,
+    Timestamp: Timestamp
+  };
+}
+
+module.exports = { createMemoryStorage, FieldValue };
@@ -0,0 +1,151 @@
+// Data access for the server's collections. Each repository hands back document references and
+// queries rather than data, so the same calls work both on their own and inside
+// db.runTransaction. The server's collection names and document ID conventions live here and
+// nowhere else; the email outbox and webhook dispatcher keep the names of their own collections.
+
+function createCollection(db, name) {
+  const collection = db.collection(name);
+  
+  return {
+    collection: collection,
+    // A new document with a generated ID when no ID is given
+    ref: id => (id ? collection.doc(id) : collection.doc())
+  };
+}
+
+function createRepositories(db) {
+  const affiliates = createCollection(db, 'affiliates');
+  const referralLinks = createCollection(db, 'referralLinks');
+  const coupons = createCollection(db, 'coupons');
+  const clicks = createCollection(db, 'clicks');
+  const conversions = createCollection(db, 'conversions');
+  const balances = createCollection(db, 'balances');
+  const earnings = createCollection(db, 'earnings');
+  const payouts = createCollection(db, 'payouts');
+  const ledger = createCollection(db, 'ledgerEntries');
+  const digestItems = createCollection(db, 'digestItems');
+  const digestsSent = createCollection(db, 'digestsSent');
+  const commissionPlans = createCollection(db, 'commissionPlans');
+  const rateLimitBlocks = createCollection(db, 'rateLimitBlocks');
+  const statsCollections = {
+    daily: db.collection('dailyStats'),
+    monthly: db.collection('monthlyEarnings'),
+    affiliate: db.collection('affiliateStats'),
+    link: db.collection('linkPerformance'),
+    device: db.collection('deviceStats'),
+    source: db.collection('sourceStats')
+  };
+  
+  return {
+    affiliates: {
+      ...affiliates,
+      // Sub-affiliates who signed up with one of this affiliate's codes
+      byParent: affiliateId => affiliates.collection.where('parentAffiliateId', '==', affiliateId)
+    },
+    
+    referralLinks: {
+      ...referralLinks,
+      byRefCode: refCode => referralLinks.collection.where('refCode', '==', refCode).limit(1),
+      byAffiliate: affiliateId => referralLinks.collection.where('affiliateId', '==', affiliateId)
+    },
+    
+    // Vanity coupon codes, keyed by the code in upper case. Each coupon has a referral link of
+    // its own that its conversions are credited through.
+    coupons: {
+      ...coupons,
+      byAffiliate: affiliateId => coupons.collection.where('affiliateId', '==', affiliateId)
+    },
+    
+    clicks: clicks,
+    
+    // One document per visitor fingerprint, for spotting repeat clicks
+    clickFingerprints: {
+      ref: fingerprint => db.collection('clickFingerprints').doc(fingerprint)
+    },
+    
+    conversions: {
+      ...conversions,
+      byAffiliate: affiliateId => conversions.collection.where('affiliateId', '==', affiliateId),
+      byParent: affiliateId => conversions.collection.where('parentAffiliateId', '==', affiliateId)
+    },
+    
+    // Idempotency keys for conversions, keyed by a hash of the key
+    conversionKeys: {
+      ref: keyId => db.collection('conversionKeys').doc(keyId)
+    },
+    
+    commissionPlans: {
+      ...commissionPlans,
+      active: () => commissionPlans.collection.where('active', '==', true)
+    },
+    
+    // One balance document per affiliate, keyed by the affiliate ID. Documents from before
+    // that have generated IDs and are found by their userId field.
+    balances: {
+      ...balances,
+      byUserId: affiliateId => balances.collection.where('userId', '==', affiliateId)
+    },
+    
+    earnings: {
+      ...earnings,
+      // A conversion can have earnings for both the affiliate and their recruiter, and
+      // clawbacks against either after a refund
+      forConversion: (conversionId, affiliateId) => earnings.collection
+        .where('conversionId', '==', conversionId)
+        .where('userId', '==', affiliateId),
+      byAffiliate: affiliateId => earnings.collection.where('userId', '==', affiliateId)
+    },
+    
+    payouts: {
+      ...payouts,
+      byAffiliate: affiliateId => payouts.collection.where('affiliateId', '==', affiliateId)
+    },
+    
+    // Double-entry ledger. Each entry moves an amount between two of an affiliate's accounts,
+    // or between one of them and the program, and names the document that caused it.
+    ledger: {
+      ...ledger,
+      byAffiliate: affiliateId => ledger.collection.where('affiliateId', '==', affiliateId)
+    },
+    
+    // Counter documents, one per affiliate (or link) per day, or per month for monthlyEarnings.
+    // Dates are passed as formatDate() strings.
+    stats: {
+      daily: (affiliateId, date) => statsCollections.daily.doc(`${affiliateId}_${date}`),
+      monthly: (affiliateId, monthStart) => statsCollections.monthly.doc(`${affiliateId}_${monthStart}`),
+      affiliate: (affiliateId, date) => statsCollections.affiliate.doc(`${affiliateId}_${date}`),
+      link: (linkId, date) => statsCollections.link.doc(`${linkId}_${date}`),
+      device: (affiliateId, date, deviceType) => statsCollections.device.doc(`${affiliateId}_${date}_${deviceType}`),
+      source: (affiliateId, date, source) => statsCollections.source.doc(`${affiliateId}_${date}_${source}`),
+      monthlyForAffiliate: affiliateId => statsCollections.monthly.where('userId', '==', affiliateId),
+      // Every affiliate's monthlyEarnings document for a month, by the month's start Timestamp
+      monthlyForMonth: month => statsCollections.monthly.where('month', '==', month),
+      // The collections themselves, by the same names, for date range queries
+      collections: statsCollections
+    },
+    
+    // Blocks the rate limiter has put on an IP address, for admins
+    rateLimitBlocks: {
+      ...rateLimitBlocks,
+      recent: limit => rateLimitBlocks.collection.orderBy('blockedAt', 'desc').limit(limit)
+    },
+    
+    // Program-wide settings, one document each (exchangeRates, adminNotifications, digestRuns)
+    settings: {
+      ref: name => db.collection('settings').doc(name)
+    },
+    
+    // Events saved for someone's next digest, and a record of each digest sent, keyed by
+    // frequency, the period's last day and the recipient, so a digest goes out once
+    digests: {
+      items: digestItems,
+      pendingItems: (to, frequency) => digestItems.collection
+        .where('to', '==', to)
+        .where('frequency', '==', frequency)
+        .where('digestedAt', '==', null),
+      sent: (frequency, periodEnd, recipientKey) => digestsSent.ref(`${frequency}_${periodEnd}_${recipientKey}`)
+    }
+  };
+}
+
+module.exports = { createRepositories };
@@ -0,0 +1,65 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, request } = helpers;
+
+describe('affiliate account status', () => {
+  let affiliate;
+  let adminToken;
+  const updateUser = storage.auth.updateUser;
+  
+  helpers.useServer();
+  
+  beforeEach(async () => {
+    affiliate = await helpers.registerAffiliate({ name: 'Wanjiru Tours' });
+    
+    adminToken = await helpers.registerAdmin();
+  });
+  
+  afterEach(() => {
+    storage.auth.updateUser = updateUser;
+  });
+  
+  function terminate() {
+    return request('POST', `/admin/affiliates/${affiliate.affiliateId}/terminate`, { token: adminToken, body: { reason: 'Fraud' } });
+  }
+  
+  it('disables the login of a terminated affiliate', async () => {
+    const response = await terminate();
+    
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'terminated');
+    assert.equal(response.body.authUpdated, true);
+    assert.equal((await storage.auth.getUser(affiliate.affiliateId)).disabled, true);
+  });
+  
+  it('reports a login it could not update and updates it when the action is repeated', async () => {
+    storage.auth.updateUser = async () => {
+      throw new Error('Auth is unavailable');
+    };
+    
+    const response = await terminate();
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'terminated');
+    assert.equal(response.body.authUpdated, false);
+    assert.match(response.body.warning, /Repeat the action/);
+    
+    const profile = await helpers.getDocument(storage.repos.affiliates.ref(affiliate.affiliateId));
+    assert.equal(profile.status, 'terminated');
+    assert.equal(profile.authSyncPending, true);
+    assert.equal((await storage.auth.getUser(affiliate.affiliateId)).disabled, false);
+    
+    storage.auth.updateUser = updateUser;
+    
+    const retry = await terminate();
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.authUpdated, true);
+    assert.equal((await storage.auth.getUser(affiliate.affiliateId)).disabled, true);
+    assert.equal((await helpers.getDocument(storage.repos.affiliates.ref(affiliate.affiliateId))).authSyncPending, undefined);
+    
+    // Once the login is in step, the action is refused like any other repeat
+    const again = await terminate();
+    assert.equal(again.status, 409);
+  });
+});
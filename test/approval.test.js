@@ -0,0 +1,59 @@
+process.env.AUTO_APPROVE_AFFILIATES = 'false';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, sentEmails, request } = helpers;
+
+describe('affiliates waiting for approval', () => {
+  let affiliate;
+  let adminToken;
+  
+  helpers.useServer();
+  
+  beforeEach(async () => {
+    affiliate = await helpers.registerAffiliate({ name: 'Amani Traveller', email: 'amani@example.com' });
+    
+    adminToken = await helpers.registerAdmin();
+  });
+  
+  it('registers the affiliate as pending and tells both sides it is under review', async () => {
+    const profile = await helpers.getDocument(storage.repos.affiliates.ref(affiliate.affiliateId));
+    assert.equal(profile.status, 'pending');
+    
+    await helpers.deliverEmails();
+    
+    const welcome = sentEmails.find(email => email.to === 'amani@example.com');
+    assert.match(welcome.html, /being reviewed by our team/);
+    
+    const adminEmails = sentEmails.filter(email => email.subject === 'New Affiliate Registration - KenyaOnABudget Safaris' && /amani@example\.com/.test(email.html));
+    assert.ok(adminEmails.length > 0, 'admins notified');
+    adminEmails.forEach(email => assert.match(email.html, /waiting for approval/));
+  });
+  
+  it('returns the pending status from /register', async () => {
+    const response = await request('POST', '/register', { body: { name: 'Baraka Safaris', email: 'baraka@example.com' } });
+    
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'pending');
+  });
+  
+  it('does not count clicks or accept conversions until the affiliate is approved', async () => {
+    const click = await request('POST', '/click', { body: { refCode: affiliate.link.refCode } });
+    assert.equal(click.body.counted, false);
+    assert.deepEqual((await helpers.getDocument(storage.repos.clicks.ref(click.body.clickId))).flags, ['inactive_affiliate']);
+    
+    const rejected = await helpers.convert(affiliate);
+    assert.equal(rejected.status, 403);
+    assert.equal(rejected.body.error.message, 'Affiliate account is not active');
+    
+    const approval = await request('POST', `/admin/affiliates/${affiliate.affiliateId}/approve`, { token: adminToken });
+    assert.equal(approval.status, 200);
+    assert.equal(approval.body.status, 'active');
+    
+    const accepted = await helpers.convert(affiliate);
+    assert.equal(accepted.status, 200);
+    assert.equal((await helpers.getBalance(affiliate.affiliateId)).pending, 120);
+  });
+});
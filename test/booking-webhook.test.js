@@ -0,0 +1,174 @@
+// Browser conversions are only claims until the signed booking webhook confirms them
+process.env.REQUIRE_SIGNED_CONVERSIONS = 'true';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, sentEmails, request, statsDate } = helpers;
+
+describe('POST /webhooks/booking', () => {
+  let affiliate;
+  
+  helpers.useServer();
+  
+  beforeEach(async () => {
+    affiliate = await helpers.registerAffiliate({ email: 'claims@example.com' });
+    await helpers.deliverEmails();
+    sentEmails.length = 0;
+  });
+  
+  function confirmBooking(body, headers) {
+    const payload = { event: 'booking.confirmed', ...body };
+    return helpers.bookingEvent(payload, headers);
+  }
+  
+  it('records a browser conversion as a claim without crediting anything', async () => {
+    const response = await helpers.convert(affiliate, { purchaseAmount: 1000, bookingId: 'booking-1' });
+    
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'claimed');
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.equal(balance.pending, 0);
+    
+    await helpers.deliverEmails();
+    assert.equal(sentEmails.length, 0);
+  });
+  
+  it('credits a claim with the amount from the signed booking', async () => {
+    const claim = await helpers.convert(affiliate, { purchaseAmount: 99999, bookingId: 'booking-1' });
+    
+    const response = await confirmBooking({ bookingId: 'booking-1', purchaseAmount: 1500 });
+    
+    assert.equal(response.status, 200);
+    assert.equal(response.body.conversionId, claim.body.conversionId);
+    
+    const conversion = await helpers.getDocument(storage.repos.conversions.ref(claim.body.conversionId));
+    assert.equal(conversion.status, 'pending');
+    assert.equal(conversion.verified, true);
+    assert.equal(conversion.commissionAmount, 150);
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.equal(balance.pending, 150);
+    
+    const daily = await helpers.getDocument(storage.repos.stats.daily(affiliate.affiliateId, statsDate()));
+    assert.equal(daily.conversions, 1);
+    assert.equal(daily.earnings, 150);
+    
+    await helpers.deliverEmails();
+    assert.ok(sentEmails.some(email => email.to === 'claims@example.com' && /£150\.00/.test(email.html)));
+  });
+  
+  it('credits the signed refCode over a browser claim for another code', async () => {
+    const claimant = await helpers.registerAffiliate({ name: 'Claimant', email: 'claimant@example.com' });
+    const claim = await helpers.convert(claimant, { purchaseAmount: 1000, bookingId: 'booking-1' });
+    
+    const response = await confirmBooking({ bookingId: 'booking-1', refCode: affiliate.link.refCode, purchaseAmount: 1000 });
+    assert.equal(response.status, 200);
+    
+    const conversion = await helpers.getDocument(storage.repos.conversions.ref(claim.body.conversionId));
+    assert.equal(conversion.affiliateId, affiliate.affiliateId);
+    assert.equal(conversion.claimedRefCode, claimant.link.refCode);
+    assert.ok(conversion.attribution.flags.includes('claim_mismatch'));
+    
+    assert.equal((await helpers.getBalance(affiliate.affiliateId)).pending, 100);
+    assert.equal((await helpers.getBalance(claimant.affiliateId)).pending, 0);
+  });
+  
+  it('counts a claim confirmed a day later on the day it was made', async () => {
+    const claim = await helpers.convert(affiliate, { purchaseAmount: 1000, bookingId: 'booking-1' });
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    await storage.repos.conversions.ref(claim.body.conversionId).update({ date: yesterday });
+    
+    await confirmBooking({ bookingId: 'booking-1', purchaseAmount: 1000 });
+    
+    const daily = await helpers.getDocument(storage.repos.stats.daily(affiliate.affiliateId, statsDate(yesterday)));
+    assert.equal(daily.conversions, 1);
+    assert.equal(await helpers.getDocument(storage.repos.stats.daily(affiliate.affiliateId, statsDate())), null);
+    
+    // Rejecting it takes it back off the same day
+    const adminToken = await helpers.registerAdmin();
+    await request('POST', `/admin/conversions/${claim.body.conversionId}/reject`, { token: adminToken, body: { reason: 'Cancelled' } });
+    
+    const after = await helpers.getDocument(storage.repos.stats.daily(affiliate.affiliateId, statsDate(yesterday)));
+    assert.equal(after.conversions, 0);
+    assert.equal(after.earnings, 0);
+  });
+  
+  it('credits a booking confirmed only once', async () => {
+    await confirmBooking({ bookingId: 'booking-1', refCode: affiliate.link.refCode, purchaseAmount: 1000 });
+    const repeat = await confirmBooking({ bookingId: 'booking-1', refCode: affiliate.link.refCode, purchaseAmount: 1000 });
+    
+    assert.equal(repeat.status, 200);
+    assert.equal(repeat.body.duplicate, true);
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.equal(balance.pending, 100);
+  });
+  
+  it('keeps a retried browser claim to one conversion', async () => {
+    const first = await helpers.convert(affiliate, { purchaseAmount: 1000, bookingId: 'booking-1' });
+    const retry = await helpers.convert(affiliate, { purchaseAmount: 1000, bookingId: 'booking-1' });
+    
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.conversionId, first.body.conversionId);
+    
+    const conversions = await storage.repos.conversions.byAffiliate(affiliate.affiliateId).get();
+    assert.equal(conversions.size, 1);
+    assert.equal(conversions.docs[0].data().status, 'claimed');
+  });
+  
+  it('links a claim to its click and marks the click converted once confirmed', async () => {
+    const click = await request('POST', '/click', { body: { refCode: affiliate.link.refCode, visitorId: 'visitor-1' } });
+    const claim = await helpers.convert(affiliate, { purchaseAmount: 1000, bookingId: 'booking-1', clickId: click.body.clickId, visitorId: 'visitor-1' });
+    
+    assert.equal((await helpers.getDocument(storage.repos.clicks.ref(click.body.clickId))).converted, false);
+    
+    await confirmBooking({ bookingId: 'booking-1', purchaseAmount: 1000 });
+    
+    const conversion = await helpers.getDocument(storage.repos.conversions.ref(claim.body.conversionId));
+    assert.equal(conversion.status, 'pending');
+    assert.equal(conversion.attribution.clickId, click.body.clickId);
+    assert.equal((await helpers.getDocument(storage.repos.clicks.ref(click.body.clickId))).converted, true);
+  });
+  
+  it('ignores booking events it does not handle', async () => {
+    const response = await helpers.bookingEvent({ event: 'booking.updated', bookingId: 'booking-1' });
+    
+    assert.equal(response.status, 200);
+    assert.equal(response.body.ignored, true);
+  });
+  
+  it('refuses a booking for an affiliate suspended while it was being confirmed', async () => {
+    await helpers.convert(affiliate, { bookingId: 'booking-1' });
+    
+    // Suspend the affiliate once the commission terms have been looked up
+    const activePlans = storage.repos.commissionPlans.active;
+    storage.repos.commissionPlans.active = () => ({
+      get: async () => {
+        storage.repos.commissionPlans.active = activePlans;
+        await storage.repos.affiliates.ref(affiliate.affiliateId).update({ status: 'suspended' });
+        return activePlans().get();
+      }
+    });
+    
+    const response = await confirmBooking({ bookingId: 'booking-1', purchaseAmount: 1500 });
+    
+    assert.equal(response.status, 403);
+    assert.equal((await helpers.getBalance(affiliate.affiliateId)).pending, 0);
+  });
+  
+  it('rejects an unsigned or wrongly signed webhook', async () => {
+    const payload = { event: 'booking.confirmed', bookingId: 'booking-1', refCode: affiliate.link.refCode, purchaseAmount: 1000 };
+    
+    const unsigned = await request('POST', '/webhooks/booking', { body: payload });
+    assert.equal(unsigned.status, 401);
+    
+    const forged = await confirmBooking(payload, helpers.signWebhook(payload, 'wrong-secret'));
+    assert.equal(forged.status, 401);
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.equal(balance.pending, 0);
+  });
+});
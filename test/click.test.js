@@ -0,0 +1,126 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, request, statsDate } = helpers;
+
+describe('POST /click', () => {
+  let affiliate;
+  
+  helpers.useServer();
+  
+  beforeEach(async () => {
+    affiliate = await helpers.registerAffiliate();
+  });
+  
+  it('records a counted click and updates the link and click statistics', async () => {
+    const { affiliateId, link } = affiliate;
+    const response = await request('POST', '/click', {
+      body: { refCode: link.refCode, url: 'https://example.com/?ref=x', deviceType: 'mobile', source: 'instagram', visitorId: 'visitor-1' }
+    });
+    
+    assert.equal(response.status, 200);
+    assert.equal(response.body.counted, true);
+    
+    const click = await helpers.getDocument(storage.repos.clicks.ref(response.body.clickId));
+    assert.equal(click.affiliateId, affiliateId);
+    assert.equal(click.linkId, link.id);
+    assert.equal(click.visitorId, 'visitor-1');
+    assert.deepEqual(click.flags, []);
+    assert.equal(click.counted, true);
+    assert.ok(click.ipHash && click.ipHash !== '127.0.0.1', 'the IP address is only stored hashed');
+    
+    const linkData = await helpers.getDocument(storage.repos.referralLinks.ref(link.id));
+    assert.equal(linkData.clicks, 1);
+    
+    const today = statsDate();
+    const daily = await helpers.getDocument(storage.repos.stats.daily(affiliateId, today));
+    assert.equal(daily.clicks, 1);
+    assert.equal(daily.conversions, 0);
+    assert.equal(daily.earnings, 0);
+    
+    const device = await helpers.getDocument(storage.repos.stats.device(affiliateId, today, 'mobile'));
+    assert.equal(device.clicks, 1);
+    
+    const source = await helpers.getDocument(storage.repos.stats.source(affiliateId, today, 'instagram'));
+    assert.equal(source.clicks, 1);
+    
+    const affiliateStats = await helpers.getDocument(storage.repos.stats.affiliate(affiliateId, today));
+    assert.equal(affiliateStats.clicks, 1);
+    assert.equal(affiliateStats.impressions, 1);
+    
+    const linkPerformance = await helpers.getDocument(storage.repos.stats.link(link.id, today));
+    assert.equal(linkPerformance.clicks, 1);
+  });
+  
+  it('adds up clicks from different visitors in the same day', async () => {
+    const { affiliateId, link } = affiliate;
+    
+    for (const userAgent of ['Mozilla/5.0 (iPhone)', 'Mozilla/5.0 (Macintosh)', 'Mozilla/5.0 (X11; Linux)']) {
+      const response = await request('POST', '/click', { body: { refCode: link.refCode, userAgent: userAgent } });
+      assert.equal(response.body.counted, true);
+    }
+    
+    const daily = await helpers.getDocument(storage.repos.stats.daily(affiliateId, statsDate()));
+    assert.equal(daily.clicks, 3);
+    
+    const linkData = await helpers.getDocument(storage.repos.referralLinks.ref(link.id));
+    assert.equal(linkData.clicks, 3);
+  });
+  
+  it('records but does not count a repeat click from the same visitor', async () => {
+    const { affiliateId, link } = affiliate;
+    
+    await request('POST', '/click', { body: { refCode: link.refCode } });
+    const repeat = await request('POST', '/click', { body: { refCode: link.refCode } });
+    
+    assert.equal(repeat.status, 200);
+    assert.equal(repeat.body.counted, false);
+    
+    const click = await helpers.getDocument(storage.repos.clicks.ref(repeat.body.clickId));
+    assert.deepEqual(click.flags, ['duplicate']);
+    assert.equal(click.unique, false);
+    
+    const daily = await helpers.getDocument(storage.repos.stats.daily(affiliateId, statsDate()));
+    assert.equal(daily.clicks, 1);
+  });
+  
+  it('does not count clicks from bots', async () => {
+    const { affiliateId, link } = affiliate;
+    const response = await request('POST', '/click', {
+      body: { refCode: link.refCode, userAgent: 'Googlebot/2.1 (+http://www.google.com/bot.html)' }
+    });
+    
+    assert.equal(response.body.counted, false);
+    
+    const click = await helpers.getDocument(storage.repos.clicks.ref(response.body.clickId));
+    assert.ok(click.flags.includes('bot'));
+    assert.equal(click.riskScore, 100);
+    assert.equal(await helpers.getDocument(storage.repos.stats.daily(affiliateId, statsDate())), null);
+  });
+  
+  it('does not count an affiliate clicking their own link', async () => {
+    const { affiliateId, link } = affiliate;
+    const token = await helpers.signIn(affiliateId);
+    const response = await request('POST', '/click', { body: { refCode: link.refCode }, token: token });
+    
+    assert.equal(response.body.counted, false);
+    
+    const click = await helpers.getDocument(storage.repos.clicks.ref(response.body.clickId));
+    assert.ok(click.flags.includes('self_click'));
+  });
+  
+  it('answers 404 for an unknown refCode', async () => {
+    const response = await request('POST', '/click', { body: { refCode: 'no-such-code' } });
+    
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error.code, 'not_found');
+  });
+  
+  it('answers 400 without a refCode', async () => {
+    const response = await request('POST', '/click', { body: { url: 'https://example.com' } });
+    
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.error.details.map(detail => detail.field), ['body.refCode']);
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, sentEmails, request, statsDate, monthStartDate } = helpers;
+
+describe('POST /conversion', () => {
+  let affiliate;
+  
+  helpers.useServer();
+  
+  beforeEach(async () => {
+    affiliate = await helpers.registerAffiliate({ name: 'Wanjiru Tours', email: 'wanjiru@example.com' });
+    await helpers.deliverEmails();
+    sentEmails.length = 0;
+  });
+  
+  async function click() {
+    const response = await request('POST', '/click', { body: { refCode: affiliate.link.refCode, visitorId: 'visitor-1' } });
+    return response.body.clickId;
+  }
+  
+  it('credits the commission to the pending balance with an earnings record', async () => {
+    const { affiliateId } = affiliate;
+    const response = await helpers.convert(affiliate, { bookingId: 'booking-1', clickId: await click() });
+    
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'pending');
+    
+    const conversion = await helpers.getDocument(storage.repos.conversions.ref(response.body.conversionId));
+    assert.equal(conversion.affiliateId, affiliateId);
+    assert.equal(conversion.purchaseAmount, 1200);
+    assert.equal(conversion.commissionRate, 0.10);
+    assert.equal(conversion.commissionAmount, 120);
+    assert.equal(conversion.status, 'pending');
+    
+    const balance = await helpers.getBalance(affiliateId);
+    assert.equal(balance.pending, 120);
+    assert.equal(balance.available, 0);
+    
+    const earningsSnapshot = await storage.repos.earnings.forConversion(response.body.conversionId, affiliateId).get();
+    assert.equal(earningsSnapshot.size, 1);
+    assert.equal(earningsSnapshot.docs[0].data().amount, 120);
+    assert.equal(earningsSnapshot.docs[0].data().status, 'pending');
+  });
+  
+  it('adds each conversion to the balance', async () => {
+    await helpers.convert(affiliate, { bookingId: 'booking-1', purchaseAmount: 1000 });
+    await helpers.convert(affiliate, { bookingId: 'booking-2', purchaseAmount: 500 });
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.equal(balance.pending, 150);
+  });
+  
+  it('updates the link, the click and the conversion statistics', async () => {
+    const { affiliateId, link } = affiliate;
+    const clickId = await click();
+    
+    await helpers.convert(affiliate, { bookingId: 'booking-1', clickId: clickId, purchaseAmount: 1000 });
+    await helpers.convert(affiliate, { bookingId: 'booking-2', purchaseAmount: 500 });
+    
+    const linkData = await helpers.getDocument(storage.repos.referralLinks.ref(link.id));
+    assert.equal(linkData.conversions, 2);
+    assert.equal(linkData.earnings, 150);
+    
+    const clickData = await helpers.getDocument(storage.repos.clicks.ref(clickId));
+    assert.equal(clickData.converted, true);
+    
+    const today = statsDate();
+    const daily = await helpers.getDocument(storage.repos.stats.daily(affiliateId, today));
+    assert.equal(daily.clicks, 1, 'clicks recorded earlier in the day are kept');
+    assert.equal(daily.conversions, 2);
+    assert.equal(daily.earnings, 150);
+    
+    const monthly = await helpers.getDocument(storage.repos.stats.monthly(affiliateId, monthStartDate()));
+    assert.equal(monthly.amount, 150);
+    assert.equal(monthly.count, 2);
+    
+    const affiliateStats = await helpers.getDocument(storage.repos.stats.affiliate(affiliateId, today));
+    assert.equal(affiliateStats.conversions, 2);
+    assert.equal(affiliateStats.earnings, 150);
+    
+    const linkPerformance = await helpers.getDocument(storage.repos.stats.link(link.id, today));
+    assert.equal(linkPerformance.clicks, 1);
+    assert.equal(linkPerformance.conversions, 2);
+    assert.equal(linkPerformance.earnings, 150);
+  });
+  
+  it('emails the affiliate and the admins about the commission', async () => {
+    await helpers.convert(affiliate, { bookingId: 'booking-1', customerName: 'Jane Doe', customerEmail: 'jane@example.com' });
+    await helpers.deliverEmails();
+    
+    const affiliateEmail = sentEmails.find(email => email.to === 'wanjiru@example.com');
+    assert.ok(affiliateEmail, 'affiliate emailed');
+    assert.equal(affiliateEmail.subject, 'New Commission Earned - KenyaOnABudget Safaris');
+    assert.match(affiliateEmail.html, /Hello Wanjiru Tours/);
+    assert.match(affiliateEmail.html, /Maasai Mara 3 Days/);
+    assert.match(affiliateEmail.html, /£1200\.00/);
+    assert.match(affiliateEmail.html, /£120\.00/);
+    
+    const adminEmails = sentEmails.filter(email => email.subject === 'New Affiliate Conversion - KenyaOnABudget Safaris');
+    assert.ok(adminEmails.length > 0, 'admins emailed');
+    adminEmails.forEach(email => {
+      assert.notEqual(email.to, 'wanjiru@example.com');
+      assert.match(email.html, /Wanjiru Tours \(wanjiru@example\.com\)/);
+      assert.match(email.html, /£120\.00/);
+    });
+  });
+  
+  it('converts other currencies into GBP for the ledger', async () => {
+    const response = await helpers.convert(affiliate, { bookingId: 'booking-1', purchaseAmount: 1000, currency: 'USD' });
+    const conversion = await helpers.getDocument(storage.repos.conversions.ref(response.body.conversionId));
+    
+    assert.equal(conversion.currency, 'usd');
+    assert.equal(conversion.purchaseAmountGbp, 790);
+    assert.equal(conversion.commissionAmount, 79);
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.equal(balance.pending, 79);
+  });
+  
+  it('credits a repeated booking only once', async () => {
+    const first = await helpers.convert(affiliate, { bookingId: 'booking-1' });
+    await helpers.deliverEmails();
+    sentEmails.length = 0;
+    const repeat = await helpers.convert(affiliate, { bookingId: 'booking-1' });
+    await helpers.deliverEmails();
+    
+    assert.equal(repeat.status, 200);
+    assert.equal(repeat.body.duplicate, true);
+    assert.equal(repeat.body.conversionId, first.body.conversionId);
+    assert.equal(sentEmails.length, 0);
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.equal(balance.pending, 120);
+  });
+  
+  it('moves the commission to the available balance once approved', async () => {
+    const response = await helpers.convert(affiliate, { bookingId: 'booking-1' });
+    const adminToken = await helpers.signIn(affiliate.affiliateId, { admin: true });
+    
+    const approval = await request('POST', `/admin/conversions/${response.body.conversionId}/approve`, { token: adminToken });
+    assert.equal(approval.status, 200);
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.equal(balance.pending, 0);
+    assert.equal(balance.available, 120);
+  });
+  
+  it('answers 404 for an unknown affiliate code', async () => {
+    const response = await helpers.convert(affiliate, { affiliateCode: 'no-such-code' });
+    await helpers.deliverEmails();
+    
+    assert.equal(response.status, 404);
+    assert.equal(sentEmails.length, 0);
+  });
+  
+  it('refuses conversions for a suspended affiliate', async () => {
+    const adminToken = await helpers.signIn(affiliate.affiliateId, { admin: true });
+    await request('POST', `/admin/affiliates/${affiliate.affiliateId}/suspend`, { token: adminToken, body: { reason: 'Testing' } });
+    
+    const response = await helpers.convert(affiliate, { bookingId: 'booking-1' });
+    
+    assert.equal(response.status, 403);
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.equal(balance.pending, 0);
+  });
+  
+  it('answers 400 for an invalid purchase amount', async () => {
+    const response = await helpers.convert(affiliate, { purchaseAmount: 'lots' });
+    
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.error.details.map(detail => detail.field), ['body.purchaseAmount']);
+  });
+});
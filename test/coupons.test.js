@@ -0,0 +1,112 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, request } = helpers;
+
+describe('coupon codes', () => {
+  let affiliate;
+  let affiliateToken;
+  let adminToken;
+  
+  helpers.useServer();
+  
+  beforeEach(async () => {
+    affiliate = await helpers.registerAffiliate({ name: 'Safari Podcast' });
+    affiliateToken = await helpers.signIn(affiliate.affiliateId);
+    
+    adminToken = await helpers.registerAdmin();
+  });
+  
+  function claimCoupon(code, token = affiliateToken) {
+    return request('POST', '/coupons', { token, body: { code } });
+  }
+  
+  function convert(body) {
+    return helpers.convert(null, { purchaseAmount: 1000, packageName: 'Tsavo East 3 Days', ...body });
+  }
+  
+  it('lets an affiliate claim a vanity code with a referral link of its own', async () => {
+    const response = await claimCoupon('safari-pod');
+    
+    assert.equal(response.status, 200);
+    assert.equal(response.body.coupon.code, 'SAFARI-POD');
+    assert.equal(response.body.coupon.discount, null);
+    
+    const link = await helpers.getDocument(storage.repos.referralLinks.ref(response.body.coupon.linkId));
+    assert.equal(link.affiliateId, affiliate.affiliateId);
+    assert.equal(link.linkType, 'coupon');
+    
+    const other = await helpers.registerAffiliate({ name: 'Other Affiliate' });
+    const taken = await claimCoupon('SAFARI-POD', await helpers.signIn(other.affiliateId));
+    assert.equal(taken.status, 409);
+    
+    const invalid = await claimCoupon('no spaces!');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.details[0].field, 'body.code');
+    
+    const list = await request('GET', '/coupons', { token: affiliateToken });
+    assert.deepEqual(list.body.coupons.map(coupon => coupon.code), ['SAFARI-POD']);
+  });
+  
+  it('shows the checkout the discount an admin set', async () => {
+    await claimCoupon('SAFARI-POD');
+    
+    const update = await request('PUT', '/admin/coupons/safari-pod', {
+      token: adminToken,
+      body: { discountType: 'percent', discountValue: 10 }
+    });
+    assert.equal(update.status, 200);
+    
+    const valid = await request('GET', '/coupons/safari-pod/validate');
+    assert.equal(valid.status, 200);
+    assert.equal(valid.body.valid, true);
+    assert.deepEqual(valid.body.discount, { type: 'percent', value: 10, currency: null });
+    
+    const tooMuch = await request('PUT', '/admin/coupons/SAFARI-POD', { token: adminToken, body: { discountValue: 150 } });
+    assert.equal(tooMuch.status, 400);
+    
+    await request('PUT', '/admin/coupons/SAFARI-POD', { token: adminToken, body: { status: 'disabled' } });
+    const disabled = await request('GET', '/coupons/SAFARI-POD/validate');
+    assert.equal(disabled.status, 404);
+    
+    const unknown = await request('GET', '/coupons/NOPE/validate');
+    assert.equal(unknown.status, 404);
+  });
+  
+  it('credits a conversion with only a coupon code to the coupon owner', async () => {
+    const { body } = await claimCoupon('SAFARI-POD');
+    
+    const response = await convert({ couponCode: 'safari-pod', bookingId: 'booking-1' });
+    assert.equal(response.status, 200);
+    
+    const conversion = await helpers.getDocument(storage.repos.conversions.ref(response.body.conversionId));
+    assert.equal(conversion.affiliateId, affiliate.affiliateId);
+    assert.equal(conversion.linkId, body.coupon.linkId);
+    assert.equal(conversion.couponCode, 'SAFARI-POD');
+    assert.equal(conversion.attribution.source, 'coupon');
+    assert.equal(conversion.commissionAmount, 100);
+    
+    assert.equal((await helpers.getBalance(affiliate.affiliateId)).pending, 100);
+    assert.equal((await helpers.getDocument(storage.repos.referralLinks.ref(body.coupon.linkId))).conversions, 1);
+    assert.equal((await helpers.getDocument(storage.repos.coupons.ref('SAFARI-POD'))).conversions, 1);
+  });
+  
+  it('keeps an affiliate code ahead of a coupon code', async () => {
+    await claimCoupon('SAFARI-POD');
+    const other = await helpers.registerAffiliate({ name: 'Link Affiliate' });
+    
+    const response = await convert({ couponCode: 'SAFARI-POD', affiliateCode: other.link.refCode, bookingId: 'booking-1' });
+    
+    const conversion = await helpers.getDocument(storage.repos.conversions.ref(response.body.conversionId));
+    assert.equal(conversion.affiliateId, other.affiliateId);
+    assert.equal(conversion.couponCode, null);
+  });
+  
+  it('answers 404 for a coupon code nobody holds', async () => {
+    const response = await convert({ couponCode: 'UNKNOWN', bookingId: 'booking-1' });
+    
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error.message, 'Coupon code not found');
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, request } = helpers;
+
+describe('GET /dashboard', () => {
+  let affiliate;
+  
+  helpers.useServer();
+  
+  beforeEach(async () => {
+    affiliate = await helpers.registerAffiliate({ name: 'Safari Sam' });
+  });
+  
+  it('answers 401 without a token', async () => {
+    const response = await request('GET', '/dashboard');
+    
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error.code, 'unauthorized');
+  });
+  
+  it('answers 401 for an invalid token', async () => {
+    const response = await request('GET', '/dashboard', { token: 'not-a-real-token' });
+    
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error.code, 'unauthorized');
+  });
+  
+  it('answers 401 for a malformed Authorization header', async () => {
+    const token = await helpers.signIn(affiliate.affiliateId);
+    const response = await request('GET', '/dashboard', { headers: { Authorization: `Token ${token}` } });
+    
+    assert.equal(response.status, 401);
+  });
+  
+  it('answers 401 once the account has been disabled', async () => {
+    const token = await helpers.signIn(affiliate.affiliateId);
+    await storage.auth.updateUser(affiliate.affiliateId, { disabled: true });
+    
+    const response = await request('GET', '/dashboard', { token: token });
+    
+    assert.equal(response.status, 401);
+  });
+  
+  it('answers 404 for a signed-in user without an affiliate profile', async () => {
+    const user = await storage.auth.createUser({ email: 'customer@example.com' });
+    const response = await request('GET', '/dashboard', { token: await helpers.signIn(user.uid) });
+    
+    assert.equal(response.status, 404);
+  });
+  
+  it('returns the profile, balance, links and recent conversions', async () => {
+    await helpers.convert(affiliate, { purchaseAmount: 800, bookingId: 'booking-1' });
+    
+    const response = await request('GET', '/dashboard', { token: await helpers.signIn(affiliate.affiliateId) });
+    
+    assert.equal(response.status, 200);
+    assert.equal(response.body.profile.name, 'Safari Sam');
+    assert.equal(response.body.currency, 'gbp');
+    assert.equal(response.body.balance.pending, 80);
+    assert.equal(response.body.links.length, affiliate.links.length);
+    assert.ok(response.body.links.every(link => link.url.includes(`ref=${link.refCode}`)));
+    assert.equal(response.body.conversions.length, 1);
+    assert.equal(response.body.conversions[0].commissionAmount, 80);
+  });
+  
+  it('works out the change figures at most once an hour', async () => {
+    const token = await helpers.signIn(affiliate.affiliateId);
+    
+    await request('GET', '/dashboard', { token });
+    const first = await helpers.getDocument(storage.repos.affiliates.ref(affiliate.affiliateId));
+    assert.ok(first.changesUpdatedAt);
+    
+    await request('GET', '/dashboard', { token });
+    const second = await helpers.getDocument(storage.repos.affiliates.ref(affiliate.affiliateId));
+    assert.equal(second.changesUpdatedAt.toMillis(), first.changesUpdatedAt.toMillis());
+  });
+  
+  it('takes one analytics filter at a time', async () => {
+    const token = await helpers.signIn(affiliate.affiliateId);
+    
+    const single = await request('GET', '/analytics?device=mobile', { token });
+    assert.equal(single.status, 200);
+    assert.equal(single.body.totals.conversions, null);
+    
+    const combined = await request('GET', '/analytics?device=mobile&source=instagram', { token });
+    assert.equal(combined.status, 400);
+    assert.deepEqual(combined.body.error.details, [{ field: 'query.source', message: "can't be combined with device" }]);
+  });
+  
+  it('keeps admin routes from affiliates', async () => {
+    const response = await request('GET', '/admin/conversions', { token: await helpers.signIn(affiliate.affiliateId) });
+    
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error.code, 'forbidden');
+  });
+});
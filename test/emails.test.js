@@ -0,0 +1,176 @@
+process.env.EMAIL_MAX_ATTEMPTS = '2';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+const { transporter } = require('../server');
+
+const { storage, sentEmails, request } = helpers;
+
+describe('email outbox', () => {
+  helpers.useServer();
+  
+  async function outboxEmails(to) {
+    const snapshot = await storage.db.collection('emailOutbox').where('to', '==', to).get();
+    return snapshot.docs;
+  }
+  
+  // Makes an email due now instead of waiting out its backoff
+  async function makeDue(doc) {
+    await doc.ref.update({ nextAttemptAt: new Date(Date.now() - 1000) });
+  }
+  
+  async function withFailingTransport(callback) {
+    const sendMail = transporter.sendMail;
+    transporter.sendMail = async () => {
+      throw new Error('SMTP unavailable');
+    };
+    
+    try {
+      await callback();
+    } finally {
+      transporter.sendMail = sendMail;
+    }
+  }
+  
+  it('queues emails without sending them during the request', async () => {
+    const response = await request('POST', '/register', { body: { name: 'Amani Traveller', email: 'amani@example.com' } });
+    
+    assert.equal(response.status, 200);
+    assert.equal(sentEmails.length, 0);
+    
+    const [queued] = await outboxEmails('amani@example.com');
+    assert.equal(queued.data().status, 'queued');
+    assert.equal(queued.data().template, 'welcome');
+    assert.equal(queued.data().affiliateId, response.body.userId);
+    
+    await helpers.deliverEmails();
+    
+    const [sent] = await outboxEmails('amani@example.com');
+    assert.equal(sent.data().status, 'sent');
+    assert.equal(sent.data().attempts, 1);
+    assert.ok(sentEmails.some(email => email.to === 'amani@example.com'));
+  });
+  
+  it('never shows admins a sign-in link and clears it once sent', async () => {
+    const response = await request('POST', '/register', { body: { name: 'Amani', email: 'amani@example.com' } });
+    const adminToken = await helpers.signIn(response.body.userId, { admin: true });
+    
+    const [queued] = await outboxEmails('amani@example.com');
+    assert.equal(queued.data().sensitive, true);
+    
+    const detail = await request('GET', `/admin/emails/${queued.id}`, { token: adminToken });
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.email.template, 'welcome');
+    assert.equal(detail.body.email.html, undefined);
+    assert.equal(detail.body.email.text, undefined);
+    
+    await helpers.deliverEmails();
+    assert.match(sentEmails.find(email => email.to === 'amani@example.com').html, /mode=resetPassword/);
+    
+    const [sent] = await outboxEmails('amani@example.com');
+    assert.equal(sent.data().html, null);
+    assert.equal(sent.data().text, null);
+  });
+  
+  it('escapes affiliate data in the HTML and sends a plain text part', async () => {
+    await request('POST', '/register', { body: { name: '<script>alert(1)</script>', email: 'amani@example.com' } });
+    await helpers.deliverEmails();
+    
+    const welcome = sentEmails.find(email => email.to === 'amani@example.com');
+    assert.doesNotMatch(welcome.html, /<script>/);
+    assert.match(welcome.html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(welcome.text, /Hello <script>alert\(1\)<\/script>,/);
+    assert.match(welcome.text, /Getting Started/);
+    assert.doesNotMatch(welcome.text, /<p>|<div/);
+  });
+  
+  it('writes to the affiliate in their language and to the admins in English', async () => {
+    const response = await request('POST', '/register', {
+      body: { name: 'Amélie', email: 'amelie@example.com', language: 'fr' }
+    });
+    await helpers.deliverEmails();
+    
+    const affiliate = await helpers.getDocument(storage.repos.affiliates.ref(response.body.userId));
+    assert.equal(affiliate.language, 'fr');
+    
+    const welcome = sentEmails.find(email => email.to === 'amelie@example.com');
+    assert.equal(welcome.subject, "Bienvenue dans le programme d'affiliation KenyaOnABudget !");
+    assert.match(welcome.html, /Bonjour Amélie,/);
+    
+    const adminEmails = sentEmails.filter(email => email.to !== 'amelie@example.com');
+    assert.ok(adminEmails.length > 0);
+    adminEmails.forEach(email => assert.equal(email.subject, 'New Affiliate Registration - KenyaOnABudget Safaris'));
+  });
+  
+  it('rejects an unsupported language', async () => {
+    const response = await request('POST', '/register', {
+      body: { name: 'Amani', email: 'amani@example.com', language: 'xx' }
+    });
+    
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.details[0].field, 'body.language');
+  });
+  
+  it('retries a failed send with backoff and logs every attempt', async () => {
+    await request('POST', '/register', { body: { name: 'Amani', email: 'amani@example.com' } });
+    
+    await withFailingTransport(() => helpers.deliverEmails());
+    
+    let [email] = await outboxEmails('amani@example.com');
+    assert.equal(email.data().status, 'queued');
+    assert.equal(email.data().attempts, 1);
+    assert.equal(email.data().lastError, 'SMTP unavailable');
+    assert.ok(email.data().nextAttemptAt.toMillis() > Date.now());
+    
+    // Not due yet, so nothing is sent
+    await helpers.deliverEmails();
+    assert.equal(sentEmails.length, 0);
+    
+    await makeDue(email);
+    await helpers.deliverEmails();
+    
+    [email] = await outboxEmails('amani@example.com');
+    assert.equal(email.data().status, 'sent');
+    assert.equal(email.data().attempts, 2);
+    
+    const deliveries = await storage.db.collection('emailDeliveries').where('outboxId', '==', email.id).get();
+    assert.deepEqual(
+      deliveries.docs.map(doc => [doc.data().attempt, doc.data().status]).sort(),
+      [[1, 'error'], [2, 'sent']]
+    );
+  });
+  
+  it('gives up after the maximum attempts until an admin retries', async () => {
+    const response = await request('POST', '/register', { body: { name: 'Amani', email: 'amani@example.com' } });
+    const adminToken = await helpers.signIn(response.body.userId, { admin: true });
+    
+    await withFailingTransport(async () => {
+      await helpers.deliverEmails();
+      await makeDue((await outboxEmails('amani@example.com'))[0]);
+      await helpers.deliverEmails();
+    });
+    
+    const [email] = await outboxEmails('amani@example.com');
+    assert.equal(email.data().status, 'failed');
+    assert.equal(email.data().attempts, 2);
+    
+    const failed = await request('GET', '/admin/emails?status=failed', { token: adminToken });
+    assert.equal(failed.status, 200);
+    assert.deepEqual(failed.body.emails.map(item => item.id), [email.id]);
+    assert.equal(failed.body.emails[0].html, undefined);
+    
+    const detail = await request('GET', `/admin/emails/${email.id}`, { token: adminToken });
+    assert.equal(detail.body.deliveries.length, 2);
+    
+    const retry = await request('POST', `/admin/emails/${email.id}/retry`, { token: adminToken });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.status, 'queued');
+    
+    await helpers.deliverEmails();
+    assert.ok(sentEmails.some(item => item.to === 'amani@example.com'));
+    
+    const again = await request('POST', `/admin/emails/${email.id}/retry`, { token: adminToken });
+    assert.equal(again.status, 409);
+  });
+});
@@ -0,0 +1,36 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { request } = helpers;
+
+describe('data exports', () => {
+  let affiliate;
+  let affiliateToken;
+  
+  helpers.useServer();
+  
+  beforeEach(async () => {
+    affiliate = await helpers.registerAffiliate();
+    affiliateToken = await helpers.signIn(affiliate.affiliateId);
+  });
+  
+  it('keeps cells a spreadsheet would run as formulas as text', async () => {
+    await helpers.convert(affiliate, {
+      purchaseAmount: 1000,
+      packageName: '@SUM(A1:A9)',
+      customerName: '=HYPERLINK("http://evil.example","Open")',
+      bookingId: '-2+3'
+    });
+    
+    const response = await request('GET', '/exports/conversions', { token: affiliateToken });
+    assert.equal(response.status, 200);
+    
+    const row = response.body.trim().split('\n')[1];
+    assert.match(row, /,'@SUM\(A1:A9\),/);
+    assert.match(row, /,"'=HYPERLINK\(""http:\/\/evil\.example"",""Open""\)",/);
+    assert.match(row, /,'-2\+3,/);
+    // Numbers are never prefixed
+    assert.match(row, /,1000,/);
+  });
+});
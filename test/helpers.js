@@ -0,0 +1,201 @@
+// Shared setup for the integration tests. The app runs against the in-memory storage backend,
+// and the mail transport records messages instead of sending them.
+process.env.STORAGE_BACKEND = 'memory';
+process.env.EMAIL_USER = 'affiliates@example.com';
+process.env.CLICK_HASH_SALT = 'test-salt';
+
+const defaults = {
+  REQUIRE_SIGNED_CONVERSIONS: 'false',
+  AUTO_APPROVE_AFFILIATES: 'true',
+  BOOKING_WEBHOOK_SECRET: 'test-webhook-secret',
+  // The webhook tests post to a stub server on 127.0.0.1
+  WEBHOOK_ALLOW_PRIVATE_URLS: 'true',
+  // High enough that the suite is never throttled; the rate limit tests set their own
+  RATE_LIMIT_CLICK_PER_IP: '10000',
+  RATE_LIMIT_CLICK_PER_REF_CODE: '10000',
+  RATE_LIMIT_CONVERSION_PER_IP: '10000',
+  RATE_LIMIT_CONVERSION_PER_REF_CODE: '10000',
+  RATE_LIMIT_REGISTER_PER_IP: '10000',
+  RATE_LIMIT_RESEND_INVITE_PER_IP: '10000',
+  RATE_LIMIT_COUPON_PER_IP: '10000'
+};
+
+Object.keys(defaults).forEach(name => {
+  if (process.env[name] === undefined) process.env[name] = defaults[name];
+});
+
+const crypto = require('crypto');
+const { before, after, beforeEach } = require('node:test');
+const { app, storage, transporter, outbox, webhooks } = require('../server');
+
+const sentEmails = [];
+
+transporter.sendMail = async message => {
+  sentEmails.push(message);
+  return { messageId: `test-${sentEmails.length}` };
+};
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+let server = null;
+let baseUrl = null;
+
+async function startServer() {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function stopServer() {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+}
+
+// Empties storage and the recorded emails, so each test starts from nothing
+function resetState() {
+  storage.db.clear();
+  storage.auth.clear();
+  sentEmails.length = 0;
+}
+
+// Runs the server for the calling describe block and starts each of its tests from nothing
+function useServer() {
+  before(startServer);
+  after(stopServer);
+  beforeEach(resetState);
+}
+
+async function request(method, path, options = {}) {
+  const headers = { 'User-Agent': BROWSER_USER_AGENT, ...options.headers };
+  
+  if (options.body !== undefined) headers['Content-Type'] = 'application/json';
+  if (options.token) headers.Authorization = `Bearer ${options.token}`;
+  
+  const response = await fetch(baseUrl + path, {
+    method: method,
+    headers: headers,
+    body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+    redirect: 'manual'
+  });
+  const text = await response.text();
+  let body = text;
+  
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    // Not JSON, e.g. a CSV export
+  }
+  
+  return { status: response.status, headers: response.headers, body: body };
+}
+
+// Registers an affiliate through /register and returns its ID and referral links
+async function registerAffiliate(overrides = {}) {
+  const response = await request('POST', '/register', {
+    body: {
+      name: 'Test Affiliate',
+      email: `affiliate-${crypto.randomBytes(4).toString('hex')}@example.com`,
+      ...overrides
+    }
+  });
+  
+  if (response.status !== 200) {
+    throw new Error(`Registration failed: ${JSON.stringify(response.body)}`);
+  }
+  
+  const affiliateId = response.body.userId;
+  const linksSnapshot = await storage.repos.referralLinks.byAffiliate(affiliateId).get();
+  const links = linksSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  
+  return { affiliateId, links, link: links.find(link => link.linkType === 'general') || links[0] };
+}
+
+// Registers an affiliate and signs them in as an admin, returning their token
+async function registerAdmin(overrides = {}) {
+  const admin = await registerAffiliate({ name: 'Admin', ...overrides });
+  return signIn(admin.affiliateId, { admin: true });
+}
+
+// Posts a conversion from the website for the affiliate's general link (without one, the body
+// has to name the code, e.g. a couponCode)
+function convert(affiliate, body) {
+  return request('POST', '/conversion', {
+    body: {
+      affiliateCode: affiliate ? affiliate.link.refCode : undefined,
+      purchaseAmount: 1200,
+      packageName: 'Maasai Mara 3 Days',
+      ...body
+    }
+  });
+}
+
+// Sends everything waiting in the email outbox, which the server would do in the background
+function deliverEmails() {
+  return outbox.process();
+}
+
+// Posts everything due in the webhook queue, which the server would also do in the background
+function deliverWebhooks() {
+  return webhooks.process();
+}
+
+function signIn(uid, claims) {
+  return storage.auth.createIdToken(uid, claims);
+}
+
+async function getBalance(affiliateId) {
+  const doc = await storage.repos.balances.ref(affiliateId).get();
+  return doc.exists ? doc.data() : null;
+}
+
+async function getDocument(ref) {
+  const doc = await ref.get();
+  return doc.exists ? doc.data() : null;
+}
+
+// Today's date the way stats document IDs hold it
+function statsDate(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function monthStartDate(date = new Date()) {
+  return statsDate(new Date(date.getFullYear(), date.getMonth(), 1));
+}
+
+// Signs a booking webhook body the way the booking system does
+function signWebhook(body, secret = process.env.BOOKING_WEBHOOK_SECRET) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${JSON.stringify(body)}`)
+    .digest('hex');
+  
+  return { 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': `sha256=${signature}` };
+}
+
+// Posts a booking system event, signed with the right secret unless headers are given
+function bookingEvent(body, headers) {
+  return request('POST', '/webhooks/booking', { body, headers: headers || signWebhook(body) });
+}
+
+module.exports = {
+  BROWSER_USER_AGENT,
+  storage,
+  sentEmails,
+  deliverEmails,
+  deliverWebhooks,
+  startServer,
+  stopServer,
+  resetState,
+  useServer,
+  request,
+  registerAffiliate,
+  registerAdmin,
+  convert,
+  signIn,
+  getBalance,
+  getDocument,
+  statsDate,
+  monthStartDate,
+  signWebhook,
+  bookingEvent
+};
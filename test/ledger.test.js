@@ -0,0 +1,176 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, request } = helpers;
+
+describe('balance ledger', () => {
+  let affiliate;
+  let affiliateToken;
+  let adminToken;
+  
+  helpers.useServer();
+  
+  beforeEach(async () => {
+    affiliate = await helpers.registerAffiliate({ name: 'Wanjiru Tours' });
+    affiliateToken = await helpers.signIn(affiliate.affiliateId);
+    
+    adminToken = await helpers.registerAdmin();
+  });
+  
+  function convert(body) {
+    return helpers.convert(affiliate, { purchaseAmount: 1000, packageName: 'Samburu 4 Days', ...body });
+  }
+  
+  async function ledgerFor(affiliateId) {
+    const snapshot = await storage.repos.ledger.byAffiliate(affiliateId).orderBy('createdAt').get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+  
+  function reconcile(query = '') {
+    return request('GET', `/admin/ledger/reconciliation${query}`, { token: adminToken });
+  }
+  
+  it('keeps one balance per affiliate, keyed by their ID', async () => {
+    const balanceDoc = await storage.repos.balances.ref(affiliate.affiliateId).get();
+    assert.equal(balanceDoc.exists, true);
+    assert.equal(balanceDoc.data().userId, affiliate.affiliateId);
+    
+    await convert({ bookingId: 'booking-1' });
+    await convert({ bookingId: 'booking-2' });
+    
+    const snapshot = await storage.repos.balances.byUserId(affiliate.affiliateId).get();
+    assert.equal(snapshot.size, 1);
+    assert.equal(snapshot.docs[0].data().pending, 200);
+  });
+  
+  it('posts an entry linked to its source for every balance change', async () => {
+    const { body } = await convert({ bookingId: 'booking-1' });
+    await request('POST', `/admin/conversions/${body.conversionId}/approve`, { token: adminToken });
+    
+    const payout = await request('POST', '/payouts', { token: affiliateToken, body: { amount: 60 } });
+    await request('POST', `/admin/payouts/${payout.body.payoutId}/approve`, { token: adminToken, body: {} });
+    await request('POST', `/admin/payouts/${payout.body.payoutId}/paid`, { token: adminToken, body: { transactionReference: 'TX-1' } });
+    
+    const entries = await ledgerFor(affiliate.affiliateId);
+    assert.deepEqual(entries.map(entry => [entry.type, entry.debit, entry.credit, entry.amount, entry.sourceType]), [
+      ['commission', 'program', 'pending', 100, 'conversion'],
+      ['approval', 'pending', 'available', 100, 'conversion'],
+      ['payout', 'available', 'processing', 60, 'payout'],
+      ['payout', 'processing', 'paid', 60, 'payout']
+    ]);
+    assert.equal(entries[0].sourceId, body.conversionId);
+    assert.equal(entries[3].sourceId, payout.body.payoutId);
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.deepEqual([balance.pending, balance.available, balance.processing, balance.paid], [0, 40, 0, 60]);
+    
+    // The earnings record names the package and the conversion it came from
+    const earnings = await storage.repos.earnings.forConversion(body.conversionId, affiliate.affiliateId).get();
+    assert.equal(earnings.docs[0].data().packageName, 'Samburu 4 Days');
+    assert.equal(earnings.docs[0].data().bookingId, 'booking-1');
+    
+    const report = await reconcile();
+    assert.equal(report.status, 200);
+    assert.equal(report.body.balanced, true);
+    assert.deepEqual(report.body.drift, []);
+  });
+  
+  it('flags a balance that drifted from its ledger and rebuilds it', async () => {
+    await convert({ bookingId: 'booking-1' });
+    await storage.repos.balances.ref(affiliate.affiliateId).update({ available: 500 });
+    
+    const report = await reconcile(`?affiliateId=${affiliate.affiliateId}`);
+    assert.equal(report.body.balanced, false);
+    assert.deepEqual(report.body.drift, [{
+      affiliateId: affiliate.affiliateId,
+      accounts: ['available'],
+      ledger: { pending: 100, available: 0, processing: 0, paid: 0 },
+      balance: { pending: 100, available: 500, processing: 0, paid: 0 },
+      difference: { available: 500 }
+    }]);
+    
+    const rebuilt = await request('POST', `/admin/affiliates/${affiliate.affiliateId}/ledger/rebuild-balance`, { token: adminToken });
+    assert.equal(rebuilt.status, 200);
+    assert.equal((await helpers.getBalance(affiliate.affiliateId)).available, 0);
+    assert.equal((await reconcile()).body.balanced, true);
+  });
+  
+  it('records admin adjustments in either direction', async () => {
+    const adjust = body => request('POST', `/admin/affiliates/${affiliate.affiliateId}/ledger/adjustments`, { token: adminToken, body });
+    
+    const credit = await adjust({ account: 'available', amount: 25, reason: 'Goodwill for a late payout' });
+    assert.equal(credit.status, 200);
+    await adjust({ account: 'available', amount: -10, reason: 'Duplicate goodwill' });
+    
+    assert.equal((await helpers.getBalance(affiliate.affiliateId)).available, 15);
+    
+    const list = await request('GET', `/admin/affiliates/${affiliate.affiliateId}/ledger?type=adjustment`, { token: adminToken });
+    assert.deepEqual(list.body.entries.map(entry => [entry.debit, entry.credit, entry.amount]), [
+      ['available', 'program', 10],
+      ['program', 'available', 25]
+    ]);
+    
+    const zero = await adjust({ account: 'available', amount: 0, reason: 'Nothing' });
+    assert.equal(zero.status, 400);
+    assert.equal(zero.body.error.details[0].field, 'body.amount');
+    
+    const badAccount = await adjust({ account: 'savings', amount: 5, reason: 'Nothing' });
+    assert.equal(badAccount.status, 400);
+  });
+  
+  it('opens balances from before the ledger as opening entries', async () => {
+    // A balance document as /register used to create it, with a generated ID
+    await storage.repos.balances.ref(affiliate.affiliateId).delete();
+    const legacyRef = storage.repos.balances.ref();
+    await legacyRef.set({ userId: affiliate.affiliateId, available: 80, pending: 20, processing: 0, paid: 150 });
+    
+    const before = await reconcile();
+    assert.equal(before.body.balanced, false);
+    assert.deepEqual(before.body.legacyBalances.map(item => item.balanceId), [legacyRef.id]);
+    
+    const opened = await request('POST', '/admin/ledger/opening-balances', { token: adminToken });
+    assert.equal(opened.status, 200);
+    assert.deepEqual(opened.body.affiliateIds, [affiliate.affiliateId]);
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.deepEqual([balance.pending, balance.available, balance.processing, balance.paid], [20, 80, 0, 150]);
+    assert.equal((await helpers.getDocument(legacyRef)).migratedTo, affiliate.affiliateId);
+    assert.equal((await reconcile()).body.balanced, true);
+    
+    // Running it again opens nothing twice
+    const again = await request('POST', '/admin/ledger/opening-balances', { token: adminToken });
+    assert.equal(again.body.opened, 0);
+  });
+  
+  it('opens a legacy balance the first time the affiliate uses it', async () => {
+    await convert({ bookingId: 'booking-1' });
+    const legacyRef = storage.repos.balances.ref();
+    await legacyRef.set({ userId: affiliate.affiliateId, available: 80, pending: 20, processing: 0, paid: 150 });
+    
+    const dashboard = await request('GET', '/dashboard', { token: affiliateToken });
+    assert.equal(dashboard.status, 200);
+    assert.equal(dashboard.body.balance.available, 80);
+    assert.equal(dashboard.body.balance.pending, 120);
+    
+    const payout = await request('POST', '/payouts', { token: affiliateToken, body: { amount: 80 } });
+    assert.equal(payout.status, 200);
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.deepEqual([balance.pending, balance.available, balance.processing, balance.paid], [120, 0, 80, 150]);
+    assert.equal((await helpers.getDocument(legacyRef)).migratedTo, affiliate.affiliateId);
+    assert.equal((await reconcile()).body.balanced, true);
+  });
+  
+  it('pays a legacy balance that was never opened', async () => {
+    await storage.repos.balances.ref(affiliate.affiliateId).delete();
+    await storage.repos.balances.ref().set({ userId: affiliate.affiliateId, available: 50, pending: 0, processing: 0, paid: 0 });
+    
+    const payout = await request('POST', '/payouts', { token: affiliateToken, body: { amount: 50 } });
+    assert.equal(payout.status, 200);
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.deepEqual([balance.available, balance.processing], [0, 50]);
+    assert.equal((await reconcile()).body.balanced, true);
+  });
+});
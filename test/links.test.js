@@ -0,0 +1,41 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, request } = helpers;
+
+describe('referral link targets', () => {
+  let affiliate;
+  let affiliateToken;
+  
+  helpers.useServer();
+  
+  beforeEach(async () => {
+    affiliate = await helpers.registerAffiliate();
+    affiliateToken = await helpers.signIn(affiliate.affiliateId);
+  });
+  
+  function createLink(targetPage) {
+    return request('POST', '/links', { token: affiliateToken, body: { name: 'Offsite', targetPage } });
+  }
+  
+  it('only accepts target pages on our own site', async () => {
+    const valid = await createLink('/packages/maasai-mara?days=3');
+    assert.equal(valid.status, 200);
+    assert.match(valid.body.link.url, /^https:\/\/kenyaonabudgetsafaris\.co\.uk\/packages\/maasai-mara\?days=3&ref=/);
+    
+    for (const targetPage of ['//evil.com/x', '/\\evil.com/x', '/\\\\evil.com', 'https://evil.com', '/ evil']) {
+      const response = await createLink(targetPage);
+      assert.equal(response.status, 400, targetPage);
+    }
+  });
+  
+  it('redirects a link saved with an offsite target to our home page', async () => {
+    await storage.repos.referralLinks.ref(affiliate.link.id).update({ targetPage: '/\\evil.com/x' });
+    
+    const response = await request('GET', `/r/${affiliate.link.refCode}`);
+    
+    assert.equal(response.status, 302);
+    assert.equal(new URL(response.headers.get('location')).origin, 'https://kenyaonabudgetsafaris.co.uk');
+  });
+});
@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../storage');
+
+describe('in-memory storage', () => {
+  const { db } = createStorage('memory');
+  
+  it('refuses undefined query values like Firestore does', () => {
+    assert.throws(() => db.collection('clicks').where('refCode', '==', undefined), /Cannot use "undefined"/);
+  });
+  
+  it('pages through a query with startAfter', async () => {
+    for (const userId of ['c', 'a', 'b', 'd']) {
+      await db.collection('balances').add({ userId });
+    }
+    
+    const page = db.collection('balances').orderBy('userId').limit(2);
+    const first = await page.get();
+    const second = await page.startAfter(first.docs[1].data().userId).get();
+    
+    assert.deepEqual(first.docs.map(doc => doc.data().userId), ['a', 'b']);
+    assert.deepEqual(second.docs.map(doc => doc.data().userId), ['c', 'd']);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, sentEmails, request, statsDate } = helpers;
+
+const ADMIN_EMAIL = 'info@kenyaonabudgetsafaris.co.uk';
+
+describe('notification preferences and digests', () => {
+  let affiliate;
+  let affiliateToken;
+  let adminToken;
+  
+  helpers.useServer();
+  
+  beforeEach(async () => {
+    affiliate = await helpers.registerAffiliate({ name: 'Wanjiru Tours', email: 'wanjiru@example.com' });
+    affiliateToken = await helpers.signIn(affiliate.affiliateId);
+    
+    // Admin addresses can't register; the admin signs in with the verified address alone
+    const admin = await storage.auth.createUser({ email: ADMIN_EMAIL, emailVerified: true });
+    adminToken = await helpers.signIn(admin.uid);
+    
+    await helpers.deliverEmails();
+    sentEmails.length = 0;
+  });
+  
+  function setPreferences(body) {
+    return request('PUT', '/notification-preferences', { token: affiliateToken, body });
+  }
+  
+  it('defaults every event to instant and saves changes', async () => {
+    const defaults = await request('GET', '/notification-preferences', { token: affiliateToken });
+    assert.deepEqual(defaults.body.preferences, { conversion: 'instant', conversionDecision: 'instant', payout: 'instant' });
+    
+    const update = await setPreferences({ conversion: 'weekly' });
+    assert.equal(update.status, 200);
+    assert.deepEqual(update.body.preferences, { conversion: 'weekly', conversionDecision: 'instant', payout: 'instant' });
+    
+    const profile = await helpers.getDocument(storage.repos.affiliates.ref(affiliate.affiliateId));
+    assert.equal(profile.notificationPreferences.conversion, 'weekly');
+    
+    const invalid = await setPreferences({ payout: 'hourly' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.details[0].field, 'body.payout');
+  });
+  
+  it('sends nothing for an event that is turned off', async () => {
+    await setPreferences({ conversion: 'off' });
+    await helpers.convert(affiliate, { bookingId: 'booking-1' });
+    await helpers.deliverEmails();
+    
+    assert.equal(sentEmails.filter(email => email.to === 'wanjiru@example.com').length, 0);
+    
+    const items = await storage.repos.digests.items.collection.where('to', '==', 'wanjiru@example.com').get();
+    assert.equal(items.size, 0);
+  });
+  
+  it('rolls events into the daily digest with the period stats and top links', async () => {
+    await setPreferences({ conversion: 'daily' });
+    await request('POST', '/click', { body: { refCode: affiliate.link.refCode, visitorId: 'visitor-1' } });
+    await helpers.convert(affiliate, { bookingId: 'booking-1' });
+    await helpers.deliverEmails();
+    
+    assert.equal(sentEmails.filter(email => email.to === 'wanjiru@example.com').length, 0);
+    
+    const run = await request('POST', `/admin/digests/daily?to=${statsDate()}`, { token: adminToken });
+    assert.equal(run.status, 200);
+    assert.equal(run.body.from, statsDate());
+    assert.equal(run.body.sent.affiliates, 1);
+    await helpers.deliverEmails();
+    
+    const digest = sentEmails.find(email => email.to === 'wanjiru@example.com');
+    assert.equal(digest.subject, 'Your Daily Affiliate Summary - KenyaOnABudget Safaris');
+    assert.match(digest.text, /Clicks: 1/);
+    assert.match(digest.text, /Conversions: 1/);
+    assert.match(digest.text, /Commission Earned: £120\.00/);
+    assert.match(digest.text, /Commission This Month: £120\.00/);
+    assert.match(digest.text, /1\. general: 1 clicks, 1 conversions, £120\.00/);
+    assert.match(digest.text, /New commission of £120\.00 on Maasai Mara 3 Days/);
+    
+    const items = await storage.repos.digests.items.collection.where('to', '==', 'wanjiru@example.com').get();
+    assert.equal(items.size, 1);
+    assert.ok(items.docs[0].data().digestedAt);
+    
+    // A run that is repeated, or picked up again after stopping partway, sends nobody a second copy
+    sentEmails.length = 0;
+    const again = await request('POST', `/admin/digests/daily?to=${statsDate()}`, { token: adminToken });
+    assert.equal(again.body.sent.affiliates, 0);
+    await helpers.deliverEmails();
+    assert.equal(sentEmails.filter(email => email.to === 'wanjiru@example.com').length, 0);
+  });
+  
+  it('skips the digest for a period with no activity', async () => {
+    await setPreferences({ conversion: 'weekly' });
+    
+    const run = await request('POST', '/admin/digests/weekly?to=2020-01-05', { token: adminToken });
+    
+    assert.equal(run.body.from, '2019-12-30');
+    assert.equal(run.body.sent.affiliates, 0);
+  });
+  
+  it('lets each admin address choose its own notifications', async () => {
+    const update = await request('PUT', '/admin/notification-preferences', {
+      token: adminToken,
+      body: { conversion: 'daily', registration: 'off' }
+    });
+    assert.equal(update.status, 200);
+    assert.deepEqual(update.body.preferences, { conversion: 'daily', registration: 'off', payoutRequest: 'instant' });
+    
+    await helpers.registerAffiliate({ name: 'Second Affiliate', email: 'second@example.com' });
+    await helpers.convert(affiliate, { bookingId: 'booking-1' });
+    await helpers.deliverEmails();
+    
+    const adminEmails = sentEmails.filter(email => email.to === ADMIN_EMAIL);
+    assert.equal(adminEmails.length, 0);
+    
+    const otherAdminEmails = sentEmails.filter(email => email.to !== ADMIN_EMAIL && email.subject.startsWith('New Affiliate'));
+    assert.ok(otherAdminEmails.some(email => email.subject.startsWith('New Affiliate Registration')));
+    assert.ok(otherAdminEmails.some(email => email.subject.startsWith('New Affiliate Conversion')));
+    
+    await request('POST', `/admin/digests/daily?to=${statsDate()}`, { token: adminToken });
+    await helpers.deliverEmails();
+    
+    const digest = sentEmails.find(email => email.to === ADMIN_EMAIL);
+    assert.equal(digest.subject, 'Daily Affiliate Program Summary - KenyaOnABudget Safaris');
+    assert.match(digest.text, /Commission Owed: £120\.00/);
+    assert.match(digest.text, /Wanjiru Tours earned £120\.00 on Maasai Mara 3 Days/);
+  });
+});
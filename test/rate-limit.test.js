@@ -0,0 +1,104 @@
+process.env.RATE_LIMIT_CLICK_PER_IP = '3';
+process.env.RATE_LIMIT_CLICK_WINDOW_SECONDS = '1';
+process.env.RATE_LIMIT_CLICK_PER_REF_CODE = '2';
+process.env.RATE_LIMIT_REGISTER_PER_IP = '2';
+process.env.RATE_LIMIT_BLOCK_AFTER = '2';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, request } = helpers;
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('rate limiting', () => {
+  before(async () => {
+    await helpers.startServer();
+    helpers.resetState();
+  });
+  after(helpers.stopServer);
+  
+  it('answers 429 with Retry-After once an IP goes over the register limit', async () => {
+    await helpers.registerAffiliate();
+    await helpers.registerAffiliate();
+    
+    const response = await request('POST', '/register', { body: { name: 'Third', email: 'third@example.com' } });
+    
+    assert.equal(response.status, 429);
+    assert.equal(response.body.error.code, 'rate_limited');
+    assert.ok(Number(response.headers.get('retry-after')) > 0);
+    await assert.rejects(storage.auth.getUserByEmail('third@example.com'));
+  });
+  
+  it('blocks an IP that keeps going over the limit and logs the block', async () => {
+    const refCode = 'unknown-code';
+    const statuses = [];
+    
+    // Two windows over the limit make two offences
+    for (let window = 0; window < 2; window++) {
+      for (let i = 0; i < 4; i++) {
+        statuses.push((await request('POST', '/click', { body: { refCode } })).status);
+      }
+      await wait(1100);
+    }
+    
+    assert.deepEqual(statuses, [404, 404, 404, 429, 404, 404, 404, 429]);
+    
+    // The window has reset, but the block hasn't
+    const blocked = await request('POST', '/click', { body: { refCode } });
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get('retry-after')) > 60);
+    
+    const blocksSnapshot = await storage.repos.rateLimitBlocks.collection.get();
+    assert.equal(blocksSnapshot.size, 1);
+    
+    const block = blocksSnapshot.docs[0].data();
+    assert.equal(block.limiter, 'click');
+    assert.equal(block.keyType, 'ip');
+    assert.notEqual(block.subject, '127.0.0.1', 'IP addresses are only logged hashed');
+    
+    const admin = await storage.auth.createUser({ email: 'admin@example.com' });
+    const response = await request('GET', '/admin/rate-limit-blocks', { token: await helpers.signIn(admin.uid, { admin: true }) });
+    
+    assert.equal(response.status, 200);
+    assert.equal(response.body.blocks.length, 1);
+    assert.equal(response.body.blocks[0].active, true);
+  });
+  
+  it('keeps clicks over a refCode limit without counting them, and never blocks the refCode', async () => {
+    // Each visitor comes from their own address, so only the refCode limit applies
+    const fromIp = ip => ({ 'X-Forwarded-For': ip });
+    const registered = await request('POST', '/register', {
+      body: { name: 'Busy Affiliate', email: 'busy@example.com' },
+      headers: fromIp('203.0.113.1')
+    });
+    const linksSnapshot = await storage.repos.referralLinks.byAffiliate(registered.body.userId).get();
+    const refCode = linksSnapshot.docs[0].data().refCode;
+    const results = [];
+    
+    for (let window = 0; window < 3; window++) {
+      for (let i = 0; i < 3; i++) {
+        const response = await request('POST', '/click', { body: { refCode }, headers: fromIp(`198.51.100.${window * 10 + i}`) });
+        results.push([response.status, response.body.counted]);
+      }
+      await wait(1100);
+    }
+    
+    const overLimit = [200, false];
+    assert.deepEqual(results, [[200, true], [200, true], overLimit, [200, true], [200, true], overLimit, [200, true], [200, true], overLimit]);
+    
+    const redirect = await request('GET', `/r/${refCode}`, { headers: fromIp('198.51.100.99') });
+    assert.equal(redirect.status, 302);
+    assert.match(redirect.headers.get('location'), /click_id=/);
+    
+    const clicksSnapshot = await storage.repos.clicks.collection.where('refCode', '==', refCode).get();
+    assert.equal(clicksSnapshot.size, 10);
+    assert.equal(clicksSnapshot.docs.filter(doc => doc.data().flags.includes('rate_limited')).length, 3);
+    
+    const blocksSnapshot = await storage.repos.rateLimitBlocks.collection.where('keyType', '==', 'refCode').get();
+    assert.equal(blocksSnapshot.size, 0);
+  });
+});
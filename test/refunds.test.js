@@ -0,0 +1,165 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, sentEmails, request, statsDate, monthStartDate } = helpers;
+
+describe('booking refunds', () => {
+  let recruiter;
+  let affiliate;
+  let adminToken;
+  
+  helpers.useServer();
+  
+  beforeEach(async () => {
+    recruiter = await helpers.registerAffiliate({ name: 'Wanjiru Tours' });
+    affiliate = await helpers.registerAffiliate({ name: 'Baraka Blogs', email: 'baraka@example.com', recruiterCode: recruiter.link.refCode });
+    
+    adminToken = await helpers.registerAdmin();
+    
+    await helpers.deliverEmails();
+    sentEmails.length = 0;
+  });
+  
+  function convert(body) {
+    return helpers.convert(affiliate, { purchaseAmount: 1000, packageName: 'Amboseli 2 Days', ...body });
+  }
+  
+  function refund(bookingId, body) {
+    return request('POST', `/admin/bookings/${bookingId}/refund`, { token: adminToken, body });
+  }
+  
+  async function earningsFor(conversionId, affiliateId) {
+    const snapshot = await storage.repos.earnings.forConversion(conversionId, affiliateId).get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+  
+  it('recomputes the commission on a partial refund and reverses the difference', async () => {
+    const { body } = await convert({ bookingId: 'booking-1' });
+    
+    const response = await refund('booking-1', { amount: 400, reason: 'Two guests dropped out' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'pending');
+    assert.equal(response.body.clawback, 40);
+    assert.equal(response.body.commissionAmount, 60);
+    
+    const conversion = await helpers.getDocument(storage.repos.conversions.ref(body.conversionId));
+    assert.equal(conversion.refundedAmount, 400);
+    assert.equal(conversion.commissionBeforeRefunds, 100);
+    assert.equal(conversion.overrideCommissionAmount, 12);
+    assert.equal(conversion.refunds[0].reason, 'Two guests dropped out');
+    
+    assert.equal((await helpers.getBalance(affiliate.affiliateId)).pending, 60);
+    assert.equal((await helpers.getBalance(recruiter.affiliateId)).pending, 12);
+    
+    const clawback = (await earningsFor(body.conversionId, affiliate.affiliateId)).find(item => item.status === 'clawback');
+    assert.equal(clawback.amount, -40);
+    assert.equal(clawback.bookingId, 'booking-1');
+    assert.match(clawback.description, /Two guests dropped out/);
+    
+    const link = await helpers.getDocument(storage.repos.referralLinks.ref(affiliate.link.id));
+    assert.equal(link.conversions, 1);
+    assert.equal(link.earnings, 60);
+    
+    const daily = await helpers.getDocument(storage.repos.stats.daily(affiliate.affiliateId, statsDate()));
+    assert.equal(daily.conversions, 1);
+    assert.equal(daily.earnings, 60);
+    
+    // Approval moves what's left of the commission
+    await request('POST', `/admin/conversions/${body.conversionId}/approve`, { token: adminToken });
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.equal(balance.available, 60);
+    assert.equal(balance.pending, 0);
+  });
+  
+  it('takes back approved commission in full when the signed webhook cancels the booking', async () => {
+    const { body } = await convert({ bookingId: 'booking-1' });
+    await request('POST', `/admin/conversions/${body.conversionId}/approve`, { token: adminToken });
+    
+    const response = await helpers.bookingEvent({ event: 'booking.cancelled', bookingId: 'booking-1', reason: 'Flights cancelled' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'refunded');
+    assert.equal(response.body.clawback, 100);
+    
+    const balance = await helpers.getBalance(affiliate.affiliateId);
+    assert.equal(balance.available, 0);
+    assert.equal(balance.pending, 0);
+    assert.equal((await helpers.getBalance(recruiter.affiliateId)).available, 0);
+    
+    const link = await helpers.getDocument(storage.repos.referralLinks.ref(affiliate.link.id));
+    assert.equal(link.conversions, 0);
+    assert.equal(link.earnings, 0);
+    
+    const monthly = await helpers.getDocument(storage.repos.stats.monthly(affiliate.affiliateId, monthStartDate()));
+    assert.equal(monthly.amount, 0);
+    assert.equal(monthly.count, 0);
+    
+    const performance = await helpers.getDocument(storage.repos.stats.link(affiliate.link.id, statsDate()));
+    assert.equal(performance.conversions, 0);
+    
+    const recruiterDaily = await helpers.getDocument(storage.repos.stats.daily(recruiter.affiliateId, statsDate()));
+    assert.equal(recruiterDaily.earnings, 0);
+    
+    const again = await refund('booking-1', { reason: 'Again' });
+    assert.equal(again.status, 409);
+  });
+  
+  it('lists fully refunded conversions for admins', async () => {
+    const { body } = await convert({ bookingId: 'booking-1' });
+    await convert({ bookingId: 'booking-2' });
+    await refund('booking-1', { reason: 'Trip cancelled' });
+    
+    const response = await request('GET', '/admin/conversions?status=refunded', { token: adminToken });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.conversions.map(conversion => conversion.id), [body.conversionId]);
+  });
+  
+  it('applies a webhook refund once however often it is sent', async () => {
+    await convert({ bookingId: 'booking-1' });
+    const payload = { event: 'booking.refunded', bookingId: 'booking-1', refundAmount: 250, refundId: 're_1' };
+    
+    await helpers.bookingEvent(payload);
+    const retry = await helpers.bookingEvent(payload);
+    
+    assert.equal(retry.body.duplicate, true);
+    assert.equal((await helpers.getBalance(affiliate.affiliateId)).pending, 75);
+  });
+  
+  it('rejects a webhook refund that does not say how much was refunded', async () => {
+    await convert({ bookingId: 'booking-1' });
+    
+    const response = await helpers.bookingEvent({ event: 'booking.refunded', bookingId: 'booking-1', refundId: 're_1' });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.details[0].field, 'body.refundAmount');
+    
+    assert.equal((await helpers.getBalance(affiliate.affiliateId)).pending, 100);
+  });
+  
+  it('tells the affiliate why their commission changed', async () => {
+    await convert({ bookingId: 'booking-1' });
+    await helpers.deliverEmails();
+    sentEmails.length = 0;
+    
+    await refund('booking-1', { amount: 500, reason: 'Shortened to one day' });
+    await helpers.deliverEmails();
+    
+    const email = sentEmails.find(item => item.to === 'baraka@example.com');
+    assert.equal(email.subject, 'Commission Adjusted - KenyaOnABudget Safaris');
+    assert.match(email.text, /Shortened to one day/);
+    assert.match(email.text, /£50\.00/);
+  });
+  
+  it('rejects refunds it cannot apply', async () => {
+    await convert({ bookingId: 'booking-1' });
+    
+    const tooMuch = await refund('booking-1', { amount: 1500, reason: 'Typo' });
+    assert.equal(tooMuch.status, 400);
+    
+    const unknown = await refund('booking-unknown', { reason: 'Cancelled' });
+    assert.equal(unknown.status, 404);
+    
+    const noReason = await refund('booking-1', { amount: 100 });
+    assert.equal(noReason.status, 400);
+    assert.equal(noReason.body.error.details[0].field, 'body.reason');
+  });
+});
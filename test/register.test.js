@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, sentEmails, request } = helpers;
+
+describe('POST /register', () => {
+  helpers.useServer();
+  
+  it('creates the auth user, affiliate profile, referral links and an empty balance', async () => {
+    const response = await request('POST', '/register', {
+      body: { name: 'Amani Traveller', email: 'amani@example.com', website: 'amani.blog' }
+    });
+    
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.status, 'active');
+    
+    const affiliateId = response.body.userId;
+    const user = await storage.auth.getUser(affiliateId);
+    assert.equal(user.email, 'amani@example.com');
+    assert.equal(user.displayName, 'Amani Traveller');
+    
+    const affiliate = await helpers.getDocument(storage.repos.affiliates.ref(affiliateId));
+    assert.equal(affiliate.name, 'Amani Traveller');
+    assert.equal(affiliate.website, 'amani.blog');
+    assert.equal(affiliate.status, 'active');
+    assert.equal(affiliate.passwordSet, false);
+    
+    const linksSnapshot = await storage.repos.referralLinks.byAffiliate(affiliateId).get();
+    assert.ok(linksSnapshot.size > 0);
+    linksSnapshot.docs.forEach(doc => {
+      assert.equal(doc.data().status, 'active');
+      assert.equal(doc.data().clicks, 0);
+    });
+    
+    const balance = await helpers.getBalance(affiliateId);
+    assert.deepEqual(
+      { available: balance.available, pending: balance.pending, processing: balance.processing, paid: balance.paid },
+      { available: 0, pending: 0, processing: 0, paid: 0 }
+    );
+  });
+  
+  it('sends the welcome email with a password setup link and notifies the admins', async () => {
+    await request('POST', '/register', { body: { name: 'Amani Traveller', email: 'amani@example.com' } });
+    await helpers.deliverEmails();
+    
+    const welcome = sentEmails.find(email => email.to === 'amani@example.com');
+    assert.ok(welcome, 'welcome email sent to the affiliate');
+    assert.equal(welcome.subject, 'Welcome to KenyaOnABudget Affiliate Program!');
+    assert.equal(welcome.from, '"Kenya on a Budget Safaris" <affiliates@example.com>');
+    assert.match(welcome.html, /Amani Traveller/);
+    assert.match(welcome.html, /mode=resetPassword/);
+    
+    const adminEmails = sentEmails.filter(email => email.subject === 'New Affiliate Registration - KenyaOnABudget Safaris');
+    assert.ok(adminEmails.length > 0, 'admins notified');
+    adminEmails.forEach(email => assert.match(email.html, /amani@example\.com/));
+  });
+  
+  it('never takes a password, so every affiliate sets theirs through the setup link', async () => {
+    const createUser = storage.auth.createUser;
+    const created = [];
+    storage.auth.createUser = properties => {
+      created.push(properties);
+      return createUser(properties);
+    };
+    
+    try {
+      await request('POST', '/register', {
+        body: { name: 'Amani Traveller', email: 'amani@example.com', password: 'correct horse battery' }
+      });
+    } finally {
+      storage.auth.createUser = createUser;
+    }
+    await helpers.deliverEmails();
+    
+    assert.equal(created.length, 1);
+    assert.equal(created[0].password, undefined);
+    
+    const welcome = sentEmails.find(email => email.to === 'amani@example.com');
+    assert.match(welcome.html, /mode=resetPassword/);
+  });
+  
+  it('rejects an email that is already registered', async () => {
+    await request('POST', '/register', { body: { name: 'First', email: 'amani@example.com' } });
+    const response = await request('POST', '/register', { body: { name: 'Second', email: 'amani@example.com' } });
+    
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'email_already_registered');
+  });
+  
+  it('refuses an admin address', async () => {
+    const response = await request('POST', '/register', { body: { name: 'Admin', email: 'Info@KenyaOnABudgetSafaris.co.uk' } });
+    await helpers.deliverEmails();
+    
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.error.details.map(detail => detail.field), ['body.email']);
+    assert.equal(sentEmails.length, 0);
+  });
+  
+  it('only treats an admin address as an admin once it is verified', async () => {
+    const user = await storage.auth.createUser({ email: 'info@kenyaonabudgetsafaris.co.uk' });
+    const token = await helpers.signIn(user.uid);
+    
+    assert.equal((await request('GET', '/admin/affiliates', { token })).status, 403);
+    
+    await storage.auth.updateUser(user.uid, { emailVerified: true });
+    assert.equal((await request('GET', '/admin/affiliates', { token })).status, 200);
+  });
+  
+  it('lists every invalid field', async () => {
+    const response = await request('POST', '/register', { body: { email: 'not-an-email', language: 'xx' } });
+    await helpers.deliverEmails();
+    
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'validation_failed');
+    
+    const fields = response.body.error.details.map(detail => detail.field).sort();
+    assert.deepEqual(fields, ['body.email', 'body.language', 'body.name']);
+    assert.equal(sentEmails.length, 0);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+const { storage, request, statsDate, monthStartDate } = helpers;
+
+describe('sub-affiliates and override commission', () => {
+  let recruiter;
+  let recruit;
+  let adminToken;
+  
+  helpers.useServer();
+  
+  beforeEach(async () => {
+    recruiter = await helpers.registerAffiliate({ name: 'Wanjiru Tours' });
+    recruit = await helpers.registerAffiliate({ name: 'Baraka Blogs', recruiterCode: recruiter.link.refCode });
+    
+    adminToken = await helpers.registerAdmin();
+  });
+  
+  function convert(affiliate, body) {
+    return helpers.convert(affiliate, { purchaseAmount: 1000, packageName: 'Amboseli 2 Days', ...body });
+  }
+  
+  async function earningsFor(conversionId, affiliateId) {
+    const snapshot = await storage.repos.earnings.forConversion(conversionId, affiliateId).get();
+    return snapshot.empty ? null : snapshot.docs[0].data();
+  }
+  
+  it('records the recruiter when an affiliate registers with their code', async () => {
+    const profile = await helpers.getDocument(storage.repos.affiliates.ref(recruit.affiliateId));
+    assert.equal(profile.parentAffiliateId, recruiter.affiliateId);
+    assert.equal(profile.recruiterCode, recruiter.link.refCode);
+    
+    const response = await request('POST', '/register', {
+      body: { name: 'Nobody', email: 'nobody@example.com', recruiterCode: 'no-such-code' }
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.details[0].field, 'body.recruiterCode');
+    
+    // Nothing is created for a rejected registration
+    await assert.rejects(storage.auth.getUserByEmail('nobody@example.com'));
+  });
+  
+  it('credits the recruiter an override through the balance, earnings and stats', async () => {
+    const response = await convert(recruit, { bookingId: 'booking-1' });
+    const conversionId = response.body.conversionId;
+    
+    const conversion = await helpers.getDocument(storage.repos.conversions.ref(conversionId));
+    assert.equal(conversion.commissionAmount, 100);
+    assert.equal(conversion.parentAffiliateId, recruiter.affiliateId);
+    assert.equal(conversion.overrideCommissionRate, 0.02);
+    assert.equal(conversion.overrideCommissionAmount, 20);
+    
+    assert.equal((await helpers.getBalance(recruit.affiliateId)).pending, 100);
+    assert.equal((await helpers.getBalance(recruiter.affiliateId)).pending, 20);
+    
+    const earnings = await earningsFor(conversionId, recruiter.affiliateId);
+    assert.equal(earnings.amount, 20);
+    assert.equal(earnings.source, 'Team override');
+    assert.equal(earnings.subAffiliateId, recruit.affiliateId);
+    assert.equal((await earningsFor(conversionId, recruit.affiliateId)).amount, 100);
+    
+    // Earnings for the recruiter, but not one of their conversions
+    const daily = await helpers.getDocument(storage.repos.stats.daily(recruiter.affiliateId, statsDate()));
+    assert.equal(daily.earnings, 20);
+    assert.equal(daily.conversions, 0);
+    
+    const monthly = await helpers.getDocument(storage.repos.stats.monthly(recruiter.affiliateId, monthStartDate()));
+    assert.equal(monthly.amount, 20);
+    assert.equal(monthly.count, 0);
+  });
+  
+  it('only pays the recruiter one level up', async () => {
+    const subRecruit = await helpers.registerAffiliate({ name: 'Third Tier', recruiterCode: recruit.link.refCode });
+    
+    await convert(subRecruit, { bookingId: 'booking-1' });
+    
+    assert.equal((await helpers.getBalance(recruit.affiliateId)).pending, 20);
+    assert.equal((await helpers.getBalance(recruiter.affiliateId)).pending, 0);
+  });
+  
+  it('moves the override with the approval or rejection of the sale', async () => {
+    const approved = await convert(recruit, { bookingId: 'booking-1' });
+    const rejected = await convert(recruit, { bookingId: 'booking-2', purchaseAmount: 500 });
+    
+    await request('POST', `/admin/conversions/${approved.body.conversionId}/approve`, { token: adminToken });
+    await request('POST', `/admin/conversions/${rejected.body.conversionId}/reject`, { token: adminToken, body: { reason: 'Cancelled' } });
+    
+    const balance = await helpers.getBalance(recruiter.affiliateId);
+    assert.equal(balance.available, 20);
+    assert.equal(balance.pending, 0);
+    
+    assert.equal((await earningsFor(approved.body.conversionId, recruiter.affiliateId)).status, 'approved');
+    assert.equal((await earningsFor(rejected.body.conversionId, recruiter.affiliateId)).status, 'rejected');
+    
+    const daily = await helpers.getDocument(storage.repos.stats.daily(recruiter.affiliateId, statsDate()));
+    assert.equal(daily.earnings, 20);
+  });
+  
+  it('lists recruits and override earnings in the dashboard team section', async () => {
+    const first = await convert(recruit, { bookingId: 'booking-1' });
+    await convert(recruit, { bookingId: 'booking-2', purchaseAmount: 500 });
+    await request('POST', `/admin/conversions/${first.body.conversionId}/approve`, { token: adminToken });
+    
+    const token = await helpers.signIn(recruiter.affiliateId);
+    const dashboard = await request('GET', '/dashboard', { token });
+    
+    assert.equal(dashboard.status, 200);
+    assert.equal(dashboard.body.team.recruitCount, 1);
+    assert.equal(dashboard.body.team.overrideEarnings, 30);
+    assert.equal(dashboard.body.team.pendingOverrideEarnings, 10);
+    assert.deepEqual(
+      dashboard.body.team.recruits.map(item => [item.name, item.conversions, item.overrideEarnings]),
+      [['Baraka Blogs', 2, 30]]
+    );
+  });
+});
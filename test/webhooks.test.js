@@ -0,0 +1,247 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const axios = require('axios');
+const helpers = require('./helpers');
+const { createWebhookDispatcher, isPrivateHost } = require('../webhooks/dispatcher');
+
+const { storage, request } = helpers;
+
+describe('outbound webhooks', () => {
+  let receiver;
+  let receiverUrl;
+  let received;
+  let responses;
+  let affiliate;
+  let affiliateToken;
+  let adminToken;
+  
+  helpers.useServer();
+  
+  // A stand-in for the affiliate's system: records what it's sent and answers with the
+  // queued status codes, or 200 once they run out
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responses.shift() || 200, { 'Content-Type': 'text/plain' });
+        res.end('ok');
+      });
+    });
+    receiver.listen(0, '127.0.0.1');
+    await new Promise(resolve => receiver.once('listening', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+  
+  after(async () => {
+    receiver.closeAllConnections();
+    await new Promise(resolve => receiver.close(resolve));
+  });
+  
+  beforeEach(async () => {
+    received = [];
+    responses = [];
+    
+    affiliate = await helpers.registerAffiliate({ name: 'Wanjiru Tours', email: 'wanjiru@example.com' });
+    affiliateToken = await helpers.signIn(affiliate.affiliateId);
+    
+    adminToken = await helpers.registerAdmin();
+  });
+  
+  function createWebhook(body) {
+    return request('POST', '/webhook-endpoints', { token: affiliateToken, body: { url: receiverUrl, ...body } });
+  }
+  
+  function verifySignature(delivery, secret) {
+    const timestamp = delivery.headers['x-webhook-timestamp'];
+    const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${delivery.body}`).digest('hex');
+    
+    return delivery.headers['x-webhook-signature'] === expected;
+  }
+  
+  async function deliveriesFor(webhookId) {
+    const snapshot = await storage.db.collection('webhookDeliveries').where('webhookId', '==', webhookId).get();
+    return snapshot.docs;
+  }
+  
+  it('shows the signing secret only when the webhook is created', async () => {
+    const created = await createWebhook({ description: 'Bookings sheet' });
+    
+    assert.equal(created.status, 200);
+    assert.match(created.body.endpoint.secret, /^whsec_[0-9a-f]{48}$/);
+    assert.deepEqual(created.body.endpoint.events, ['click.recorded', 'conversion.created', 'conversion.approved', 'conversion.rejected', 'payout.paid']);
+    
+    const list = await request('GET', '/webhook-endpoints', { token: affiliateToken });
+    assert.equal(list.body.endpoints.length, 1);
+    assert.equal(list.body.endpoints[0].secret, undefined);
+    assert.equal(list.body.endpoints[0].secretHint, `whsec_...${created.body.endpoint.secret.slice(-4)}`);
+    
+    const badUrl = await createWebhook({ url: 'not a url' });
+    assert.equal(badUrl.status, 400);
+    
+    const badEvent = await createWebhook({ events: ['booking.created'] });
+    assert.equal(badEvent.status, 400);
+    assert.equal(badEvent.body.error.details[0].field, 'body.events');
+  });
+  
+  it('posts signed click and conversion events without customer details', async () => {
+    const { body } = await createWebhook();
+    const secret = body.endpoint.secret;
+    
+    await request('POST', '/click', { body: { refCode: affiliate.link.refCode, visitorId: 'visitor-1' } });
+    const conversion = await helpers.convert(affiliate, { bookingId: 'booking-1', customerEmail: 'guest@example.com' });
+    await helpers.deliverWebhooks();
+    
+    assert.deepEqual(received.map(item => item.headers['x-webhook-event']), ['click.recorded', 'conversion.created']);
+    received.forEach(item => assert.ok(verifySignature(item, secret)));
+    
+    const event = JSON.parse(received[1].body);
+    assert.match(event.id, /^evt_/);
+    assert.equal(event.event, 'conversion.created');
+    assert.equal(event.affiliateId, affiliate.affiliateId);
+    assert.equal(event.data.conversionId, conversion.body.conversionId);
+    assert.equal(event.data.commissionAmount, 120);
+    assert.equal(event.data.bookingId, 'booking-1');
+    assert.doesNotMatch(received[1].body, /guest@example\.com/);
+  });
+  
+  it('only sends the events a webhook subscribes to', async () => {
+    await createWebhook({ events: ['conversion.approved', 'conversion.rejected', 'payout.paid'] });
+    
+    const first = await helpers.convert(affiliate, { bookingId: 'booking-1' });
+    const second = await helpers.convert(affiliate, { bookingId: 'booking-2' });
+    await request('POST', `/admin/conversions/${first.body.conversionId}/approve`, { token: adminToken });
+    await request('POST', `/admin/conversions/${second.body.conversionId}/reject`, { token: adminToken, body: { reason: 'Cancelled' } });
+    
+    const payout = await request('POST', '/payouts', { token: affiliateToken, body: { amount: 60 } });
+    await request('POST', `/admin/payouts/${payout.body.payoutId}/approve`, { token: adminToken, body: {} });
+    await request('POST', `/admin/payouts/${payout.body.payoutId}/paid`, { token: adminToken, body: { transactionReference: 'TX-1' } });
+    await helpers.deliverWebhooks();
+    
+    const events = received.map(item => JSON.parse(item.body));
+    assert.deepEqual(events.map(event => event.event).sort(), ['conversion.approved', 'conversion.rejected', 'payout.paid']);
+    assert.equal(events.find(event => event.event === 'conversion.rejected').data.rejectionReason, 'Cancelled');
+    assert.equal(events.find(event => event.event === 'payout.paid').data.transactionReference, 'TX-1');
+  });
+  
+  it('retries a failed delivery with backoff and logs every attempt', async () => {
+    const { body } = await createWebhook({ events: ['conversion.created'] });
+    responses.push(500);
+    
+    await helpers.convert(affiliate, { bookingId: 'booking-1' });
+    await helpers.deliverWebhooks();
+    
+    let [delivery] = await deliveriesFor(body.endpoint.id);
+    assert.equal(delivery.data().status, 'queued');
+    assert.equal(delivery.data().attempts, 1);
+    assert.equal(delivery.data().lastStatusCode, 500);
+    assert.ok(delivery.data().nextAttemptAt.toMillis() > Date.now());
+    
+    // Not due yet
+    await helpers.deliverWebhooks();
+    assert.equal(received.length, 1);
+    
+    await delivery.ref.update({ nextAttemptAt: new Date(Date.now() - 1000) });
+    await helpers.deliverWebhooks();
+    
+    [delivery] = await deliveriesFor(body.endpoint.id);
+    assert.equal(delivery.data().status, 'delivered');
+    assert.equal(received.length, 2);
+    // Each attempt is signed afresh, but it's the same event
+    assert.equal(received[0].body, received[1].body);
+    
+    const detail = await request('GET', `/webhook-deliveries/${delivery.id}`, { token: affiliateToken });
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.delivery.payload.event, 'conversion.created');
+    assert.deepEqual(detail.body.attempts.map(attempt => [attempt.attempt, attempt.status, attempt.statusCode]), [
+      [1, 'error', 500],
+      [2, 'delivered', 200]
+    ]);
+    // What the endpoint answered stays with the endpoint
+    assert.equal(detail.body.attempts[0].responseBody, undefined);
+  });
+  
+  it('replays a delivery to its owner only', async () => {
+    const { body } = await createWebhook({ events: ['conversion.created'] });
+    await helpers.convert(affiliate, { bookingId: 'booking-1' });
+    await helpers.deliverWebhooks();
+    
+    const list = await request('GET', '/webhook-deliveries?status=delivered', { token: affiliateToken });
+    assert.equal(list.body.deliveries.length, 1);
+    assert.equal(list.body.deliveries[0].payload, undefined);
+    const deliveryId = list.body.deliveries[0].id;
+    
+    const other = await helpers.registerAffiliate({ name: 'Other Affiliate' });
+    const otherToken = await helpers.signIn(other.affiliateId);
+    const forbidden = await request('POST', `/webhook-deliveries/${deliveryId}/replay`, { token: otherToken });
+    assert.equal(forbidden.status, 404);
+    
+    const replay = await request('POST', `/webhook-deliveries/${deliveryId}/replay`, { token: affiliateToken });
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.replayOf, deliveryId);
+    await helpers.deliverWebhooks();
+    
+    assert.equal(received.length, 2);
+    assert.equal(JSON.parse(received[0].body).id, JSON.parse(received[1].body).id);
+    assert.equal((await deliveriesFor(body.endpoint.id)).length, 2);
+  });
+  
+  it('refuses to post to an address inside our network, however it is named', async () => {
+    // Checked like production, with every name resolving to the receiver on this machine
+    const dispatcher = createWebhookDispatcher({
+      db: storage.db,
+      FieldValue: storage.FieldValue,
+      httpClient: axios,
+      maxAttempts: 1,
+      resolveHost: (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }])
+    });
+    const port = new URL(receiverUrl).port;
+    
+    const named = await createWebhook({ events: ['conversion.created'] });
+    const literal = await createWebhook({ events: ['conversion.created'] });
+    await dispatcher.endpoints.doc(named.body.endpoint.id).update({ url: `http://hooks.example.com:${port}/hooks` });
+    await dispatcher.endpoints.doc(literal.body.endpoint.id).update({ url: `http://127.0.0.1:${port}/hooks` });
+    
+    await helpers.convert(affiliate, { bookingId: 'booking-1' });
+    await dispatcher.process();
+    
+    assert.equal(received.length, 0);
+    
+    const [namedDelivery] = await deliveriesFor(named.body.endpoint.id);
+    assert.equal(namedDelivery.data().status, 'failed');
+    assert.match(namedDelivery.data().lastError, /resolves to a private address/);
+    
+    const [literalDelivery] = await deliveriesFor(literal.body.endpoint.id);
+    assert.equal(literalDelivery.data().status, 'failed');
+    assert.match(literalDelivery.data().lastError, /private address/);
+  });
+  
+  it('treats every reserved range as private, and IPv4 inside IPv6 like the IPv4 address', () => {
+    const blocked = [
+      '10.0.0.1', '169.254.169.254', '192.0.0.8', '198.18.0.1', '224.0.0.1', '255.255.255.255',
+      '::1', '[::ffff:7f00:1]', '::ffff:10.0.0.1', '::127.0.0.1', '64:ff9b::a9fe:a9fe', 'fe80::1', 'fd00::1', 'ff02::1'
+    ];
+    const allowed = ['1.1.1.1', '::ffff:8.8.8.8', '[::ffff:808:808]', '64:ff9b::808:808', '2606:4700::1111', 'hooks.example.com'];
+    
+    blocked.forEach(host => assert.equal(isPrivateHost(host), true, host));
+    allowed.forEach(host => assert.equal(isPrivateHost(host), false, host));
+  });
+  
+  it('stops sending to a webhook once it is removed', async () => {
+    const { body } = await createWebhook({ events: ['conversion.created'] });
+    await helpers.convert(affiliate, { bookingId: 'booking-1' });
+    
+    const removed = await request('DELETE', `/webhook-endpoints/${body.endpoint.id}`, { token: affiliateToken });
+    assert.equal(removed.status, 200);
+    await helpers.deliverWebhooks();
+    
+    assert.equal(received.length, 0);
+    const [delivery] = await deliveriesFor(body.endpoint.id);
+    assert.equal(delivery.data().status, 'failed');
+  });
+});
@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+
+// Outbound webhooks. Affiliates register endpoints in affiliateWebhooks; each event raised for
+// an affiliate becomes one webhookDeliveries document per subscribed endpoint, which a worker
+// POSTs as signed JSON, retrying failures with exponential backoff. Every attempt is logged to
+// webhookAttempts. Only the status code of each answer is kept: the endpoint is chosen by the
+// affiliate, so whatever it sends back is theirs to see elsewhere.
+
+const ENDPOINTS_COLLECTION = 'affiliateWebhooks';
+const DELIVERIES_COLLECTION = 'webhookDeliveries';
+const ATTEMPTS_COLLECTION = 'webhookAttempts';
+const BATCH_SIZE = 20;
+
+// Same scheme as the booking webhooks we receive: HMAC-SHA256 of "<timestamp>.<body>"
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function generateSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+// Addresses a webhook may not be sent to: loopback, private, link-local (cloud metadata),
+// shared, reserved, documentation, benchmarking, multicast and broadcast ranges. IPv6 addresses
+// that carry an IPv4 address are checked against the IPv4 list instead. Kept as two lists, since
+// a BlockList also matches IPv4 addresses against IPv6 rules in their ::ffff: form.
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_IPV4.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 23], ['2001:db8::', 32], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_IPV6.addSubnet(network, prefix, 'ipv6'));
+
+// The eight 16-bit groups of an IPv6 address, including one written with a dotted IPv4 tail
+function parseIPv6(address) {
+  const toGroups = part => (part ? part.split(':') : []).flatMap(group => {
+    if (!group.includes('.')) return [parseInt(group, 16)];
+    
+    const [a, b, c, d] = group.split('.').map(Number);
+    return [a * 256 + b, c * 256 + d];
+  });
+  
+  const [head, tail] = address.split('::').map(toGroups);
+  if (!tail) return head;
+  
+  return [...head, ...new Array(8 - head.length - tail.length).fill(0), ...tail];
+}
+
+// The IPv4 address inside an IPv4-mapped (::ffff:a.b.c.d), IPv4-compatible (::a.b.c.d) or
+// NAT64 (64:ff9b::a.b.c.d) IPv6 address, which is where a connection to it really goes
+function embeddedIPv4(address) {
+  const groups = parseIPv6(address);
+  const prefix = groups.slice(0, 6).map(group => group.toString(16)).join(':');
+  
+  if (!['0:0:0:0:0:ffff', '0:0:0:0:0:0', '64:ff9b:0:0:0:0'].includes(prefix)) return null;
+  
+  return [groups[6] >> 8, groups[6] & 255, groups[7] >> 8, groups[7] & 255].join('.');
+}
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase().split('%')[0];
+  
+  if (host === 'localhost' || /\.(localhost|local|internal)$/.test(host)) return true;
+  
+  if (net.isIPv4(host)) return BLOCKED_IPV4.check(host, 'ipv4');
+  
+  if (net.isIPv6(host)) {
+    const ipv4 = embeddedIPv4(host);
+    return ipv4 ? BLOCKED_IPV4.check(ipv4, 'ipv4') : BLOCKED_IPV6.check(host, 'ipv6');
+  }
+  
+  return false;
+}
+
+function createWebhookDispatcher({ db, FieldValue, httpClient, maxAttempts = 6, retryBaseSeconds = 30, pollSeconds = 15, timeoutSeconds = 10, allowPrivateAddresses = false, resolveHost = dns.lookup }) {
+  const endpointsCollection = db.collection(ENDPOINTS_COLLECTION);
+  const deliveriesCollection = db.collection(DELIVERIES_COLLECTION);
+  const attemptsCollection = db.collection(ATTEMPTS_COLLECTION);
+  let timer = null;
+  let running = null;
+  
+  function queueDelivery(endpointId, endpoint, event, payload, replayOf) {
+    return deliveriesCollection.add({
+      webhookId: endpointId,
+      affiliateId: endpoint.affiliateId,
+      url: endpoint.url,
+      event: event,
+      eventId: JSON.parse(payload).id,
+      payload: payload,
+      status: 'queued',
+      attempts: 0,
+      lastStatusCode: null,
+      lastError: null,
+      replayOf: replayOf || null,
+      nextAttemptAt: new Date(),
+      createdAt: FieldValue.serverTimestamp()
+    });
+  }
+  
+  // Queues the event for every active endpoint of the affiliate that subscribes to it
+  async function dispatch(affiliateId, event, data) {
+    const endpointsSnapshot = await endpointsCollection
+      .where('affiliateId', '==', affiliateId)
+      .where('active', '==', true)
+      .get();
+    
+    const endpoints = endpointsSnapshot.docs.filter(doc => (doc.data().events || []).includes(event));
+    if (endpoints.length === 0) return 0;
+    
+    // The body is fixed now so that every attempt, and any replay, sends the same bytes
+    const payload = JSON.stringify({
+      id: 'evt_' + crypto.randomBytes(12).toString('hex'),
+      event: event,
+      createdAt: new Date().toISOString(),
+      affiliateId: affiliateId,
+      data: data
+    });
+    
+    for (const endpointDoc of endpoints) {
+      await queueDelivery(endpointDoc.id, endpointDoc.data(), event, payload);
+    }
+    
+    if (timer) setImmediate(processInBackground);
+    
+    return endpoints.length;
+  }
+  
+  // Queues a fresh copy of a delivery, keeping the original and its attempts as they are
+  async function replay(deliveryId) {
+    const deliveryDoc = await deliveriesCollection.doc(deliveryId).get();
+    if (!deliveryDoc.exists) return null;
+    
+    const delivery = deliveryDoc.data();
+    const endpointDoc = await endpointsCollection.doc(delivery.webhookId).get();
+    if (!endpointDoc.exists) return null;
+    
+    const ref = await queueDelivery(endpointDoc.id, endpointDoc.data(), delivery.event, delivery.payload, deliveryId);
+    
+    if (timer) setImmediate(processInBackground);
+    
+    return { id: ref.id, status: 'queued' };
+  }
+  
+  // Claims a due delivery so that only one worker sends it. One left in 'sending' by a worker
+  // that died becomes due again well after the request would have timed out.
+  async function claim(ref) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return null;
+      
+      const delivery = doc.data();
+      const due = delivery.nextAttemptAt && delivery.nextAttemptAt.toMillis() <= Date.now();
+      
+      if (!['queued', 'sending'].includes(delivery.status) || !due) return null;
+      
+      const attempts = (delivery.attempts || 0) + 1;
+      transaction.update(ref, {
+        status: 'sending',
+        attempts,
+        nextAttemptAt: new Date(Date.now() + timeoutSeconds * 3 * 1000)
+      });
+      
+      return { ...delivery, attempts };
+    });
+  }
+  
+  // Resolves the endpoint's host as each request is made and connects to the address that was
+  // checked, so a name that resolves (or is later re-pointed) inside our network is refused
+  function lookupPublicAddress(hostname, options, callback) {
+    resolveHost(hostname, { all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      
+      if (addresses.length === 0 || addresses.some(entry => isPrivateHost(entry.address))) {
+        return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+      }
+      
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+  
+  async function send(delivery, endpoint, deliveryId) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    
+    // An address in the URL itself is connected to without a lookup
+    if (!allowPrivateAddresses && isPrivateHost(new URL(endpoint.url).hostname)) {
+      throw new Error('Webhook endpoint is a private address');
+    }
+    
+    const response = await httpClient.post(endpoint.url, delivery.payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'KenyaOnABudget-Webhooks/1.0',
+        'X-Webhook-Id': deliveryId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(endpoint.secret, timestamp, delivery.payload)
+      },
+      timeout: timeoutSeconds * 1000,
+      maxRedirects: 0,
+      ...(allowPrivateAddresses ? {} : { lookup: lookupPublicAddress }),
+      // Any status is an answer; only 2xx counts as delivered
+      validateStatus: () => true,
+      transformRequest: [body => body]
+    });
+    
+    return { statusCode: response.status };
+  }
+  
+  async function deliver(doc) {
+    const delivery = await claim(doc.ref);
+    if (!delivery) return null;
+    
+    const endpointDoc = await endpointsCollection.doc(delivery.webhookId).get();
+    const endpoint = endpointDoc.exists ? endpointDoc.data() : null;
+    const startedAt = Date.now();
+    let result = null;
+    let error = null;
+    
+    if (!endpoint || !endpoint.active) {
+      error = new Error('Webhook endpoint was removed or disabled');
+    } else {
+      try {
+        result = await send(delivery, endpoint, doc.id);
+        
+        if (result.statusCode < 200 || result.statusCode >= 300) {
+          error = new Error(`Endpoint answered ${result.statusCode}`);
+        }
+      } catch (sendError) {
+        error = sendError;
+      }
+    }
+    
+    const statusCode = result ? result.statusCode : null;
+    const gaveUp = error && (!endpoint || !endpoint.active || delivery.attempts >= maxAttempts);
+    let status = 'delivered';
+    const update = { lastStatusCode: statusCode, lastError: error ? error.message : null };
+    
+    if (!error) {
+      update.deliveredAt = FieldValue.serverTimestamp();
+    } else if (gaveUp) {
+      status = 'failed';
+      update.failedAt = FieldValue.serverTimestamp();
+      console.error(`Giving up on webhook ${doc.id} to ${delivery.url} after ${delivery.attempts} attempts:`, error.message);
+    } else {
+      status = 'queued';
+      update.nextAttemptAt = new Date(Date.now() + retryBaseSeconds * 1000 * Math.pow(2, delivery.attempts - 1));
+      console.error(`Error delivering webhook ${doc.id} to ${delivery.url}, will retry:`, error.message);
+    }
+    
+    await doc.ref.update({ ...update, status });
+    await attemptsCollection.add({
+      deliveryId: doc.id,
+      webhookId: delivery.webhookId,
+      affiliateId: delivery.affiliateId,
+      attempt: delivery.attempts,
+      status: error ? 'error' : 'delivered',
+      statusCode: statusCode,
+      error: error ? error.message : null,
+      durationMs: Date.now() - startedAt,
+      at: FieldValue.serverTimestamp()
+    });
+    
+    return status;
+  }
+  
+  async function runOnce() {
+    const snapshot = await deliveriesCollection
+      .where('status', 'in', ['queued', 'sending'])
+      .where('nextAttemptAt', '<=', new Date())
+      .orderBy('nextAttemptAt')
+      .limit(BATCH_SIZE)
+      .get();
+    
+    const results = { delivered: 0, retrying: 0, failed: 0 };
+    
+    for (const doc of snapshot.docs) {
+      const status = await deliver(doc);
+      if (status === 'delivered') results.delivered++;
+      if (status === 'queued') results.retrying++;
+      if (status === 'failed') results.failed++;
+    }
+    
+    return results;
+  }
+  
+  // Sends every delivery that is due. Calls made while a run is in progress share that run.
+  function processQueue() {
+    if (!running) {
+      running = runOnce().finally(() => {
+        running = null;
+      });
+    }
+    
+    return running;
+  }
+  
+  function processInBackground() {
+    processQueue().catch(error => console.error('Error processing webhook deliveries:', error));
+  }
+  
+  function start() {
+    if (timer) return;
+    
+    timer = setInterval(processInBackground, pollSeconds * 1000);
+    processInBackground();
+  }
+  
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+  
+  return {
+    endpoints: endpointsCollection,
+    deliveries: deliveriesCollection,
+    attempts: attemptsCollection,
+    dispatch,
+    replay,
+    process: processQueue,
+    start,
+    stop
+  };
+}
+
+module.exports = { createWebhookDispatcher, signPayload, generateSecret, isPrivateHost };